@@ -6,8 +6,12 @@ const fs = require('fs');
 const { createServer } = require('@app-core/server');
 const { createConnection } = require('@app-core/mongoose');
 const { createQueue } = require('@app-core/queue');
+const { createStandingOrderOccurrences, executeScheduledInstructions } = require('@app/workers');
+const isLedgerEnabled = require('@app/services/payment-processor/is-ledger-enabled');
 
 const canLogEndpointInformation = process.env.CAN_LOG_ENDPOINT_INFORMATION;
+const SCHEDULED_INSTRUCTIONS_INTERVAL_MS =
+  parseInt(process.env.SCHEDULED_INSTRUCTIONS_INTERVAL_MS, 10) || 60_000;
 
 createConnection({
   uri: process.env.MONGODB_URI,
@@ -15,6 +19,19 @@ createConnection({
 
 createQueue();
 
+// Future-dated instructions and standing orders are only stored when the account ledger is
+// enabled. Occurrences of standing orders are stored as pending instructions when they fall due.
+if (isLedgerEnabled()) {
+  executeScheduledInstructions.scheduleJob(
+    {},
+    { repeat: { every: SCHEDULED_INSTRUCTIONS_INTERVAL_MS } }
+  );
+  createStandingOrderOccurrences.scheduleJob(
+    {},
+    { repeat: { every: SCHEDULED_INSTRUCTIONS_INTERVAL_MS } }
+  );
+}
+
 const server = createServer({
   port: process.env.PORT,
   JSONLimit: '150mb',
@@ -28,6 +45,15 @@ const ENDPOINT_CONFIGS = [
   {
     path: './endpoints/payment-instructions/',
   },
+  {
+    path: './endpoints/currencies/',
+  },
+  {
+    path: './endpoints/standing-orders/',
+  },
+  {
+    path: './endpoints/accounts/',
+  },
 ];
 
 function logEndpointMetaData(endpointConfigs) {
@@ -71,6 +71,9 @@
  * @typedef {Object} HandlerResult
  * @property {import('./enums').HTTPStatusCode} status - HTTP Status code.
  * @property {*} [data] - Actual data to be returned as the response to the endpoint request.
+ * @property {Object<string, string>} [headers] - Response headers to set, e.g. Content-Type and Content-Disposition for a file download.
+ * @property {string|Buffer} [body] - A raw response body sent as is instead of the JSON envelope. Use headers to set its Content-Type.
+ * @property {import('stream').Readable} [stream] - A stream piped to the response instead of the JSON envelope, for bodies too large to hold in memory. Takes precedence over body.
  * @property {boolean} [endHandlerChain=false] - Boolean value that defaults to false. If set to true and there are still items in the handler chain, the execution will not proceed to execute other handlers.
  * @property {boolean} [skipNextMiddlewareHandler=false] - Boolean value that defaults to false and indicates whether or not the next middleware handler in the handler chain should be executed or not.
  * @property {boolean} [skipOtherMiddlewareHandlers=false] - Boolean value that defaults to false and is similar in function to the endHandlerChain property in that if set to true, it ensures no other middlewarehandler in the handler chain is executed.
@@ -3,6 +3,7 @@
 /* eslint-disable no-await-in-loop */
 /* eslint-disable no-continue */
 /* eslint-disable no-restricted-syntax */
+const { pipeline } = require('stream/promises');
 const expressEnums = require('./enums');
 /**
  * @typedef {Object} ExpressServerConfig
@@ -78,6 +79,9 @@ function Server(serverConfig = {}) {
     }
   });
 
+  // Files uploaded as text/csv or text/plain reach handlers as a string body.
+  app.use(express.text({ type: ['text/csv', 'text/plain'], limit: JSONLimit }));
+
   const handlerHelpers = {};
   handlerHelpers.http_statuses = expressEnums.HTTPStatusCode;
 
@@ -222,11 +226,27 @@ function Server(serverConfig = {}) {
         }
 
         responseComponents.statusCode = result.status || 200;
-        responseComponents.body.status = 'success';
-        responseComponents.body.message = result.message;
-        responseComponents.body.data = result.data || {};
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        if (result.stream) {
+          // Streamed bodies (e.g. CSV exports) are piped as they are produced instead of being
+          // held in memory. The response ends when the stream does.
+          expressResponse.status(responseComponents.statusCode).set(result.headers || {});
+          await pipeline(result.stream, expressResponse);
+        } else if (result.body !== undefined) {
+          expressResponse
+            .status(responseComponents.statusCode)
+            .set(result.headers || {})
+            .send(result.body);
+        } else {
+          responseComponents.body.status = 'success';
+          responseComponents.body.message = result.message;
+          responseComponents.body.data = result.data || {};
+
+          expressResponse
+            .status(responseComponents.statusCode)
+            .set(result.headers || {})
+            .json(responseComponents.body);
+        }
       } catch (error) {
         const statusCode = !error.isApplicationError
           ? 500
@@ -249,7 +269,13 @@ function Server(serverConfig = {}) {
         responseComponents.body.errors = error.details || undefined;
         responseComponents.body.data = error.context;
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body); // Todo: Add a callback config that can be used to handle this in a custom way.
+        if (!expressResponse.headersSent) {
+          expressResponse.status(responseComponents.statusCode).json(responseComponents.body); // Todo: Add a callback config that can be used to handle this in a custom way.
+        } else if (!expressResponse.writableEnded) {
+          // A stream failed after part of it was sent; the status and headers can no longer
+          // change, so the connection is closed without an error body.
+          expressResponse.destroy(error);
+        }
       } finally {
         if (typeof handlerConfiguration.onResponseEnd === 'function') {
           try {
@@ -0,0 +1,31 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const generateStatement = require('@app/services/statements/generate-statement');
+
+module.exports = createHandler({
+  path: '/accounts/:id/statement',
+  method: 'get',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await generateStatement({ ...rc.query, account_id: rc.params.id });
+
+    let result = {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+
+    if (rc.query.format === 'csv') {
+      result = {
+        status: helpers.http_statuses.HTTP_200_OK,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${response.filename}"`,
+        },
+        stream: response.stream,
+      };
+    }
+
+    return result;
+  },
+});
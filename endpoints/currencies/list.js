@@ -0,0 +1,17 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getCurrencies = require('@app/services/currency-registry/get-currencies');
+
+module.exports = createHandler({
+  path: '/currencies',
+  method: 'get',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await getCurrencies(rc.query);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,19 @@
+const { createHandler } = require('@app-core/server');
+const { adminAuth } = require('@app/middlewares');
+const updateCurrency = require('@app/services/currency-registry/update-currency');
+
+module.exports = createHandler({
+  path: '/currencies/:code',
+  method: 'patch',
+  middlewares: [adminAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = { ...rc.body, code: rc.params.code };
+
+    const response = await updateCurrency(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
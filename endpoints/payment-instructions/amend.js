@@ -0,0 +1,19 @@
+const { createHandler } = require('@app-core/server');
+const { clientAuth, userAuth } = require('@app/middlewares');
+const amendPendingInstruction = require('@app/services/payment-processor/amend-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id',
+  method: 'patch',
+  middlewares: [userAuth, clientAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = { ...rc.body, instruction_id: rc.params.id, client_id: rc.meta.client_id };
+
+    const response = await amendPendingInstruction(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
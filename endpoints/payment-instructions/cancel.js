@@ -0,0 +1,20 @@
+const { createHandler } = require('@app-core/server');
+const { clientAuth, userAuth } = require('@app/middlewares');
+const cancelPendingInstruction = require('@app/services/payment-processor/cancel-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id/cancel',
+  method: 'post',
+  middlewares: [userAuth, clientAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await cancelPendingInstruction({
+      instruction_id: rc.params.id,
+      client_id: rc.meta.client_id,
+    });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
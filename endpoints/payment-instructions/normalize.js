@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const normalizeInstruction = require('@app/services/payment-processor/normalize-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/normalize',
+  method: 'post',
+  middlewares: [],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = { ...rc.body, locale: rc.body.locale ?? rc.headers?.['accept-language'] };
+
+    const response = await normalizeInstruction(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
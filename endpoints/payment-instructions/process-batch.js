@@ -0,0 +1,23 @@
+const { createHandler } = require('@app-core/server');
+const { clientAuth } = require('@app/middlewares');
+const processPaymentInstructionBatch = require('@app/services/payment-processor/process-batch');
+
+module.exports = createHandler({
+  path: '/payment-instructions/batch',
+  method: 'post',
+  middlewares: [clientAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      locale: rc.body.locale ?? rc.headers?.['accept-language'],
+      client_id: rc.meta?.client_id,
+    };
+
+    const response = await processPaymentInstructionBatch(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -1,15 +1,32 @@
 const { createHandler } = require('@app-core/server');
+const { clientAuth } = require('@app/middlewares');
 const parsePaymentInstruction = require('@app/services/payment-processor/parse-instruction');
+const runIdempotent = require('@app/services/idempotency/run-idempotent');
+const { ANONYMOUS_CLIENT_ID } = require('@app/services/limits/transaction-limits');
 
 module.exports = createHandler({
   path: '/payment-instructions',
   method: 'post',
-  middlewares: [],
+  middlewares: [clientAuth],
   props: {},
   async handler(rc, helpers) {
-    const payload = rc.body;
+    const payload = {
+      ...rc.body,
+      locale: rc.body.locale ?? rc.headers?.['accept-language'],
+      client_id: rc.meta?.client_id,
+    };
+    const idempotencyKey = rc.headers?.['idempotency-key'];
 
-    const response = await parsePaymentInstruction(payload);
+    const response = idempotencyKey
+      ? await runIdempotent(
+          {
+            key: idempotencyKey,
+            scope: `payment-instructions:${payload.client_id || ANONYMOUS_CLIENT_ID}`,
+            payload,
+          },
+          { execute: () => parsePaymentInstruction(payload) }
+        )
+      : await parsePaymentInstruction(payload);
     return {
       status: helpers.http_statuses.HTTP_200_OK,
       data: response,
@@ -1,5 +1,9 @@
 const { expect } = require('chai');
+const sinon = require('sinon');
 const { StatusCode } = require('@app/messages');
+const IdempotencyRecordRepository = require('@app/repository/idempotency-record');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const createMemoryIdempotencyStore = require('@app/services/idempotency/create-memory-store');
 const handlerConfig = require('./process');
 
 describe('Payment Instruction Handler', () => {
@@ -9,7 +13,17 @@ describe('Payment Instruction Handler', () => {
       HTTP_400_BAD_REQUEST: 400,
       HTTP_500_INTERNAL_SERVER_ERROR: 500,
     },
-  }; // --- Test Cases ---
+  };
+
+  beforeEach(() => {
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  // --- Test Cases ---
 
   it('should return a 200 status and success data for a valid request', async () => {
     const mockRc = {
@@ -75,4 +89,45 @@ describe('Payment Instruction Handler', () => {
       expect(error.context.accounts).to.deep.equal([]);
     }
   });
+
+  describe('Idempotency keys', () => {
+    it('should keep the same key from two clients apart', async () => {
+      const store = createMemoryIdempotencyStore();
+      sinon
+        .stub(IdempotencyRecordRepository, 'findOne')
+        .callsFake(({ query }) => store.findOne(query));
+      sinon.stub(IdempotencyRecordRepository, 'create').callsFake((record) => store.create(record));
+      sinon
+        .stub(IdempotencyRecordRepository, 'updateOne')
+        .callsFake(({ query, updateValues }) => store.updateOne(query, updateValues));
+      sinon
+        .stub(IdempotencyRecordRepository, 'deleteOne')
+        .callsFake(({ query }) => store.deleteOne(query));
+
+      const createRc = (clientId, amount) => ({
+        headers: { 'idempotency-key': 'order-1' },
+        meta: { client_id: clientId },
+        body: {
+          accounts: [
+            { id: 'a', balance: 1000, currency: 'USD' },
+            { id: 'b', balance: 0, currency: 'USD' },
+          ],
+          instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`,
+        },
+      });
+
+      const first = await handlerConfig.handler(createRc('client-a', 100), mockHelpers);
+      const second = await handlerConfig.handler(createRc('client-b', 300), mockHelpers);
+
+      expect(first.data.amount).to.equal(100);
+      expect(second.data.amount).to.equal(300);
+      expect(IdempotencyRecordRepository.create.callCount).to.equal(2);
+      expect(IdempotencyRecordRepository.create.firstCall.args[0].scope).to.equal(
+        'payment-instructions:client-a'
+      );
+      expect(IdempotencyRecordRepository.create.secondCall.args[0].scope).to.equal(
+        'payment-instructions:client-b'
+      );
+    });
+  });
 });
@@ -0,0 +1,23 @@
+const { createHandler } = require('@app-core/server');
+const { clientAuth } = require('@app/middlewares');
+const parsePaymentInstruction = require('@app/services/payment-processor/parse-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/quote',
+  method: 'post',
+  middlewares: [clientAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      locale: rc.body.locale ?? rc.headers?.['accept-language'],
+      client_id: rc.meta?.client_id,
+    };
+
+    const response = await parsePaymentInstruction(payload, { dryRun: true });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,24 @@
+const { createHandler } = require('@app-core/server');
+const { adminAuth } = require('@app/middlewares');
+const reviewHeldInstruction = require('@app/services/payment-processor/review-held-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id/release',
+  method: 'post',
+  middlewares: [adminAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      instruction_id: rc.params.id,
+      decision: 'release',
+      reviewer: rc.meta.user.id,
+    };
+
+    const response = await reviewHeldInstruction(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
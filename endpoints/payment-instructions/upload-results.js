@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getBulkUploadResults = require('@app/services/bulk-uploads/get-bulk-upload-results');
+
+module.exports = createHandler({
+  path: '/payment-instructions/uploads/:id/results',
+  method: 'get',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await getBulkUploadResults({ job_id: rc.params.id });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${response.filename}"`,
+      },
+      stream: response.stream,
+    };
+  },
+});
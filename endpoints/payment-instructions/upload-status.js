@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getBulkUpload = require('@app/services/bulk-uploads/get-bulk-upload');
+
+module.exports = createHandler({
+  path: '/payment-instructions/uploads/:id',
+  method: 'get',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await getBulkUpload({
+      job_id: rc.params.id,
+      ...(rc.query.offset !== undefined && { offset: Number(rc.query.offset) }),
+      ...(rc.query.limit !== undefined && { limit: Number(rc.query.limit) }),
+    });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,26 @@
+const { createHandler } = require('@app-core/server');
+const { clientAuth, userAuth } = require('@app/middlewares');
+const createBulkUpload = require('@app/services/bulk-uploads/create-bulk-upload');
+
+module.exports = createHandler({
+  path: '/payment-instructions/uploads',
+  method: 'post',
+  middlewares: [userAuth, clientAuth],
+  props: {},
+  async handler(rc, helpers) {
+    // The file is the request body: text/csv for a CSV file, text/plain for one instruction per line.
+    const payload = {
+      content: rc.body,
+      format: rc.headers['content-type']?.startsWith('text/csv') ? 'csv' : 'lines',
+      filename: rc.query.filename,
+      locale: rc.query.locale ?? rc.headers?.['accept-language'],
+      client_id: rc.meta.client_id,
+    };
+
+    const response = await createBulkUpload(payload);
+    return {
+      status: helpers.http_statuses.HTTP_201_CREATED,
+      data: response,
+    };
+  },
+});
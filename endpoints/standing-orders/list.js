@@ -0,0 +1,17 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const listStandingOrders = require('@app/services/standing-orders/list-standing-orders');
+
+module.exports = createHandler({
+  path: '/standing-orders',
+  method: 'get',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await listStandingOrders(rc.query);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,17 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const changeStandingOrderStatus = require('@app/services/standing-orders/change-standing-order-status');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id/pause',
+  method: 'post',
+  middlewares: [userAuth],
+  props: {},
+  async handler(rc, helpers) {
+    const response = await changeStandingOrderStatus({ id: rc.params.id, action: 'pause' });
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -1,3 +1,6 @@
 module.exports = {
   MISSING_AUTH_HEADER: 'An authorization header is required',
+  MISSING_API_KEY: 'An X-Api-Key header is required',
+  INVALID_API_KEY: 'The API key is not valid',
+  ADMIN_KEY_REQUIRED: 'This endpoint requires an admin API key',
 };
@@ -0,0 +1,12 @@
+module.exports = {
+  REQUIRES_LEDGER: 'Instruction files can only be uploaded when the account ledger is enabled.',
+  EMPTY_FILE: 'The uploaded file does not contain any instruction.',
+  TOO_MANY_LINES: (count, max) =>
+    `The uploaded file contains ${count} instructions; at most ${max} can be uploaded at once.`,
+  MISSING_INSTRUCTION_COLUMN: 'The header row of a CSV file must name an instruction column.',
+  JOB_NOT_FOUND: (id) => `Bulk upload job ${id} does not exist.`,
+  RESULTS_NOT_READY: (id, status) =>
+    `Bulk upload job ${id} is ${status}; its result file is available once it has finished.`,
+  JOB_FAILED: (lineNumber) =>
+    `Processing stopped at line ${lineNumber} because of an unexpected error. The remaining lines were not run.`,
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  CURRENCY_NOT_FOUND: (code) => `The currency ${code} is not in the currency registry.`,
+  REGISTRY_READ_ONLY:
+    'The currency registry is read from config. Set CURRENCY_REGISTRY_SOURCE=database to manage currencies.',
+  MISSING_CURRENCY_DETAILS: (code) =>
+    `The currency ${code} is new to the registry; minor_units and symbol are required.`,
+};
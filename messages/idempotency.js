@@ -0,0 +1,7 @@
+module.exports = {
+  KEY_REUSED:
+    'This Idempotency-Key was already used with a different request body. Use a new key for a new request.',
+  REQUEST_IN_PROGRESS:
+    'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+  DUPLICATE_KEY: 'An existing key record exists.',
+};
@@ -1,4 +1,18 @@
 const AuthenticationMessages = require('./authentication');
+const BulkUploadMessages = require('./bulk-upload');
+const CurrencyMessages = require('./currency');
+const IdempotencyMessages = require('./idempotency');
 const { PaymentMessage, StatusCode } = require('./payment');
+const StandingOrderMessages = require('./standing-order');
+const StatementMessages = require('./statement');
 
-module.exports = { AuthenticationMessages, PaymentMessage, StatusCode };
+module.exports = {
+  AuthenticationMessages,
+  BulkUploadMessages,
+  CurrencyMessages,
+  IdempotencyMessages,
+  PaymentMessage,
+  StandingOrderMessages,
+  StatementMessages,
+  StatusCode,
+};
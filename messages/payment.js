@@ -1,36 +1,152 @@
+/**
+ * Renders an expected token of a syntax error: keywords are quoted, `<placeholders>` are not.
+ * @param {string} token
+ * @returns {string}
+ */
+function describeExpectedToken(token) {
+  return token.startsWith('<') ? token.slice(1, -1) : `"${token}"`;
+}
+
 const PaymentMessage = {
   INVALID_AMOUNT: (amount) => `The amount ${amount} is not a valid positive number.`,
+  INVALID_AMOUNT_PRECISION: (amount, currency, decimalPlaces) =>
+    `The amount ${amount} has more decimal places than ${currency} allows (${decimalPlaces}).`,
   CURRENCY_MISMATCH: 'Both accounts must have the same currency.',
   INSTRUCTION_CURRENCY_MISMATCH: (accountCurrency, instructionCurrency) =>
     `Account currency ${accountCurrency} does not match instruction currency ${instructionCurrency}.`,
-  UNSUPPORTED_CURRENCY: (currency) =>
-    `The currency ${currency} is not supported. Only NGN, USD, GBP, GHS are supported.`,
+  UNSUPPORTED_CURRENCY: (currency, supportedCurrencies) =>
+    `The currency ${currency} is not supported. Only ${supportedCurrencies.join(', ')} are supported.`,
+  EXCHANGE_RATE_UNAVAILABLE: (sourceCurrency, targetCurrency) =>
+    `No exchange rate is available from ${sourceCurrency} to ${targetCurrency}.`,
+  CONVERTED_AMOUNT_TOO_SMALL: (amount, targetCurrency) =>
+    `The amount ${amount} is worth less than the smallest unit of ${targetCurrency}.`,
+  FEE_NOT_COVERED: (accountId, fee, currency) =>
+    `Debit account - ${accountId} cannot cover the amount plus the ${fee} ${currency} fee.`,
+  FEE_EXCEEDS_AMOUNT: (fee, amount, currency) =>
+    `The ${fee} ${currency} fee is not less than the amount ${amount} it is deducted from.`,
+  FEE_ACCOUNT_NOT_CONFIGURED: 'No fee account is configured to receive the fee.',
+  FEE_ACCOUNT_UNUSABLE: (accountId, currency) =>
+    `Fee account ${accountId} does not exist or does not hold ${currency}.`,
+  FEE_ACCOUNT_IN_TRANSFER: (accountId) =>
+    `Fee account ${accountId} cannot be debited or credited by the transfer it charges.`,
   INSUFFICIENT_FUNDS: (accountId) => `Insufficient funds in debit account - ${accountId}.`,
+  OVERDRAFT_LIMIT_EXCEEDED: (accountId, limit, currency) =>
+    `The transaction would take debit account - ${accountId} beyond its ${limit} ${currency} overdraft limit.`,
+  SCHEDULED_INSUFFICIENT_FUNDS: (accountId) =>
+    `Insufficient funds in debit account - ${accountId} when the scheduled transaction was due.`,
+  TRANSACTION_LIMIT_EXCEEDED: (amount, limit, currency, subject) =>
+    `The amount ${amount} ${currency} is above the ${limit} ${currency} per-transaction limit of ${subject}.`,
+  CUMULATIVE_LIMIT_EXCEEDED: (period, limit, currency, subject, resetsAt) =>
+    `The transaction would take ${subject} beyond its ${period} limit of ${limit} ${currency}, which resets at ${resetsAt}.`,
+  VELOCITY_LIMIT_EXCEEDED: (count, subject, resetsAt) =>
+    `The transfers of ${subject} have reached its limit of ${count} per hour, which resets at ${resetsAt}.`,
   SAME_ACCOUNT_ERROR: 'Debit and credit accounts cannot be the same',
+  DUPLICATE_CREDIT_ACCOUNT: (accountId) =>
+    `Account ${accountId} appears more than once among the credit accounts.`,
+  SPLIT_AMOUNT_MISMATCH: (amount, legsTotal, currency) =>
+    `The split amounts add up to ${legsTotal} ${currency} instead of the instruction amount ${amount} ${currency}.`,
   ACCOUNT_NOT_FOUND: (id) =>
     `Account ID: ${id} specified in instruction is not in the provided accounts list`,
+  ACCOUNT_NOT_IN_LEDGER: (id) => `Account ID: ${id} specified in instruction does not exist`,
+  LEDGER_BALANCE_CHANGED: (id) =>
+    `The balance of account ${id} changed while the transaction was being processed. Please retry.`,
   INVALID_ACCOUNT_ID: (accountId) => `Account ID ${accountId} contains invalid characters.`,
+  TRANSACTION_NOT_FOUND: (transactionId) =>
+    `Transaction ${transactionId} does not exist in the ledger.`,
+  TRANSACTION_NOT_REVERSIBLE: (transactionId) =>
+    `Transaction ${transactionId} is a reversal and cannot itself be reversed.`,
+  SPLIT_TRANSACTION_NOT_REVERSIBLE: (transactionId) =>
+    `Transaction ${transactionId} credited several accounts and cannot be reversed.`,
+  TRANSACTION_ALREADY_REVERSED: (transactionId) =>
+    `Transaction ${transactionId} has already been fully reversed.`,
+  REVERSAL_EXCEEDS_ORIGINAL: (amount, remaining, currency, transactionId) =>
+    `The reversal amount ${amount} ${currency} exceeds the ${remaining} ${currency} left to reverse on transaction ${transactionId}.`,
+  REVERSAL_REQUIRES_LEDGER: 'Transactions can only be reversed when the account ledger is enabled.',
+  INVALID_REFERENCE: (reference, maxLength) =>
+    `The reference ${reference} is longer than ${maxLength} characters or contains characters that are not allowed.`,
   INVALID_DATE_FORMAT: (date) => `The date ${date} is not in a valid YYYY-MM-DD format.`,
-  MISSING_REQUIRED_KEYWORD: (keyword) =>
-    `The required keyword ${keyword} is missing from the instruction.`,
-  MALFORMED_INSTRUCTION: 'The payment instruction is malformed.',
+  INVALID_TIME_FORMAT: (time) => `The time ${time} is not in a valid HH:MM format.`,
+  INVALID_TIMEZONE: (timeZone) =>
+    `The timezone ${timeZone} is neither a known IANA timezone nor a +HH:MM UTC offset.`,
+  INVALID_RECURRENCE_INTERVAL: (interval) =>
+    `The recurrence interval ${interval} is not a positive whole number.`,
+  STANDING_ORDER_START_PASSED: (date) =>
+    `The standing order cannot start on ${date}, which is already over.`,
+  UNTIL_BEFORE_START: (until, date) =>
+    `The standing order ends on ${until}, before its start date ${date}.`,
+  STANDING_ORDER_REQUIRES_LEDGER:
+    'Standing orders can only be set up when the account ledger is enabled.',
+  INSTRUCTION_NOT_FOUND: (id) => `Payment instruction ${id} does not exist.`,
+  INSTRUCTION_NOT_PENDING: (id, status) =>
+    `Payment instruction ${id} is ${status} and can no longer be cancelled or amended.`,
+  OCCURRENCE_NOT_AMENDABLE: (id, standingOrderId) =>
+    `Payment instruction ${id} is an occurrence of standing order ${standingOrderId} and cannot be amended on its own.`,
+  AMENDED_DATE_NOT_FUTURE: (id) =>
+    `The amended payment instruction ${id} would no longer be due in the future.`,
+  NOTHING_TO_AMEND: 'Provide an amount or an execute_date to amend.',
+  INSTRUCTION_NOT_HELD: (id, status) =>
+    `Payment instruction ${id} is ${status} and is not held for review.`,
+  SCREENING_BLOCKED: (matches) => `The instruction is blocked by the watchlist: ${matches}.`,
+  SCREENING_HELD: (matches) => `Transaction held for compliance review: ${matches}.`,
+  MISSING_STRUCTURED_FIELD: (field) =>
+    `Provide an instruction, or ${field} with the other fields of a structured instruction.`,
+  QUOTE_IN_TEXT: (text) =>
+    `The text ${text} contains a double quote, which an instruction cannot hold.`,
+  UNEXPECTED_TOKEN: (expected, column, found) =>
+    `Expected ${expected.map(describeExpectedToken).join(' or ')} at column ${column}, found ${
+      found === null ? 'end of instruction' : `"${found}"`
+    }.`,
   TRANSACTION_SUCCESSFUL: 'Transaction executed successfully',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
+  STANDING_ORDER_CREATED: 'Standing order set up for recurring execution',
+  INSTRUCTION_CANCELLED: 'Instruction cancelled before execution',
+  INSTRUCTION_REJECTED: 'Instruction rejected by a compliance reviewer',
+  BATCH_COMPLETED: 'All instructions in the batch were processed',
+  BATCH_COMPLETED_WITH_ERRORS: 'Some instructions in the batch failed and were skipped',
+  BATCH_ROLLED_BACK: (position) =>
+    `Batch rolled back because the instruction at position ${position} failed.`,
 };
 
 const StatusCode = {
   INVALID_AMOUNT: 'AM01',
+  SPLIT_AMOUNT_MISMATCH: 'AM02',
   CURRENCY_MISMATCH: 'CU01',
   UNSUPPORTED_CURRENCY: 'CU02',
   INSUFFICIENT_FUNDS: 'AC01',
   SAME_ACCOUNT_ERROR: 'AC02',
   ACCOUNT_NOT_FOUND: 'AC03',
   INVALID_ACCOUNT_ID: 'AC04',
+  SCHEDULED_INSUFFICIENT_FUNDS: 'AC05',
+  OVERDRAFT_LIMIT_EXCEEDED: 'AC06',
+  LIMIT_EXCEEDED: 'LM01',
+  EXCHANGE_RATE_UNAVAILABLE: 'FX01',
+  FEE_NOT_COVERED: 'FE01',
+  FEE_ACCOUNT_UNAVAILABLE: 'FE02',
+  TRANSACTION_ALREADY_REVERSED: 'RV01',
+  REVERSAL_EXCEEDS_ORIGINAL: 'RV02',
+  TRANSACTION_NOT_FOUND: 'RV03',
+  REVERSAL_REQUIRES_LEDGER: 'RV04',
+  TRANSACTION_NOT_REVERSIBLE: 'RV05',
+  INVALID_REFERENCE: 'RF01',
   INVALID_DATE_FORMAT: 'DT01',
+  INVALID_TIME_FORMAT: 'DT02',
+  INVALID_TIMEZONE: 'DT03',
+  INVALID_RECURRENCE: 'DT04',
+  STANDING_ORDER_REQUIRES_LEDGER: 'SO01',
+  INSTRUCTION_NOT_FOUND: 'PI01',
+  INSTRUCTION_NOT_PENDING: 'PI02',
+  INSTRUCTION_NOT_AMENDABLE: 'PI03',
+  INSTRUCTION_NOT_HELD: 'PI04',
+  SCREENING_BLOCKED: 'SC01',
+  HELD_FOR_REVIEW: 'SC02',
+  INSTRUCTION_REJECTED: 'SC03',
   MISSING_REQUIRED_KEYWORD: 'SY01',
   MALFORMED_INSTRUCTION: 'SY03',
   TRANSACTION_SUCCESSFUL: 'AP00',
   TRANSACTION_PENDING: 'AP02',
+  STANDING_ORDER_CREATED: 'AP03',
+  INSTRUCTION_CANCELLED: 'AP04',
+  LEDGER_CONFLICT: 'LD01',
 };
 
 module.exports = {
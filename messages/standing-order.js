@@ -0,0 +1,8 @@
+module.exports = {
+  STANDING_ORDER_NOT_FOUND: (id) => `Standing order ${id} does not exist.`,
+  INVALID_STATUS_CHANGE: (id, status, action) =>
+    `Standing order ${id} is ${status} and cannot be asked to ${action}.`,
+  STATUS_CHANGED: (id) =>
+    `The status of standing order ${id} changed while it was being updated. Please retry.`,
+  OCCURRENCE_CANCELLED: 'The standing order was cancelled before this occurrence was executed.',
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  ACCOUNT_NOT_FOUND: (id) => `Account ${id} does not exist.`,
+  INVALID_DATE: (field, value) => `${field} must be a date in the form YYYY-MM-DD, got ${value}.`,
+  INVALID_PERIOD: (from, to) => `The statement period ends (${to}) before it starts (${from}).`,
+};
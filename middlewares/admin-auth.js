@@ -0,0 +1,30 @@
+const { createHandler } = require('@app-core/server');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const AuthenticationMessages = require('@app/messages/authentication');
+const findApiKey = require('@app/services/api-keys/find-api-key');
+
+module.exports = createHandler({
+  path: '*',
+  method: '',
+  async handler(rc) {
+    const apiKey = rc.headers['x-api-key'];
+
+    if (!apiKey) {
+      throwAppError(AuthenticationMessages.MISSING_API_KEY, ERROR_CODE.NOAUTHERR);
+    }
+
+    const issuedKey = findApiKey(apiKey);
+
+    if (!issuedKey) {
+      throwAppError(AuthenticationMessages.INVALID_API_KEY, ERROR_CODE.INVLDAUTHTOKEN);
+    }
+
+    if (issuedKey.role !== 'admin') {
+      throwAppError(AuthenticationMessages.ADMIN_KEY_REQUIRED, ERROR_CODE.PERMERR);
+    }
+
+    return {
+      augments: { meta: { user: { id: issuedKey.name, role: issuedKey.role } } },
+    };
+  },
+});
@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const AuthenticationMessages = require('@app/messages/authentication');
+const findApiKey = require('@app/services/api-keys/find-api-key');
+
+module.exports = createHandler({
+  path: '*',
+  method: '',
+  async handler(rc) {
+    const apiKey = rc.headers['x-api-key'];
+    const issuedKey = apiKey ? findApiKey(apiKey) : null;
+
+    if (apiKey && !issuedKey) {
+      throwAppError(AuthenticationMessages.INVALID_API_KEY, ERROR_CODE.INVLDAUTHTOKEN);
+    }
+
+    return {
+      augments: { meta: { client_id: issuedKey?.client_id } },
+    };
+  },
+});
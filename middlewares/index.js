@@ -1,5 +1,9 @@
+const adminAuth = require('./admin-auth');
+const clientAuth = require('./client-auth');
 const userAuth = require('./user-auth');
 
 module.exports = {
+  adminAuth,
+  clientAuth,
   userAuth,
 };
@@ -0,0 +1,34 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'accounts';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} account_id
+ * @property {Number} balance - The ledger balance.
+ * @property {Number} held_balance_minor - The funds held for pending instructions, in minor units.
+ * The available balance is the ledger balance less these holds.
+ * @property {String} currency
+ * @property {Number} overdraft_limit - How far below zero the balance may go.
+ * @property {String} account_type - A free-form product type, e.g. current or credit_line.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  account_id: { type: SchemaTypes.String, required: true, unique: true, index: true },
+  balance: { type: SchemaTypes.Number, required: true },
+  held_balance_minor: { type: SchemaTypes.Number, default: 0 },
+  currency: { type: SchemaTypes.String, required: true, index: true },
+  overdraft_limit: { type: SchemaTypes.Number, default: 0 },
+  account_type: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,48 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'bulk_upload_jobs';
+
+/**
+ * An uploaded file of payment instructions, processed line by line by the bulk-upload worker.
+ * The lines and their results are stored as bulk upload lines.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} filename - The name the file was uploaded under, if given.
+ * @property {String} format - csv, or lines for one instruction per line.
+ * @property {String} locale - The vocabulary the instructions are written in, e.g. en or fr.
+ * @property {String} client_id - The API client that uploaded the file, whose limits the
+ * instructions count towards.
+ * @property {String} status - queued, processing, completed or failed.
+ * @property {String} status_reason - Why the job failed, for a job that could not finish.
+ * @property {Number} total - The number of instructions in the file.
+ * @property {Number} processed - How many instructions have been run so far.
+ * @property {Number} successful - How many were executed, scheduled or held.
+ * @property {Number} failed - How many failed.
+ * @property {Number} started_at
+ * @property {Number} completed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  filename: { type: SchemaTypes.String },
+  format: { type: SchemaTypes.String, required: true },
+  locale: { type: SchemaTypes.String },
+  client_id: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_reason: { type: SchemaTypes.String },
+  total: { type: SchemaTypes.Number, required: true },
+  processed: { type: SchemaTypes.Number, default: 0 },
+  successful: { type: SchemaTypes.Number, default: 0 },
+  failed: { type: SchemaTypes.Number, default: 0 },
+  started_at: { type: SchemaTypes.Number },
+  completed_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
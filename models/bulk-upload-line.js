@@ -0,0 +1,42 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'bulk_upload_lines';
+
+/**
+ * One instruction of a bulk upload and, once the worker has run it, its result.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} job_id - The bulk upload job the line belongs to.
+ * @property {Number} line_number - The line of the file the instruction starts on.
+ * @property {String} instruction
+ * @property {String} status - queued until the worker claims it, processing while it runs, then
+ * the status of its result.
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {String} transaction_id - The ledger transfer, for an executed instruction.
+ * @property {String} instruction_id - The stored instruction, for a scheduled or held one.
+ * @property {String} standing_order_id - The standing order, for a recurring instruction.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  job_id: { type: SchemaTypes.String, required: true },
+  line_number: { type: SchemaTypes.Number, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  status: { type: SchemaTypes.String, required: true },
+  status_code: { type: SchemaTypes.String },
+  status_reason: { type: SchemaTypes.String },
+  transaction_id: { type: SchemaTypes.String },
+  instruction_id: { type: SchemaTypes.String },
+  standing_order_id: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ job_id: 1, line_number: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
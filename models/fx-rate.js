@@ -0,0 +1,31 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'fx_rates';
+
+/**
+ * The rate of one currency against the table's base currency: one unit of base_currency buys
+ * `rate` units of `currency`.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} currency
+ * @property {String} base_currency
+ * @property {Number} rate
+ * @property {Number} as_of
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  currency: { type: SchemaTypes.String, required: true, unique: true, index: true },
+  base_currency: { type: SchemaTypes.String, required: true },
+  rate: { type: SchemaTypes.Number, required: true },
+  as_of: { type: SchemaTypes.Number, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,37 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotency_records';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} key
+ * @property {String} scope
+ * @property {String} fingerprint
+ * @property {String} status
+ * @property {Object} response
+ * @property {Object} error
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  key: { type: SchemaTypes.String, required: true },
+  scope: { type: SchemaTypes.String, required: true },
+  fingerprint: { type: SchemaTypes.String, required: true },
+  status: { type: SchemaTypes.String, required: true },
+  response: { type: SchemaTypes.Mixed },
+  error: { type: SchemaTypes.Mixed },
+  expires_at: { type: SchemaTypes.Date, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ scope: 1, key: 1 }, { unique: true });
+modelSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
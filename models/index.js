@@ -1,5 +1,29 @@
+const Account = require('./account');
+const BulkUploadJob = require('./bulk-upload-job');
+const BulkUploadLine = require('./bulk-upload-line');
+const Currency = require('./currency');
+const FxRate = require('./fx-rate');
+const IdempotencyRecord = require('./idempotency-record');
+const LimitUsage = require('./limit-usage');
 const Notification = require('./notification');
+const PaymentInstruction = require('./payment-instruction');
+const StandingOrder = require('./standing-order');
+const Transaction = require('./transaction');
+const TransactionLimit = require('./transaction-limit');
+const WatchlistEntry = require('./watchlist-entry');
 
 module.exports = {
+  Account,
+  BulkUploadJob,
+  BulkUploadLine,
+  Currency,
+  FxRate,
+  IdempotencyRecord,
+  LimitUsage,
   Notification,
+  PaymentInstruction,
+  StandingOrder,
+  Transaction,
+  TransactionLimit,
+  WatchlistEntry,
 };
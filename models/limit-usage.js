@@ -0,0 +1,43 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'limit_usages';
+
+/**
+ * What an account or an API client has transferred in one currency during one limit window.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} scope - account or client.
+ * @property {String} subject_id
+ * @property {String} currency
+ * @property {String} period - hour, day or month.
+ * @property {Number} window_start - When the window opened, in milliseconds.
+ * @property {Number} amount_minor - The total transferred in the window, in minor units.
+ * @property {Number} count - How many transfers the window saw.
+ * @property {Date} expires_at - When the window closes; the usage is removed after it.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  scope: { type: SchemaTypes.String, required: true },
+  subject_id: { type: SchemaTypes.String, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  period: { type: SchemaTypes.String, required: true },
+  window_start: { type: SchemaTypes.Number, required: true },
+  amount_minor: { type: SchemaTypes.Number, default: 0 },
+  count: { type: SchemaTypes.Number, default: 0 },
+  expires_at: { type: SchemaTypes.Date, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index(
+  { scope: 1, subject_id: 1, currency: 1, period: 1, window_start: 1 },
+  { unique: true }
+);
+modelSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
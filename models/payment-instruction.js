@@ -0,0 +1,77 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'payment_instructions';
+
+/**
+ * A payment instruction that could not be executed straight away, e.g. a future-dated one, an
+ * occurrence of a standing order or one held for compliance review.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} locale - The vocabulary the instruction is written in, e.g. en or fr.
+ * @property {String} client_id - The API client that sent the instruction, whose limits it
+ * counts towards.
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account - Null for an instruction split between several accounts.
+ * @property {String} reference - The caller reference given with REF.
+ * @property {String} narration - The free text given with NARRATION.
+ * @property {String} execute_by - When the instruction is due, as an ISO 8601 timestamp in the
+ * instruction's timezone; null for an instruction held for review that was due straight away.
+ * @property {Number} execute_at - The same instant in milliseconds, for sweeping.
+ * @property {Number} held_amount_minor - The funds held on the debit account until the
+ * instruction is executed or cancelled, in minor units.
+ * @property {String} standing_order_id - The standing order the instruction is an occurrence of.
+ * @property {Number} occurrence - The zero-based number of that occurrence.
+ * @property {Array<Object>} screening_matches - The watchlist matches that held the instruction.
+ * @property {String} reviewed_by - Who released or rejected a held instruction.
+ * @property {String} review_note
+ * @property {Number} reviewed_at
+ * @property {String} status
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {String} transaction_id
+ * @property {Number} claimed_at - When a worker last claimed the instruction to execute it.
+ * @property {Number} executed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  locale: { type: SchemaTypes.String },
+  client_id: { type: SchemaTypes.String },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  reference: { type: SchemaTypes.String, index: true },
+  narration: { type: SchemaTypes.String },
+  execute_by: { type: SchemaTypes.String },
+  execute_at: { type: SchemaTypes.Number, required: true, index: true },
+  held_amount_minor: { type: SchemaTypes.Number },
+  standing_order_id: { type: SchemaTypes.String, index: true },
+  occurrence: { type: SchemaTypes.Number },
+  screening_matches: { type: SchemaTypes.Mixed },
+  reviewed_by: { type: SchemaTypes.String },
+  review_note: { type: SchemaTypes.String },
+  reviewed_at: { type: SchemaTypes.Number },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String },
+  transaction_id: { type: SchemaTypes.String },
+  claimed_at: { type: SchemaTypes.Number },
+  executed_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ status: 1, execute_at: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,65 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'standing_orders';
+
+/**
+ * A recurring instruction. Each occurrence is stored as a payment instruction of its own once it
+ * falls due, and executed like any other scheduled instruction.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction - The instruction as given, recurrence included.
+ * @property {String} locale - The vocabulary the instruction is written in, e.g. en or fr.
+ * @property {String} client_id - The API client that sent the instruction, whose limits it
+ * counts towards.
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account - Null for an instruction split between several accounts.
+ * @property {String} reference
+ * @property {String} narration
+ * @property {String} frequency_unit - DAY, WEEK or MONTH.
+ * @property {Number} frequency_interval - How many units separate two occurrences.
+ * @property {String} start_date - The YYYY-MM-DD date of the first occurrence.
+ * @property {String} time - The HH:MM time of day every occurrence is due.
+ * @property {String} time_zone
+ * @property {String} until_date - The YYYY-MM-DD date after which the order ends, if any.
+ * @property {Number} next_occurrence - The zero-based number of the next occurrence.
+ * @property {String} next_run_by - When the next occurrence is due, as an ISO 8601 timestamp.
+ * @property {Number} next_run_at - The same instant in milliseconds, for sweeping.
+ * @property {String} status - active, paused, cancelled or completed.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  locale: { type: SchemaTypes.String },
+  client_id: { type: SchemaTypes.String },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  reference: { type: SchemaTypes.String, index: true },
+  narration: { type: SchemaTypes.String },
+  frequency_unit: { type: SchemaTypes.String, required: true },
+  frequency_interval: { type: SchemaTypes.Number, required: true },
+  start_date: { type: SchemaTypes.String, required: true },
+  time: { type: SchemaTypes.String, required: true },
+  time_zone: { type: SchemaTypes.String, required: true },
+  until_date: { type: SchemaTypes.String },
+  next_occurrence: { type: SchemaTypes.Number, required: true },
+  next_run_by: { type: SchemaTypes.String },
+  next_run_at: { type: SchemaTypes.Number },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ status: 1, next_run_at: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,37 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'transaction_limits';
+
+/**
+ * A limit on the transfers of one account or one API client in one currency.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} scope - account or client.
+ * @property {String} subject_id - The account id or the client id the limit applies to; the
+ * client id anonymous covers instructions sent without a client API key.
+ * @property {String} currency - Only transfers in this currency count towards the limit.
+ * @property {String} kind - per_transaction, daily, monthly or velocity.
+ * @property {Number} max_amount_minor - The largest amount of one transfer (per_transaction), or
+ * the largest total of a UTC day (daily) or month (monthly), in minor units.
+ * @property {Number} max_count - For velocity, how many transfers a clock hour allows.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  scope: { type: SchemaTypes.String, required: true },
+  subject_id: { type: SchemaTypes.String, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  kind: { type: SchemaTypes.String, required: true },
+  max_amount_minor: { type: SchemaTypes.Number },
+  max_count: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ scope: 1, subject_id: 1, currency: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
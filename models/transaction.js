@@ -0,0 +1,52 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'transactions';
+
+/**
+ * A single ledger entry. Every executed transfer writes one entry per account it touches, all
+ * sharing the same transfer_id.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} transfer_id
+ * @property {String} account_id
+ * @property {String} direction
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {Number} fx_rate - The applied rate, for transfers between currencies.
+ * @property {String} counterparty_account
+ * @property {Number} balance_before
+ * @property {Number} balance_after
+ * @property {String} type - The instruction type (DEBIT, CREDIT or REVERSE), or FEE for a fee entry.
+ * @property {String} reversal_of - For a reversal, the transfer_id of the transfer it reverses.
+ * @property {String} reference - The caller reference given with REF.
+ * @property {String} narration - The free text given with NARRATION.
+ * @property {String} instruction
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  transfer_id: { type: SchemaTypes.String, required: true, index: true },
+  account_id: { type: SchemaTypes.String, required: true, index: true },
+  direction: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  fx_rate: { type: SchemaTypes.Number },
+  counterparty_account: { type: SchemaTypes.String },
+  balance_before: { type: SchemaTypes.Number, required: true },
+  balance_after: { type: SchemaTypes.Number, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  reversal_of: { type: SchemaTypes.String, index: true },
+  reference: { type: SchemaTypes.String, index: true },
+  narration: { type: SchemaTypes.String },
+  instruction: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true, index: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ account_id: 1, created: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
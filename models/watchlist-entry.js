@@ -0,0 +1,33 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'watchlist_entries';
+
+/**
+ * An entry of the screening watchlist.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} type - account (an account id), name (a name in references and narrations)
+ * or keyword (a word in narrations).
+ * @property {String} value
+ * @property {String} match - exact, or fuzzy to also catch values within max_distance edits.
+ * @property {Number} max_distance - For fuzzy matching, how many edits still match.
+ * @property {String} action - block, or review to hold matching instructions for a reviewer.
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  type: { type: SchemaTypes.String, required: true, index: true },
+  value: { type: SchemaTypes.String, required: true },
+  match: { type: SchemaTypes.String, default: 'exact' },
+  max_distance: { type: SchemaTypes.Number },
+  action: { type: SchemaTypes.String, default: 'block' },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
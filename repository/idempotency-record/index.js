@@ -0,0 +1,3 @@
+const repositoryFactory = require('@app-core/repository-factory');
+
+module.exports = repositoryFactory('IdempotencyRecord');
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} key_sha256 - The SHA-256 hex digest of the key; keys are never stored.
+ * @property {string} name - Who the key was issued to, e.g. a reviewer or an integration.
+ * @property {'client'|'admin'} role - admin keys may call the admin endpoints.
+ * @property {string} [client_id] - For a client key, the API client whose limits its
+ * instructions count towards.
+ */
+
+let apiKeys;
+
+/**
+ * Reads the issued API keys once. The file holds a `keys` array of ApiKey.
+ * @returns {Array<ApiKey>}
+ */
+function loadApiKeys() {
+  apiKeys = apiKeys || JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).keys;
+  return apiKeys;
+}
+
+/**
+ * Looks up the API key a request presented, in services/api-keys/api-keys.json unless
+ * API_KEYS_FILE is set.
+ * @param {string} key - The key as presented in the X-Api-Key header.
+ * @returns {?ApiKey} The issued key, or null if it was never issued.
+ */
+function findApiKey(key) {
+  const keySha256 = crypto.createHash('sha256').update(key).digest('hex');
+
+  return loadApiKeys().find((apiKey) => apiKey.key_sha256 === keySha256) || null;
+}
+
+module.exports = findApiKey;
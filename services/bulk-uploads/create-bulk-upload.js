@@ -0,0 +1,133 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const { BulkUploadMessages } = require('@app/messages');
+const { processBulkUpload } = require('@app/workers');
+const isLedgerEnabled = require('../payment-processor/is-ledger-enabled');
+const { parseCsv } = require('../csv/csv-format');
+
+const BULK_UPLOAD_MAX_LINES = parseInt(process.env.BULK_UPLOAD_MAX_LINES, 10) || 10_000;
+
+const spec = `root {
+  content string
+  format string(csv|lines)
+  filename? string<trim>
+  locale? string<trim>
+  client_id? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Reads the instructions of an uploaded file. A `lines` file holds one instruction per line. A
+ * CSV file starts with a header row naming an `instruction` column; other columns are ignored.
+ * Blank lines are skipped either way.
+ * @param {string} content
+ * @param {'csv'|'lines'} format
+ * @returns {Array<{line_number: number, instruction: string}>}
+ */
+function readInstructions(content, format) {
+  let instructions;
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    const column = header
+      ? header.fields.findIndex((name) => name.trim().toLowerCase() === 'instruction')
+      : -1;
+
+    if (column === -1) {
+      throwAppError(BulkUploadMessages.MISSING_INSTRUCTION_COLUMN, ERROR_CODE.VALIDATIONERR);
+    }
+
+    instructions = rows.map((row) => ({
+      line_number: row.line_number,
+      instruction: (row.fields[column] || '').trim(),
+    }));
+  } else {
+    instructions = content
+      .split(/\r?\n/)
+      .map((line, index) => ({ line_number: index + 1, instruction: line.trim() }));
+  }
+
+  return instructions.filter((line) => line.instruction);
+}
+
+/**
+ * Accepts a file of payment instructions for processing in the background: stores a job with one
+ * line per instruction and queues it for the bulk-upload worker, which runs every line through
+ * the payment pipeline in file order. Files are run against the account ledger, so the ledger
+ * must be enabled. Every instruction is read in the vocabulary of `locale` and counts towards the
+ * limits of `client_id`. Files may hold up to BULK_UPLOAD_MAX_LINES instructions.
+ * @param {{content: string, format: 'csv'|'lines', filename?: string, locale?: string, client_id?: string}} serviceData
+ * @param {{useLedger?: boolean, session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{job_id: string, status: string, total: number}>}
+ */
+async function createBulkUpload(serviceData, options = {}) {
+  const { content, ...data } = validator.validate(serviceData, parsedSpec);
+
+  if (!isLedgerEnabled(options)) {
+    throwAppError(BulkUploadMessages.REQUIRES_LEDGER, ERROR_CODE.INVLDREQ);
+  }
+
+  const lines = readInstructions(content, data.format);
+
+  if (!lines.length) {
+    throwAppError(BulkUploadMessages.EMPTY_FILE, ERROR_CODE.VALIDATIONERR);
+  }
+
+  if (lines.length > BULK_UPLOAD_MAX_LINES) {
+    throwAppError(
+      BulkUploadMessages.TOO_MANY_LINES(lines.length, BULK_UPLOAD_MAX_LINES),
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  let sessionToUse;
+  let isSessionNative = false;
+  let job;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    job = await BulkUploadJobRepository.create(
+      { ...data, status: 'queued', total: lines.length },
+      { session: sessionToUse }
+    );
+    await BulkUploadLineRepository.createMany({
+      entries: lines.map((line) => ({ ...line, job_id: job._id, status: 'queued' })),
+      options: { session: sessionToUse },
+    });
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'create-bulk-upload-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  await processBulkUpload.scheduleJob({ job_id: job._id });
+
+  return { job_id: job._id, status: job.status, total: job.total };
+}
+
+module.exports = createBulkUpload;
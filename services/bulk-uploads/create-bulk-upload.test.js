@@ -0,0 +1,128 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const workers = require('@app/workers');
+const createBulkUpload = require('./create-bulk-upload');
+
+describe('createBulkUpload', () => {
+  const session = {};
+  let createManyStub;
+  let scheduleJobStub;
+
+  beforeEach(() => {
+    sinon
+      .stub(BulkUploadJobRepository, 'create')
+      .callsFake(async (job) => ({ _id: '01J0000000000000000000000J', ...job }));
+    createManyStub = sinon
+      .stub(BulkUploadLineRepository, 'createMany')
+      .callsFake(async ({ entries }) => entries);
+    scheduleJobStub = sinon.stub(workers.processBulkUpload, 'scheduleJob').resolves();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should store one line per instruction of a newline-delimited file and queue the job', async () => {
+    const result = await createBulkUpload(
+      {
+        content:
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b\n\nDEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c\n',
+        format: 'lines',
+        client_id: 'ops',
+      },
+      { session, useLedger: true }
+    );
+
+    expect(result).to.deep.equal({
+      job_id: '01J0000000000000000000000J',
+      status: 'queued',
+      total: 2,
+    });
+    expect(BulkUploadJobRepository.create.firstCall.args[0]).to.include({
+      format: 'lines',
+      client_id: 'ops',
+      status: 'queued',
+      total: 2,
+    });
+    expect(createManyStub.firstCall.args[0].entries).to.deep.equal([
+      {
+        line_number: 1,
+        instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        job_id: '01J0000000000000000000000J',
+        status: 'queued',
+      },
+      {
+        line_number: 3,
+        instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c',
+        job_id: '01J0000000000000000000000J',
+        status: 'queued',
+      },
+    ]);
+    expect(scheduleJobStub.firstCall.args[0]).to.deep.equal({
+      job_id: '01J0000000000000000000000J',
+    });
+  });
+
+  it('Should read the instruction column of a CSV file, quoted narrations included', async () => {
+    await createBulkUpload(
+      {
+        content:
+          'id,Instruction\r\n1,"DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION ""Rent, May"""\r\n2,DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c\r\n',
+        format: 'csv',
+      },
+      { session, useLedger: true }
+    );
+
+    expect(
+      createManyStub.firstCall.args[0].entries.map(({ line_number: lineNumber, instruction }) => ({
+        lineNumber,
+        instruction,
+      }))
+    ).to.deep.equal([
+      {
+        lineNumber: 2,
+        instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "Rent, May"',
+      },
+      { lineNumber: 3, instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c' },
+    ]);
+  });
+
+  it('Should reject a CSV file without an instruction column', async () => {
+    try {
+      await createBulkUpload(
+        { content: 'id,amount\n1,100\n', format: 'csv' },
+        { session, useLedger: true }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+      expect(scheduleJobStub.called).to.equal(false);
+    }
+  });
+
+  it('Should reject a file without instructions', async () => {
+    try {
+      await createBulkUpload({ content: '\n\n', format: 'lines' }, { session, useLedger: true });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+    }
+  });
+
+  it('Should reject uploads when the account ledger is disabled', async () => {
+    try {
+      await createBulkUpload(
+        { content: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b', format: 'lines' },
+        { session, useLedger: false }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.INVLDREQ);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const { Transform } = require('stream');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const { BulkUploadMessages } = require('@app/messages');
+const { toCsvRow } = require('../csv/csv-format');
+
+const RESULT_COLUMNS = [
+  'line_number',
+  'instruction',
+  'status',
+  'status_code',
+  'status_reason',
+  'transaction_id',
+  'instruction_id',
+  'standing_order_id',
+];
+
+const spec = `root {
+  job_id string<trim|minlength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Returns the result file of a bulk upload job that has finished: a CSV file with one row per
+ * line, in file order, giving its status and the transfer, stored instruction or standing order
+ * it created. The lines are read with a cursor and streamed. A job that failed has results for
+ * the lines run before it stopped; the others are still queued.
+ * @param {{job_id: string}} serviceData
+ * @returns {Promise<{filename: string, stream: import('stream').Readable}>}
+ */
+async function getBulkUploadResults(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const job = await BulkUploadJobRepository.findOne({ query: { _id: data.job_id } });
+
+  if (!job) {
+    throwAppError(BulkUploadMessages.JOB_NOT_FOUND(data.job_id), ERROR_CODE.NOTFOUND);
+  }
+
+  if (!['completed', 'failed'].includes(job.status)) {
+    throwAppError(BulkUploadMessages.RESULTS_NOT_READY(job._id, job.status), ERROR_CODE.INVLDREQ);
+  }
+
+  const cursor = BulkUploadLineRepository.raw()
+    .find({ job_id: job._id })
+    .sort({ line_number: 1 })
+    .lean()
+    .cursor();
+  const csvStream = new Transform({
+    writableObjectMode: true,
+    construct(callback) {
+      this.push(toCsvRow(RESULT_COLUMNS));
+      callback();
+    },
+    transform(line, _, callback) {
+      callback(null, toCsvRow(RESULT_COLUMNS.map((column) => line[column])));
+    },
+  });
+
+  // A cursor error destroys the CSV stream, which fails the response it is piped to.
+  cursor.on('error', (error) => csvStream.destroy(error));
+  cursor.pipe(csvStream);
+
+  return { filename: `bulk-upload-${job._id}-results.csv`, stream: csvStream };
+}
+
+module.exports = getBulkUploadResults;
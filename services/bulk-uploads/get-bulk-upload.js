@@ -0,0 +1,70 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const { BulkUploadMessages } = require('@app/messages');
+
+const DEFAULT_LINE_LIMIT = 100;
+const MAX_LINE_LIMIT = 1000;
+
+const spec = `root {
+  job_id string<trim|minlength:1>
+  offset? number<min:0>
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Reports the progress of a bulk upload job: its status, how many lines have been run, succeeded
+ * and failed, and the results of a page of its lines in file order. Lines that have not been run
+ * yet have the status queued.
+ * @param {{job_id: string, offset?: number, limit?: number}} serviceData - `limit` defaults to 100
+ * lines and is capped at 1000.
+ * @returns {Promise<object>}
+ */
+async function getBulkUpload(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const offset = data.offset || 0;
+  const limit = Math.min(data.limit || DEFAULT_LINE_LIMIT, MAX_LINE_LIMIT);
+
+  const job = await BulkUploadJobRepository.findOne({ query: { _id: data.job_id } });
+
+  if (!job) {
+    throwAppError(BulkUploadMessages.JOB_NOT_FOUND(data.job_id), ERROR_CODE.NOTFOUND);
+  }
+
+  const lines = await BulkUploadLineRepository.findMany({
+    query: { job_id: job._id },
+    options: { sort: { line_number: 1 }, skip: offset, limit },
+  });
+
+  return {
+    job_id: job._id,
+    filename: job.filename || null,
+    format: job.format,
+    status: job.status,
+    status_reason: job.status_reason || null,
+    total: job.total,
+    processed: job.processed,
+    successful: job.successful,
+    failed: job.failed,
+    queued: job.total - job.processed,
+    started_at: job.started_at || null,
+    completed_at: job.completed_at || null,
+    offset,
+    limit,
+    lines: lines.map((line) => ({
+      line_number: line.line_number,
+      instruction: line.instruction,
+      status: line.status,
+      status_code: line.status_code || null,
+      status_reason: line.status_reason || null,
+      transaction_id: line.transaction_id || null,
+      instruction_id: line.instruction_id || null,
+      standing_order_id: line.standing_order_id || null,
+    })),
+  };
+}
+
+module.exports = getBulkUpload;
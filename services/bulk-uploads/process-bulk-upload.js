@@ -0,0 +1,195 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const { BulkUploadMessages, StatusCode } = require('@app/messages');
+const processPaymentInstruction = require('../payment-processor/parse-instruction');
+
+const LINE_BATCH_SIZE = 100;
+// How many times a line is run when the balances it reads change before it posts.
+const LINE_ATTEMPTS = 3;
+
+const spec = `root {
+  job_id string<trim|minlength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Moves a line from queued to processing, so that only one worker ever runs it.
+ * @param {object} line
+ * @returns {Promise<boolean>} Whether the line was still queued and is now claimed.
+ */
+async function claimLine(line) {
+  const updateResult = await BulkUploadLineRepository.updateOne({
+    query: { _id: line._id, status: 'queued' },
+    updateValues: { status: 'processing' },
+  });
+
+  return updateResult.modifiedCount === 1;
+}
+
+/**
+ * Runs the instruction of a line. A ledger conflict, when another transfer moved the same account
+ * in the meantime, is retried and after the last attempt recorded as the failed result of the line.
+ * @param {object} job
+ * @param {object} line
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ * @param {number} [attempt]
+ * @returns {Promise<object>} The instruction result.
+ */
+async function runLineInstruction(job, line, options, attempt = 1) {
+  let result;
+
+  try {
+    result = await processPaymentInstruction(
+      { instruction: line.instruction, locale: job.locale, client_id: job.client_id },
+      options
+    );
+  } catch (error) {
+    const isLedgerConflict = error.errorCode === StatusCode.LEDGER_CONFLICT;
+
+    if (error.context) {
+      result = error.context;
+    } else if (isLedgerConflict && attempt < LINE_ATTEMPTS) {
+      result = await runLineInstruction(job, line, options, attempt + 1);
+    } else if (isLedgerConflict) {
+      result = {
+        status: 'failed',
+        status_code: StatusCode.LEDGER_CONFLICT,
+        status_reason: error.message,
+      };
+    } else {
+      throw error;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Runs one line of a bulk upload through the payment pipeline and records its result on the line
+ * and in the counts of the job. The line is claimed first and skipped if it is no longer queued.
+ * A failed instruction is a result like any other; only unexpected errors, which carry no
+ * instruction result, are thrown.
+ * @param {object} job
+ * @param {object} line
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ */
+async function processLine(job, line, options) {
+  if (!(await claimLine(line))) return;
+
+  const result = await runLineInstruction(job, line, options);
+
+  await BulkUploadLineRepository.updateOne({
+    query: { _id: line._id },
+    updateValues: {
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+      ...(result.transaction_id && { transaction_id: result.transaction_id }),
+      ...(result.instruction_id && { instruction_id: result.instruction_id }),
+      ...(result.standing_order_id && { standing_order_id: result.standing_order_id }),
+    },
+  });
+  await BulkUploadJobRepository.updateOne({
+    query: { _id: job._id },
+    updateValues: {
+      $inc: { processed: 1, [result.status === 'failed' ? 'failed' : 'successful']: 1 },
+    },
+  });
+}
+
+/**
+ * Marks a job failed because of an unexpected error while one of its lines was being run.
+ * @param {object} job
+ * @param {number} lineNumber
+ */
+async function failJob(job, lineNumber) {
+  await BulkUploadJobRepository.updateOne({
+    query: { _id: job._id },
+    updateValues: {
+      status: 'failed',
+      status_reason: BulkUploadMessages.JOB_FAILED(lineNumber),
+      completed_at: Date.now(),
+    },
+  });
+}
+
+/**
+ * Runs the lines of a job that are still queued, in file order, a batch at a time so that large
+ * files are never loaded whole.
+ * @param {object} job
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ */
+async function processQueuedLines(job, options) {
+  const lines = await BulkUploadLineRepository.findMany({
+    query: { job_id: job._id, status: 'queued' },
+    options: { sort: { line_number: 1 }, limit: LINE_BATCH_SIZE },
+  });
+
+  await lines.reduce(async (previous, line) => {
+    await previous;
+
+    try {
+      await processLine(job, line, options);
+    } catch (error) {
+      appLogger.errorX(error, 'process-bulk-upload-error');
+      await failJob(job, line.line_number);
+      throw error;
+    }
+  }, Promise.resolve());
+
+  if (lines.length === LINE_BATCH_SIZE) {
+    await processQueuedLines(job, options);
+  }
+}
+
+/**
+ * Processes a bulk upload job: runs every queued line through the payment pipeline against the
+ * account ledger, one after the other, and marks the job completed. Lines are run once each, so a
+ * job that is delivered again resumes at its first queued line, and a job that already finished is
+ * left as it is. A line that was interrupted mid-run stays processing and is never run again,
+ * since its transfer may have been posted. A ledger conflict only fails its line; any other
+ * unexpected error stops the job and marks it failed, and the lines after it stay queued.
+ * @param {{job_id: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options] - Options passed on to
+ * processPaymentInstruction.
+ * @returns {Promise<{job_id: string, status: string, total: number, processed: number, successful: number, failed: number}>}
+ */
+async function processBulkUpload(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  let job = await BulkUploadJobRepository.findOne({ query: { _id: data.job_id } });
+
+  if (!job) {
+    throwAppError(BulkUploadMessages.JOB_NOT_FOUND(data.job_id), ERROR_CODE.NOTFOUND);
+  }
+
+  if (['queued', 'processing'].includes(job.status)) {
+    await BulkUploadJobRepository.updateOne({
+      query: { _id: job._id },
+      updateValues: { status: 'processing', started_at: job.started_at || Date.now() },
+    });
+
+    await processQueuedLines(job, { ...options, useLedger: true });
+
+    await BulkUploadJobRepository.updateOne({
+      query: { _id: job._id },
+      updateValues: { status: 'completed', completed_at: Date.now() },
+    });
+    job = await BulkUploadJobRepository.findOne({ query: { _id: job._id } });
+  }
+
+  return {
+    job_id: job._id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    successful: job.successful,
+    failed: job.failed,
+  };
+}
+
+module.exports = processBulkUpload;
@@ -0,0 +1,187 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const BulkUploadJobRepository = require('@app/repository/bulk-upload-job');
+const BulkUploadLineRepository = require('@app/repository/bulk-upload-line');
+const TransactionRepository = require('@app/repository/transaction');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const processBulkUpload = require('./process-bulk-upload');
+
+describe('processBulkUpload', () => {
+  const session = {};
+  const job = {
+    _id: '01J0000000000000000000000J',
+    format: 'lines',
+    client_id: 'ops',
+    status: 'queued',
+    total: 2,
+    processed: 0,
+    successful: 0,
+    failed: 0,
+  };
+  const lines = [
+    {
+      _id: '01J0000000000000000000000A',
+      job_id: job._id,
+      line_number: 1,
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      status: 'queued',
+    },
+    {
+      _id: '01J0000000000000000000000B',
+      job_id: job._id,
+      line_number: 2,
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT zz',
+      status: 'queued',
+    },
+  ];
+  let jobUpdateStub;
+  let lineUpdateStub;
+
+  beforeEach(() => {
+    jobUpdateStub = sinon
+      .stub(BulkUploadJobRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    lineUpdateStub = sinon
+      .stub(BulkUploadLineRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 800, currency: 'USD' },
+      { account_id: 'b', balance: 200, currency: 'USD' },
+    ]);
+    sinon.stub(TransactionRepository, 'createMany').callsFake(async ({ entries }) => entries);
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should run every queued line, record its result and complete the job', async () => {
+    sinon
+      .stub(BulkUploadJobRepository, 'findOne')
+      .onFirstCall()
+      .resolves(job)
+      .onSecondCall()
+      .resolves({ ...job, status: 'completed', processed: 2, successful: 1, failed: 1 });
+    sinon.stub(BulkUploadLineRepository, 'findMany').resolves(lines);
+
+    const summary = await processBulkUpload({ job_id: job._id }, { session });
+
+    expect(summary).to.deep.equal({
+      job_id: job._id,
+      status: 'completed',
+      total: 2,
+      processed: 2,
+      successful: 1,
+      failed: 1,
+    });
+    expect(lineUpdateStub.getCall(0).args[0]).to.deep.equal({
+      query: { _id: lines[0]._id, status: 'queued' },
+      updateValues: { status: 'processing' },
+    });
+    expect(lineUpdateStub.getCall(1).args[0].updateValues).to.include({
+      status: 'successful',
+      status_code: StatusCode.TRANSACTION_SUCCESSFUL,
+    });
+    expect(lineUpdateStub.getCall(1).args[0].updateValues.transaction_id).to.be.a('string');
+    expect(lineUpdateStub.getCall(3).args[0]).to.deep.include({ query: { _id: lines[1]._id } });
+    expect(lineUpdateStub.getCall(3).args[0].updateValues).to.include({
+      status: 'failed',
+      status_code: StatusCode.ACCOUNT_NOT_FOUND,
+    });
+    expect(
+      jobUpdateStub.getCalls().map((call) => call.args[0].updateValues.$inc || null)
+    ).to.deep.include.members([
+      { processed: 1, successful: 1 },
+      { processed: 1, failed: 1 },
+    ]);
+    expect(jobUpdateStub.lastCall.args[0].updateValues.status).to.equal('completed');
+  });
+
+  it('Should skip a line that is no longer queued when its turn comes', async () => {
+    sinon.stub(BulkUploadJobRepository, 'findOne').resolves(job);
+    sinon.stub(BulkUploadLineRepository, 'findMany').resolves(lines);
+    lineUpdateStub.onFirstCall().resolves({ acknowledged: true, modifiedCount: 0 });
+
+    await processBulkUpload({ job_id: job._id }, { session });
+
+    expect(lineUpdateStub.callCount).to.equal(3);
+    expect(lineUpdateStub.getCall(1).args[0].query).to.deep.equal({
+      _id: lines[1]._id,
+      status: 'queued',
+    });
+    expect(TransactionRepository.createMany.called).to.equal(false);
+    expect(
+      jobUpdateStub.getCalls().filter((call) => call.args[0].updateValues.$inc)
+    ).to.have.lengthOf(1);
+  });
+
+  it('Should retry a line after a ledger conflict and record it failed if the conflict persists', async () => {
+    sinon
+      .stub(BulkUploadJobRepository, 'findOne')
+      .onFirstCall()
+      .resolves(job)
+      .onSecondCall()
+      .resolves({ ...job, status: 'completed', processed: 2, successful: 1, failed: 1 })
+      .onThirdCall()
+      .resolves(job)
+      .onCall(3)
+      .resolves({ ...job, status: 'completed', processed: 2, failed: 2 });
+    sinon.stub(BulkUploadLineRepository, 'findMany').resolves(lines);
+    AccountRepository.updateOne.onFirstCall().resolves({ acknowledged: true, modifiedCount: 0 });
+
+    await processBulkUpload({ job_id: job._id }, { session });
+
+    expect(lineUpdateStub.getCall(1).args[0].updateValues).to.include({
+      status: 'successful',
+    });
+
+    lineUpdateStub.resetHistory();
+    jobUpdateStub.resetHistory();
+    TransactionRepository.createMany.resetHistory();
+    AccountRepository.updateOne.resolves({ acknowledged: true, modifiedCount: 0 });
+
+    const summary = await processBulkUpload({ job_id: job._id }, { session });
+
+    expect(summary.status).to.equal('completed');
+    expect(lineUpdateStub.getCall(1).args[0].updateValues).to.include({
+      status: 'failed',
+      status_code: StatusCode.LEDGER_CONFLICT,
+    });
+    expect(TransactionRepository.createMany.called).to.equal(false);
+    expect(jobUpdateStub.lastCall.args[0].updateValues.status).to.equal('completed');
+  });
+
+  it('Should leave a job that already finished as it is', async () => {
+    sinon
+      .stub(BulkUploadJobRepository, 'findOne')
+      .resolves({ ...job, status: 'completed', processed: 2, successful: 2 });
+    const findManyStub = sinon.stub(BulkUploadLineRepository, 'findMany').resolves([]);
+
+    const summary = await processBulkUpload({ job_id: job._id }, { session });
+
+    expect(summary.status).to.equal('completed');
+    expect(findManyStub.called).to.equal(false);
+    expect(jobUpdateStub.called).to.equal(false);
+  });
+
+  it('Should mark the job failed at the line an unexpected error stopped it', async () => {
+    sinon.stub(BulkUploadJobRepository, 'findOne').resolves(job);
+    sinon.stub(BulkUploadLineRepository, 'findMany').resolves(lines);
+    lineUpdateStub.rejects(new Error('connection lost'));
+
+    try {
+      await processBulkUpload({ job_id: job._id }, { session });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.message).to.equal('connection lost');
+      expect(jobUpdateStub.lastCall.args[0].updateValues).to.include({ status: 'failed' });
+      expect(jobUpdateStub.lastCall.args[0].updateValues.status_reason).to.include('line 1');
+    }
+  });
+});
@@ -0,0 +1,97 @@
+// A number written as text, such as a signed amount from toFixed, which no spreadsheet reads as a
+// formula.
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Writes one CSV field. Fields containing a separator, a quote or a line break are quoted, and
+ * text that a spreadsheet would read as a formula is prefixed with an apostrophe; negative
+ * numbers are left as they are.
+ * @param {?(string|number)} value - null and undefined are written as empty fields.
+ * @returns {string}
+ */
+function toCsvField(value) {
+  let field = '';
+
+  if (typeof value === 'number') {
+    field = String(value);
+  } else if (typeof value === 'string') {
+    const isFormula = /^[=+\-@]/.test(value) && !NUMBER_PATTERN.test(value);
+    const text = isFormula ? `'${value}` : value;
+    field = /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  return field;
+}
+
+/**
+ * Writes one CSV row, ended by CRLF.
+ * @param {Array<?(string|number)>} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Reads CSV text into rows of fields. Quoted fields may contain separators, doubled quotes and
+ * line breaks; rows end with LF or CRLF. Empty rows are skipped.
+ * @param {string} text
+ * @returns {Array<{line_number: number, fields: Array<string>}>} The rows, each with the line of
+ * the text it starts on.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let isQuoted = false;
+  let lineNumber = 1;
+  let rowLineNumber = 1;
+  let index = 0;
+
+  const endRow = () => {
+    fields.push(field);
+
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line_number: rowLineNumber, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (isQuoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+        lineNumber += char === '\n' ? 1 : 0;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+      lineNumber += 1;
+      rowLineNumber = lineNumber;
+    } else if (char !== '\r') {
+      field += char;
+    }
+
+    index += 1;
+  }
+
+  if (field !== '' || fields.length) {
+    endRow();
+  }
+
+  return rows;
+}
+
+module.exports = { toCsvField, toCsvRow, parseCsv };
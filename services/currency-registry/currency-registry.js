@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const CurrencyRepository = require('@app/repository/currency');
+
+const CURRENCY_REGISTRY_SOURCE = process.env.CURRENCY_REGISTRY_SOURCE || 'config';
+const CURRENCY_REGISTRY_FILE =
+  process.env.CURRENCY_REGISTRY_FILE || path.join(__dirname, 'currencies.json');
+const CURRENCY_REGISTRY_TTL_MS = parseInt(process.env.CURRENCY_REGISTRY_TTL_MS, 10) || 60_000;
+
+/**
+ * @typedef {Object} Currency
+ * @property {string} code - ISO 4217 code.
+ * @property {number} minor_units - Number of decimal places (0, 2 or 3).
+ * @property {string} symbol - Display symbol.
+ * @property {boolean} enabled - Whether payments may use the currency.
+ */
+
+const configuredCurrencies = JSON.parse(fs.readFileSync(CURRENCY_REGISTRY_FILE, 'utf8'));
+
+let currencies = new Map(configuredCurrencies.map((currency) => [currency.code, currency]));
+let loadedAt = 0;
+
+/**
+ * Tells whether the registry is managed in the database (CURRENCY_REGISTRY_SOURCE=database)
+ * rather than read from the config file only.
+ * @returns {boolean}
+ */
+function isDatabaseRegistry() {
+  return CURRENCY_REGISTRY_SOURCE === 'database';
+}
+
+/**
+ * Reloads the registry from the database when it is the source and the cached copy is older than
+ * CURRENCY_REGISTRY_TTL_MS. Database records override configured currencies of the same code.
+ * @param {{force?: boolean}} [options] - `force` reloads regardless of the cache age.
+ * @returns {Promise<void>}
+ */
+async function loadCurrencyRegistry(options = {}) {
+  if (!isDatabaseRegistry()) return;
+  if (!options.force && Date.now() - loadedAt < CURRENCY_REGISTRY_TTL_MS) return;
+
+  const storedCurrencies = await CurrencyRepository.findMany({ query: {} });
+  const merged = new Map(configuredCurrencies.map((currency) => [currency.code, currency]));
+
+  storedCurrencies.forEach((currency) => {
+    merged.set(currency.code, {
+      code: currency.code,
+      minor_units: currency.minor_units,
+      symbol: currency.symbol,
+      enabled: currency.enabled,
+    });
+  });
+
+  currencies = merged;
+  loadedAt = Date.now();
+}
+
+/**
+ * Returns a currency of the registry, enabled or not.
+ * @param {string} code - The uppercase ISO 4217 code.
+ * @returns {?Currency}
+ */
+function getCurrency(code) {
+  return currencies.get(code) || null;
+}
+
+/**
+ * Returns every currency of the registry.
+ * @returns {Array<Currency>}
+ */
+function listCurrencies() {
+  return [...currencies.values()];
+}
+
+/**
+ * Tells whether payments may use a currency.
+ * @param {string} code - The uppercase ISO 4217 code.
+ * @returns {boolean}
+ */
+function isCurrencyEnabled(code) {
+  return Boolean(getCurrency(code)?.enabled);
+}
+
+/**
+ * Returns the codes of the currencies payments may use, in registry order.
+ * @returns {Array<string>}
+ */
+function getEnabledCurrencyCodes() {
+  return listCurrencies()
+    .filter((currency) => currency.enabled)
+    .map((currency) => currency.code);
+}
+
+module.exports = {
+  isDatabaseRegistry,
+  loadCurrencyRegistry,
+  getCurrency,
+  listCurrencies,
+  isCurrencyEnabled,
+  getEnabledCurrencyCodes,
+};
@@ -0,0 +1,29 @@
+const validator = require('@app-core/validator');
+const { loadCurrencyRegistry, listCurrencies } = require('./currency-registry');
+
+const spec = `root {
+  enabled? string(true|false)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Lists the currencies of the registry, optionally only the enabled or disabled ones.
+ * @param {{enabled?: 'true'|'false'}} serviceData - Usually the request query.
+ * @returns {Promise<Array<import('./currency-registry').Currency>>}
+ */
+async function getCurrencies(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  await loadCurrencyRegistry();
+
+  let currencies = listCurrencies();
+
+  if (data.enabled) {
+    currencies = currencies.filter((currency) => currency.enabled === (data.enabled === 'true'));
+  }
+
+  return currencies;
+}
+
+module.exports = getCurrencies;
@@ -0,0 +1,24 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const getCurrencies = require('./get-currencies');
+
+describe('getCurrencies', () => {
+  it('Should list every configured currency with its minor units and symbol', async () => {
+    const currencies = await getCurrencies({});
+
+    expect(currencies.map((currency) => currency.code)).to.include.members(['NGN', 'EUR', 'KWD']);
+    expect(currencies.find((currency) => currency.code === 'KWD')).to.deep.equal({
+      code: 'KWD',
+      minor_units: 3,
+      symbol: 'KD',
+      enabled: false,
+    });
+  });
+
+  it('Should filter currencies by their enabled flag', async () => {
+    const currencies = await getCurrencies({ enabled: 'true' });
+
+    expect(currencies.map((currency) => currency.code)).to.deep.equal(['NGN', 'USD', 'GBP', 'GHS']);
+  });
+});
@@ -0,0 +1,57 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const CurrencyRepository = require('@app/repository/currency');
+const { CurrencyMessages } = require('@app/messages');
+const { isDatabaseRegistry, loadCurrencyRegistry, getCurrency } = require('./currency-registry');
+
+const spec = `root {
+  code string<trim|uppercase|length:3>
+  enabled boolean
+  minor_units? number<min:0|max:3>
+  symbol? string<trim|minlength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Enables or disables a currency, adding it to the registry if it is new. The minor units of a
+ * known currency never change, since stored amounts depend on them. Only available when the
+ * registry is managed in the database; the change reaches other instances when their cached
+ * registry expires. Changes apply to every payment, so the endpoint only accepts admin API keys.
+ * @param {{code: string, enabled: boolean, minor_units?: number, symbol?: string}} serviceData
+ * @returns {Promise<import('./currency-registry').Currency>} The updated currency.
+ */
+async function updateCurrency(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  if (!isDatabaseRegistry()) {
+    throwAppError(CurrencyMessages.REGISTRY_READ_ONLY, ERROR_CODE.INVLDREQ);
+  }
+
+  await loadCurrencyRegistry({ force: true });
+
+  const existingCurrency = getCurrency(data.code);
+
+  if (!existingCurrency && (data.minor_units === undefined || !data.symbol)) {
+    throwAppError(CurrencyMessages.MISSING_CURRENCY_DETAILS(data.code), ERROR_CODE.VALIDATIONERR);
+  }
+
+  const storedCurrency = await CurrencyRepository.findOne({ query: { code: data.code } });
+  const values = {
+    minor_units: existingCurrency ? existingCurrency.minor_units : data.minor_units,
+    symbol: data.symbol || existingCurrency.symbol,
+    enabled: data.enabled,
+  };
+
+  if (storedCurrency) {
+    await CurrencyRepository.updateOne({ query: { code: data.code }, updateValues: values });
+  } else {
+    await CurrencyRepository.create({ code: data.code, ...values });
+  }
+
+  await loadCurrencyRegistry({ force: true });
+
+  return getCurrency(data.code);
+}
+
+module.exports = updateCurrency;
@@ -0,0 +1,134 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const CurrencyRepository = require('@app/repository/currency');
+const updateCurrency = require('./update-currency');
+
+const registryPath = require.resolve('./currency-registry');
+const updateCurrencyPath = require.resolve('./update-currency');
+
+describe('updateCurrency', () => {
+  it('Should refuse updates while the registry is read from config', async () => {
+    try {
+      await updateCurrency({ code: 'eur', enabled: true });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.INVLDREQ);
+    }
+  });
+
+  describe('with the registry in the database', () => {
+    const cachedModules = {};
+    let storedCurrencies;
+    let updateDatabaseCurrency;
+
+    // The registry source is read once when the module loads, so both modules are loaded again.
+    before(() => {
+      cachedModules[registryPath] = require.cache[registryPath];
+      cachedModules[updateCurrencyPath] = require.cache[updateCurrencyPath];
+      delete require.cache[registryPath];
+      delete require.cache[updateCurrencyPath];
+      process.env.CURRENCY_REGISTRY_SOURCE = 'database';
+      // eslint-disable-next-line global-require
+      updateDatabaseCurrency = require('./update-currency');
+    });
+
+    after(() => {
+      delete process.env.CURRENCY_REGISTRY_SOURCE;
+      Object.assign(require.cache, cachedModules);
+    });
+
+    beforeEach(() => {
+      storedCurrencies = [];
+      sinon.stub(CurrencyRepository, 'findMany').callsFake(async () => storedCurrencies);
+      sinon
+        .stub(CurrencyRepository, 'findOne')
+        .callsFake(async ({ query }) => storedCurrencies.find(({ code }) => code === query.code));
+      sinon.stub(CurrencyRepository, 'create').callsFake(async (currency) => {
+        storedCurrencies.push(currency);
+        return currency;
+      });
+      sinon.stub(CurrencyRepository, 'updateOne').callsFake(async ({ query, updateValues }) => {
+        Object.assign(
+          storedCurrencies.find(({ code }) => code === query.code),
+          updateValues
+        );
+        return { acknowledged: true, modifiedCount: 1 };
+      });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('Should require the minor units and symbol of a new currency', async () => {
+      try {
+        await updateDatabaseCurrency({ code: 'chf', enabled: true, symbol: 'Fr' });
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+        expect(error.message).to.include('CHF');
+        expect(CurrencyRepository.create.called).to.equal(false);
+      }
+    });
+
+    it('Should reject minor units outside the range of ISO 4217', async () => {
+      try {
+        await updateDatabaseCurrency({ code: 'chf', enabled: true, minor_units: 4, symbol: 'Fr' });
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.errorCode).to.equal('SPCL_VALIDATION');
+        expect(error.message).to.include('minor_units');
+        expect(CurrencyRepository.create.called).to.equal(false);
+      }
+    });
+
+    it('Should add a new currency to the registry', async () => {
+      const currency = await updateDatabaseCurrency({
+        code: 'chf',
+        enabled: true,
+        minor_units: 2,
+        symbol: 'Fr',
+      });
+
+      expect(currency).to.deep.equal({ code: 'CHF', minor_units: 2, symbol: 'Fr', enabled: true });
+      expect(CurrencyRepository.create.firstCall.args[0]).to.deep.equal({
+        code: 'CHF',
+        minor_units: 2,
+        symbol: 'Fr',
+        enabled: true,
+      });
+    });
+
+    it('Should keep the minor units of a known currency', async () => {
+      const configuredCurrency = await updateDatabaseCurrency({
+        code: 'kwd',
+        enabled: true,
+        minor_units: 2,
+      });
+      const storedCurrency = await updateDatabaseCurrency({
+        code: 'kwd',
+        enabled: false,
+        minor_units: 0,
+        symbol: 'KWD',
+      });
+
+      expect(configuredCurrency).to.deep.equal({
+        code: 'KWD',
+        minor_units: 3,
+        symbol: 'KD',
+        enabled: true,
+      });
+      expect(storedCurrency).to.deep.equal({
+        code: 'KWD',
+        minor_units: 3,
+        symbol: 'KWD',
+        enabled: false,
+      });
+      expect(CurrencyRepository.create.calledOnce).to.equal(true);
+      expect(CurrencyRepository.updateOne.firstCall.args[0].updateValues.minor_units).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { RoundingMode, convertMinorAmount } = require('../fx/convert-minor-amount');
+const { roundToMinorUnits } = require('../payment-processor/minor-units');
+
+const FEE_RULES_FILE = process.env.FEE_RULES_FILE || path.join(__dirname, 'fee-rules.json');
+const { FEE_ACCOUNT_ID } = process.env;
+
+const FeeBearer = {
+  SENDER: 'sender',
+  RECIPIENT: 'recipient',
+};
+
+/**
+ * A fee rule. Amounts are in major units of the instruction currency.
+ * @typedef {Object} FeeRule
+ * @property {string} [currency] - Only applies to instructions in this currency; any currency if absent.
+ * @property {'flat'|'percentage'|'tiered'} type
+ * @property {number} [amount] - The fee of a flat rule.
+ * @property {number} [percentage] - The fee of a percentage rule, e.g. 1.5 for 1.5%.
+ * @property {Array<{up_to?: number, amount?: number, percentage?: number}>} [tiers] - The bands of a
+ * tiered rule, in ascending order. The first band whose `up_to` is at least the amount applies; a
+ * band without `up_to` covers everything above. Each band charges a flat amount or a percentage.
+ * @property {number} [min] - Lower cap of the fee.
+ * @property {number} [max] - Upper cap of the fee.
+ * @property {'sender'|'recipient'} [bearer] - Who pays: `sender` (default) is debited the fee on
+ * top of the amount, `recipient` receives the amount less the fee.
+ * @property {string} [fee_account] - The account credited with the fee; FEE_ACCOUNT_ID if absent.
+ */
+
+let feeRules;
+
+/**
+ * Reads the fee rules once, from services/fees/fee-rules.json unless FEE_RULES_FILE is set.
+ * @returns {Array<FeeRule>}
+ */
+function loadFeeRules() {
+  feeRules = feeRules || JSON.parse(fs.readFileSync(FEE_RULES_FILE, 'utf8'));
+  return feeRules;
+}
+
+/**
+ * Computes a flat or percentage charge in minor units. Percentages are rounded half up.
+ * @param {{amount?: number, percentage?: number}} charge
+ * @param {number} amountMinor
+ * @param {string} currency
+ * @returns {number}
+ */
+function computeCharge(charge, amountMinor, currency) {
+  let feeMinor = 0;
+
+  if (charge.percentage !== undefined) {
+    // Dividing by 10^2 through the exponents keeps the percentage exact.
+    feeMinor = convertMinorAmount(
+      { amountMinor, rate: charge.percentage, fromExponent: 2, toExponent: 0 },
+      RoundingMode.HALF_UP
+    );
+  } else if (charge.amount !== undefined) {
+    feeMinor = roundToMinorUnits(charge.amount, currency);
+  }
+
+  return feeMinor;
+}
+
+/**
+ * Computes the fee of a rule, before caps, in minor units.
+ * @param {FeeRule} rule
+ * @param {number} amountMinor
+ * @param {string} currency
+ * @returns {number}
+ */
+function computeRuleFee(rule, amountMinor, currency) {
+  let charge = rule;
+
+  if (rule.type === 'tiered') {
+    charge =
+      rule.tiers.find(
+        (tier) => tier.up_to === undefined || amountMinor <= roundToMinorUnits(tier.up_to, currency)
+      ) || {};
+  }
+
+  return computeCharge(charge, amountMinor, currency);
+}
+
+/**
+ * Works out the fee of an instruction from the first fee rule matching its currency.
+ * @param {{amountMinor: number, currency: string}} instruction - The amount and its currency.
+ * @param {Array<FeeRule>} [rules] - The configured fee rules unless given.
+ * @returns {{feeMinor: number, bearer: ?string, feeAccount: ?string}} A zero fee with no bearer
+ * when no rule applies.
+ */
+function calculateFee(instruction, rules = loadFeeRules()) {
+  const { amountMinor, currency } = instruction;
+  const rule = rules.find((feeRule) => !feeRule.currency || feeRule.currency === currency);
+  let fee = { feeMinor: 0, bearer: null, feeAccount: null };
+
+  if (rule) {
+    let feeMinor = computeRuleFee(rule, amountMinor, currency);
+
+    if (rule.min !== undefined) {
+      feeMinor = Math.max(feeMinor, roundToMinorUnits(rule.min, currency));
+    }
+    if (rule.max !== undefined) {
+      feeMinor = Math.min(feeMinor, roundToMinorUnits(rule.max, currency));
+    }
+
+    fee = {
+      feeMinor,
+      bearer: rule.bearer || FeeBearer.SENDER,
+      feeAccount: rule.fee_account || FEE_ACCOUNT_ID || null,
+    };
+  }
+
+  return fee;
+}
+
+/**
+ * Shares a fee out between amounts in proportion to their size, e.g. between the legs of a split
+ * instruction. Shares are rounded down and the minor units left over go to the first amounts, so
+ * the shares always add up to the fee.
+ * @param {number} feeMinor
+ * @param {Array<number>} amountsMinor
+ * @returns {Array<number>} The share of each amount, in minor units.
+ */
+function allocateFee(feeMinor, amountsMinor) {
+  const totalMinor = amountsMinor.reduce((total, amountMinor) => total + amountMinor, 0);
+  const shares = amountsMinor.map((amountMinor) =>
+    Number((BigInt(feeMinor) * BigInt(amountMinor)) / BigInt(totalMinor))
+  );
+  let leftOverMinor = feeMinor - shares.reduce((total, share) => total + share, 0);
+
+  return shares.map((share) => {
+    if (leftOverMinor === 0) return share;
+    leftOverMinor -= 1;
+    return share + 1;
+  });
+}
+
+module.exports = {
+  FeeBearer,
+  allocateFee,
+  calculateFee,
+};
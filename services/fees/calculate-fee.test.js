@@ -0,0 +1,52 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { allocateFee, calculateFee } = require('./calculate-fee');
+
+describe('calculateFee', () => {
+  it('Should charge nothing when no rule matches the currency', () => {
+    const rules = [{ currency: 'NGN', type: 'flat', amount: 50 }];
+
+    expect(calculateFee({ amountMinor: 10000, currency: 'USD' }, rules)).to.deep.equal({
+      feeMinor: 0,
+      bearer: null,
+      feeAccount: null,
+    });
+  });
+
+  it('Should apply a percentage fee within its caps', () => {
+    const rules = [{ type: 'percentage', percentage: 0.7, min: 1, max: 20, fee_account: 'fees' }];
+
+    // 0.7% of 1000.00 is 7.00; of 50.00 it is 0.35, raised to the 1.00 minimum.
+    expect(calculateFee({ amountMinor: 100000, currency: 'USD' }, rules)).to.deep.equal({
+      feeMinor: 700,
+      bearer: 'sender',
+      feeAccount: 'fees',
+    });
+    expect(calculateFee({ amountMinor: 5000, currency: 'USD' }, rules).feeMinor).to.equal(100);
+    expect(calculateFee({ amountMinor: 1000000, currency: 'USD' }, rules).feeMinor).to.equal(2000);
+  });
+
+  it('Should pick the band of a tiered rule that covers the amount', () => {
+    const rules = [
+      {
+        currency: 'NGN',
+        type: 'tiered',
+        bearer: 'recipient',
+        tiers: [{ up_to: 5000, amount: 10 }, { up_to: 50000, amount: 25 }, { percentage: 0.1 }],
+      },
+    ];
+
+    expect(calculateFee({ amountMinor: 500000, currency: 'NGN' }, rules).feeMinor).to.equal(1000);
+    expect(calculateFee({ amountMinor: 500001, currency: 'NGN' }, rules).feeMinor).to.equal(2500);
+    expect(calculateFee({ amountMinor: 10000000, currency: 'NGN' }, rules)).to.include({
+      feeMinor: 10000,
+      bearer: 'recipient',
+    });
+  });
+
+  it('Should share a fee between amounts without losing a minor unit', () => {
+    expect(allocateFee(100, [6000, 4000])).to.deep.equal([60, 40]);
+    expect(allocateFee(100, [1, 1, 1])).to.deep.equal([34, 33, 33]);
+  });
+});
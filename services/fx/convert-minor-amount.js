@@ -0,0 +1,77 @@
+const RoundingMode = {
+  HALF_UP: 'half_up',
+  HALF_EVEN: 'half_even',
+  DOWN: 'down',
+  UP: 'up',
+};
+
+const FX_ROUNDING_MODE = Object.values(RoundingMode).includes(process.env.FX_ROUNDING_MODE)
+  ? process.env.FX_ROUNDING_MODE
+  : RoundingMode.HALF_UP;
+
+/**
+ * Splits a rate into its decimal digits and the number of digits after the decimal point, so
+ * that 1907.25 becomes { digits: 190725n, scale: 2 }.
+ * @param {number} rate
+ * @returns {{digits: bigint, scale: number}}
+ */
+function toDecimalParts(rate) {
+  const text = String(rate).includes('e') ? rate.toFixed(20) : String(rate);
+  const [whole, fraction = ''] = text.split('.');
+
+  return { digits: BigInt(whole + fraction), scale: fraction.length };
+}
+
+/**
+ * Rounds the quotient of a positive integer division according to a rounding mode.
+ * @param {bigint} numerator
+ * @param {bigint} denominator
+ * @param {string} roundingMode - One of RoundingMode.
+ * @returns {bigint}
+ */
+function divideAndRound(numerator, denominator, roundingMode) {
+  const quotient = numerator / denominator;
+  const doubledRemainder = (numerator % denominator) * 2n;
+  let roundUp;
+
+  switch (roundingMode) {
+    case RoundingMode.DOWN:
+      roundUp = false;
+      break;
+    case RoundingMode.UP:
+      roundUp = doubledRemainder > 0n;
+      break;
+    case RoundingMode.HALF_EVEN:
+      roundUp =
+        doubledRemainder > denominator ||
+        (doubledRemainder === denominator && quotient % 2n === 1n);
+      break;
+    default:
+      roundUp = doubledRemainder >= denominator;
+  }
+
+  return roundUp ? quotient + 1n : quotient;
+}
+
+/**
+ * Converts an amount in minor units of one currency to minor units of another. The calculation is
+ * done on exact decimals and rounded once, with the FX_ROUNDING_MODE environment variable
+ * (`half_up`, the default, `half_even`, `down` or `up`) unless a mode is passed in.
+ * @param {{amountMinor: number, rate: number, fromExponent: number, toExponent: number}} conversion
+ * @param {string} [roundingMode]
+ * @returns {number} The converted amount in minor units of the target currency.
+ */
+function convertMinorAmount(conversion, roundingMode = FX_ROUNDING_MODE) {
+  const { digits, scale } = toDecimalParts(conversion.rate);
+
+  const numerator = BigInt(conversion.amountMinor) * digits * 10n ** BigInt(conversion.toExponent);
+  const denominator = 10n ** BigInt(scale + conversion.fromExponent);
+
+  return Number(divideAndRound(numerator, denominator, roundingMode));
+}
+
+module.exports = {
+  FX_ROUNDING_MODE,
+  RoundingMode,
+  convertMinorAmount,
+};
@@ -0,0 +1,40 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { RoundingMode, convertMinorAmount } = require('./convert-minor-amount');
+const jsonRateProvider = require('./json-rate-provider');
+
+describe('convertMinorAmount', () => {
+  const conversion = { amountMinor: 1005, rate: 0.5, fromExponent: 2, toExponent: 2 };
+
+  it('Should convert between currencies with different minor units', () => {
+    expect(
+      convertMinorAmount({ amountMinor: 1, rate: 1450, fromExponent: 2, toExponent: 0 })
+    ).to.equal(15);
+    expect(
+      convertMinorAmount({ amountMinor: 2, rate: 0.001, fromExponent: 0, toExponent: 3 })
+    ).to.equal(2);
+  });
+
+  it('Should apply the requested rounding mode to the exact result', () => {
+    // 1005 * 0.5 = 502.5 minor units.
+    expect(convertMinorAmount(conversion, RoundingMode.HALF_UP)).to.equal(503);
+    expect(convertMinorAmount(conversion, RoundingMode.HALF_EVEN)).to.equal(502);
+    expect(convertMinorAmount(conversion, RoundingMode.DOWN)).to.equal(502);
+    expect(convertMinorAmount({ ...conversion, rate: 0.4999 }, RoundingMode.UP)).to.equal(503);
+  });
+
+  it('Should not drift on rates that are inexact in binary', () => {
+    expect(
+      convertMinorAmount({ amountMinor: 100, rate: 1.1, fromExponent: 2, toExponent: 2 })
+    ).to.equal(110);
+  });
+
+  it('Should derive cross rates from the local rate table', async () => {
+    const quote = await jsonRateProvider.getRate({ from: 'GBP', to: 'NGN' });
+
+    expect(quote.rate).to.equal(1907.8947368421);
+    expect(quote.timestamp).to.equal('2025-11-17T00:00:00.000Z');
+    expect(await jsonRateProvider.getRate({ from: 'USD', to: 'EUR' })).to.equal(null);
+  });
+});
@@ -0,0 +1,14 @@
+// Cross rates are rounded so that the applied rate is a short, reproducible decimal.
+const CROSS_RATE_DECIMALS = 10;
+
+/**
+ * Derives the rate from one currency to another out of their rates against a common base.
+ * @param {number} fromRate - Units of the source currency per unit of the base currency.
+ * @param {number} toRate - Units of the target currency per unit of the base currency.
+ * @returns {number} Units of the target currency per unit of the source currency.
+ */
+function getCrossRate(fromRate, toRate) {
+  return Number((toRate / fromRate).toFixed(CROSS_RATE_DECIMALS));
+}
+
+module.exports = getCrossRate;
@@ -0,0 +1,33 @@
+const httpRateProvider = require('./http-rate-provider');
+const jsonRateProvider = require('./json-rate-provider');
+const mongoRateProvider = require('./mongo-rate-provider');
+
+const FX_RATE_PROVIDER = process.env.FX_RATE_PROVIDER || 'json';
+
+/**
+ * @typedef {Object} RateQuote
+ * @property {number} rate - Units of the target currency per unit of the source currency.
+ * @property {string} timestamp - When the rate was published (ISO 8601).
+ */
+
+/**
+ * @typedef {Object} RateProvider
+ * @property {function({from: string, to: string}): Promise<?RateQuote>} getRate - Resolves null when no rate is available.
+ */
+
+const rateProviders = {
+  json: jsonRateProvider,
+  mongo: mongoRateProvider,
+  http: httpRateProvider,
+};
+
+/**
+ * Returns the rate provider selected by the FX_RATE_PROVIDER environment variable (`json`, the
+ * default, `mongo` or `http`).
+ * @returns {RateProvider}
+ */
+function getRateProvider() {
+  return rateProviders[FX_RATE_PROVIDER] || jsonRateProvider;
+}
+
+module.exports = getRateProvider;
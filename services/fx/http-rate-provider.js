@@ -0,0 +1,40 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const httpRequest = require('@app-core/http-request');
+
+const { FX_RATE_API_URL, FX_RATE_API_KEY } = process.env;
+
+const responseSpec = `root {
+  rate number<min:0>
+  timestamp string
+}`;
+
+const parsedResponseSpec = validator.parse(responseSpec);
+
+/**
+ * Rate provider that asks a remote rate service at FX_RATE_API_URL. The service is called as
+ * `GET /rates/:from/:to` and must answer with `{ rate, timestamp }`. A failed lookup is logged and
+ * reported as a missing rate.
+ * @type {import('./get-rate-provider').RateProvider}
+ */
+const httpRateProvider = {
+  async getRate({ from, to }) {
+    let quote = null;
+
+    try {
+      const response = await httpRequest.get(`${FX_RATE_API_URL}/rates/${from}/${to}`, {
+        headers: FX_RATE_API_KEY ? { Authorization: `Bearer ${FX_RATE_API_KEY}` } : {},
+        logLabel: 'FX-RATE-REQUEST',
+      });
+      const data = validator.validate(response.data, parsedResponseSpec);
+
+      quote = { rate: data.rate, timestamp: new Date(data.timestamp).toISOString() };
+    } catch (error) {
+      appLogger.errorX(error, 'http-rate-provider-error');
+    }
+
+    return quote;
+  },
+};
+
+module.exports = httpRateProvider;
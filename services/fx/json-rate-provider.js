@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const getCrossRate = require('./get-cross-rate');
+
+const FX_RATES_FILE = process.env.FX_RATES_FILE || path.join(__dirname, 'rates.json');
+
+let rateTable;
+
+/**
+ * Reads the rate table once. The file holds `base_currency`, `as_of` and a `rates` map of
+ * currency to units per unit of the base currency.
+ * @returns {{base_currency: string, as_of: string, rates: Object<string, number>}}
+ */
+function loadRateTable() {
+  rateTable = rateTable || JSON.parse(fs.readFileSync(FX_RATES_FILE, 'utf8'));
+  return rateTable;
+}
+
+/**
+ * Rate provider backed by a local JSON table (services/fx/rates.json unless FX_RATES_FILE is set).
+ * @type {import('./get-rate-provider').RateProvider}
+ */
+const jsonRateProvider = {
+  async getRate({ from, to }) {
+    const table = loadRateTable();
+    let quote = null;
+
+    if (table.rates[from] && table.rates[to]) {
+      quote = {
+        rate: getCrossRate(table.rates[from], table.rates[to]),
+        timestamp: new Date(table.as_of).toISOString(),
+      };
+    }
+
+    return quote;
+  },
+};
+
+module.exports = jsonRateProvider;
@@ -0,0 +1,27 @@
+const FxRateRepository = require('@app/repository/fx-rate');
+const getCrossRate = require('./get-cross-rate');
+
+/**
+ * Rate provider backed by the fx_rates collection. Both currencies must be quoted against the same
+ * base currency; the older of the two as_of dates is reported as the rate timestamp.
+ * @type {import('./get-rate-provider').RateProvider}
+ */
+const mongoRateProvider = {
+  async getRate({ from, to }) {
+    const rates = await FxRateRepository.findMany({ query: { currency: { $in: [from, to] } } });
+    const fromRate = rates.find((rate) => rate.currency === from);
+    const toRate = rates.find((rate) => rate.currency === to);
+    let quote = null;
+
+    if (fromRate && toRate && fromRate.base_currency === toRate.base_currency) {
+      quote = {
+        rate: getCrossRate(fromRate.rate, toRate.rate),
+        timestamp: new Date(Math.min(fromRate.as_of, toRate.as_of)).toISOString(),
+      };
+    }
+
+    return quote;
+  },
+};
+
+module.exports = mongoRateProvider;
@@ -0,0 +1,41 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { IdempotencyMessages } = require('@app/messages');
+
+/**
+ * Creates an idempotency store that keeps its records in process memory. Meant for tests and
+ * single-instance setups without a database; records are lost on restart.
+ * @returns {import('./run-idempotent').IdempotencyStore}
+ */
+function createMemoryIdempotencyStore() {
+  const records = new Map();
+  const toMapKey = ({ key, scope }) => `${scope}:${key}`;
+
+  return {
+    async findOne(query) {
+      const record = records.get(toMapKey(query));
+      const isExpired = record && record.expires_at.getTime() <= Date.now();
+
+      if (isExpired) records.delete(toMapKey(query));
+
+      return record && !isExpired ? { ...record } : null;
+    },
+    async create(record) {
+      if (await this.findOne(record)) {
+        throwAppError(IdempotencyMessages.DUPLICATE_KEY, ERROR_CODE.DUPLRCRD);
+      }
+      records.set(toMapKey(record), { ...record });
+      return { ...record };
+    },
+    async updateOne(query, updateValues) {
+      const record = records.get(toMapKey(query));
+
+      if (record) records.set(toMapKey(query), { ...record, ...updateValues });
+      return { acknowledged: true, modifiedCount: record ? 1 : 0 };
+    },
+    async deleteOne(query) {
+      return { deletedCount: records.delete(toMapKey(query)) ? 1 : 0 };
+    },
+  };
+}
+
+module.exports = createMemoryIdempotencyStore;
@@ -0,0 +1,24 @@
+const createMemoryIdempotencyStore = require('./create-memory-store');
+const mongoIdempotencyStore = require('./mongo-store');
+
+const IDEMPOTENCY_STORE = process.env.IDEMPOTENCY_STORE || 'mongo';
+
+let memoryIdempotencyStore;
+
+/**
+ * Returns the idempotency store selected by the IDEMPOTENCY_STORE environment variable
+ * (`mongo`, the default, or `memory`).
+ * @returns {import('./run-idempotent').IdempotencyStore}
+ */
+function getIdempotencyStore() {
+  let store = mongoIdempotencyStore;
+
+  if (IDEMPOTENCY_STORE === 'memory') {
+    memoryIdempotencyStore = memoryIdempotencyStore || createMemoryIdempotencyStore();
+    store = memoryIdempotencyStore;
+  }
+
+  return store;
+}
+
+module.exports = getIdempotencyStore;
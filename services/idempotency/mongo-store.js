@@ -0,0 +1,16 @@
+const IdempotencyRecordRepository = require('@app/repository/idempotency-record');
+
+/**
+ * Idempotency store backed by the idempotency_records collection. Records are removed by a TTL
+ * index once their expires_at date passes.
+ * @type {import('./run-idempotent').IdempotencyStore}
+ */
+const mongoIdempotencyStore = {
+  findOne: ({ key, scope }) => IdempotencyRecordRepository.findOne({ query: { key, scope } }),
+  create: (record) => IdempotencyRecordRepository.create(record),
+  updateOne: ({ key, scope }, updateValues) =>
+    IdempotencyRecordRepository.updateOne({ query: { key, scope }, updateValues }),
+  deleteOne: ({ key, scope }) => IdempotencyRecordRepository.deleteOne({ query: { key, scope } }),
+};
+
+module.exports = mongoIdempotencyStore;
@@ -0,0 +1,135 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { IdempotencyMessages } = require('@app/messages');
+const getIdempotencyStore = require('./get-idempotency-store');
+
+const KEY_TTL_MILLIS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3_600_000;
+
+/**
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} key
+ * @property {string} scope
+ * @property {string} fingerprint - sha256 of the request payload.
+ * @property {'processing'|'completed'} status
+ * @property {Object} [response] - The stored successful response.
+ * @property {{message: string, errorCode: string, context: any, details: any}} [error] - The stored application error and its result context.
+ * @property {Date} expires_at
+ */
+
+/**
+ * @typedef {Object} IdempotencyStore
+ * @property {function({key: string, scope: string}): Promise<?IdempotencyRecord>} findOne
+ * @property {function(IdempotencyRecord): Promise<IdempotencyRecord>} create - Throws a DUPLRCRD error if the key exists.
+ * @property {function({key: string, scope: string}, Object): Promise<Object>} updateOne
+ * @property {function({key: string, scope: string}): Promise<Object>} deleteOne
+ */
+
+const spec = `root {
+  key string<trim|minlength:1|maxlength:255>
+  scope string<trim|minlength:1>
+  payload any
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Serializes a value with its object keys sorted, so that equal payloads always produce the same
+ * fingerprint regardless of key order.
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  let serialized;
+
+  if (Array.isArray(value)) {
+    serialized = `[${value.map(stableStringify).join(',')}]`;
+  } else if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    serialized = `{${entries.join(',')}}`;
+  } else {
+    serialized = JSON.stringify(value ?? null);
+  }
+
+  return serialized;
+}
+
+/**
+ * Returns the outcome stored for a replayed request, rethrowing a stored application error.
+ * @param {IdempotencyRecord} record
+ * @returns {Object}
+ */
+function replay(record) {
+  if (record.error) {
+    throwAppError(record.error.message, record.error.errorCode, {
+      context: record.error.context,
+      details: record.error.details,
+    });
+  }
+
+  return record.response;
+}
+
+/**
+ * Runs `options.execute` at most once per idempotency key and scope.
+ * A replay with the same key and payload returns the stored response (or rethrows the stored
+ * application error). Reusing a key with a different payload, or while the first request is still
+ * running, fails with a DUPLRCRD conflict. Only application errors that carry a result context (a
+ * final outcome for the request) are stored; any other error, such as a ledger conflict, releases
+ * the key so the client can retry.
+ * @param {{key: string, scope: string, payload: any}} serviceData
+ * @param {{execute: function(): Promise<Object>, store?: IdempotencyStore}} options
+ * @returns {Promise<Object>}
+ */
+async function runIdempotent(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const store = options.store || getIdempotencyStore();
+  const recordQuery = { key: data.key, scope: data.scope };
+  const fingerprint = hash.create(stableStringify(data.payload), { algo: 'sha256' });
+  let response;
+
+  const existingRecord = await store.findOne(recordQuery);
+
+  if (existingRecord) {
+    if (existingRecord.fingerprint !== fingerprint) {
+      throwAppError(IdempotencyMessages.KEY_REUSED, ERROR_CODE.DUPLRCRD);
+    }
+
+    if (existingRecord.status !== 'completed') {
+      throwAppError(IdempotencyMessages.REQUEST_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+    }
+
+    response = replay(existingRecord);
+  } else {
+    await store.create({
+      ...recordQuery,
+      fingerprint,
+      status: 'processing',
+      expires_at: new Date(Date.now() + KEY_TTL_MILLIS),
+    });
+
+    try {
+      response = await options.execute();
+      await store.updateOne(recordQuery, { status: 'completed', response });
+    } catch (error) {
+      const isFinalResult = Boolean(error.isApplicationError && error.context);
+
+      if (isFinalResult) {
+        const { message, errorCode, context, details } = error;
+        await store.updateOne(recordQuery, {
+          status: 'completed',
+          error: { message, errorCode, context, details },
+        });
+      } else {
+        await store.deleteOne(recordQuery);
+      }
+      throw error;
+    }
+  }
+
+  return response;
+}
+
+module.exports = runIdempotent;
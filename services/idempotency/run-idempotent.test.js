@@ -0,0 +1,99 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const runIdempotent = require('./run-idempotent');
+const createMemoryIdempotencyStore = require('./create-memory-store');
+
+describe('runIdempotent', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryIdempotencyStore();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should return the stored response when the same key and body are replayed', async () => {
+    const execute = sinon.stub().resolves({ status: 'successful' });
+    const serviceData = { key: 'key-1', scope: 'payments', payload: { a: 1, b: [1, 2] } };
+
+    const first = await runIdempotent(serviceData, { store, execute });
+    const replayed = await runIdempotent(
+      { ...serviceData, payload: { b: [1, 2], a: 1 } },
+      { store, execute }
+    );
+
+    expect(execute.calledOnce).to.equal(true);
+    expect(replayed).to.deep.equal(first);
+  });
+
+  it('Should fail with a conflict when the key is reused with a different body', async () => {
+    const execute = sinon.stub().resolves({ status: 'successful' });
+    await runIdempotent({ key: 'key-1', scope: 'payments', payload: { a: 1 } }, { store, execute });
+
+    try {
+      await runIdempotent(
+        { key: 'key-1', scope: 'payments', payload: { a: 2 } },
+        { store, execute }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.DUPLRCRD);
+      expect(execute.calledOnce).to.equal(true);
+    }
+  });
+
+  it('Should replay a stored application error', async () => {
+    const appError = new Error('Insufficient funds');
+    Object.assign(appError, {
+      isApplicationError: true,
+      errorCode: 'AC01',
+      context: { status: 'failed' },
+    });
+    const execute = sinon.stub().rejects(appError);
+    const serviceData = { key: 'key-1', scope: 'payments', payload: { a: 1 } };
+
+    await runIdempotent(serviceData, { store, execute }).catch(() => {});
+
+    try {
+      await runIdempotent(serviceData, { store, execute });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal('AC01');
+      expect(error.context).to.deep.equal({ status: 'failed' });
+      expect(execute.calledOnce).to.equal(true);
+    }
+  });
+
+  it('Should let the request run again after an unexpected error', async () => {
+    const execute = sinon.stub();
+    execute.onFirstCall().rejects(new Error('connection reset'));
+    execute.onSecondCall().resolves({ status: 'successful' });
+    const serviceData = { key: 'key-1', scope: 'payments', payload: { a: 1 } };
+
+    await runIdempotent(serviceData, { store, execute }).catch(() => {});
+    const response = await runIdempotent(serviceData, { store, execute });
+
+    expect(response).to.deep.equal({ status: 'successful' });
+    expect(execute.calledTwice).to.equal(true);
+  });
+
+  it('Should let the request run again after an application error without a result', async () => {
+    const conflictError = new Error('Balance changed');
+    Object.assign(conflictError, { isApplicationError: true, errorCode: 'LD01' });
+    const execute = sinon.stub();
+    execute.onFirstCall().rejects(conflictError);
+    execute.onSecondCall().resolves({ status: 'successful' });
+    const serviceData = { key: 'key-1', scope: 'payments', payload: { a: 1 } };
+
+    await runIdempotent(serviceData, { store, execute }).catch(() => {});
+    const response = await runIdempotent(serviceData, { store, execute });
+
+    expect(response).to.deep.equal({ status: 'successful' });
+    expect(execute.calledTwice).to.equal(true);
+  });
+});
@@ -0,0 +1,319 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { ulid } = require('@app-core/randomness');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const LimitUsageRepository = require('@app/repository/limit-usage');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const { Ok, Err } = require('../payment-processor/result');
+const { toMajorUnits } = require('../payment-processor/minor-units');
+
+const HOUR_MILLIS = 3_600_000;
+// The client id that the limits of instructions sent without a client API key are set on.
+const ANONYMOUS_CLIENT_ID = 'anonymous';
+
+/**
+ * The kinds of limit, in the order they are checked. Windowed kinds name the window their totals
+ * are tracked in; windows are UTC clock hours, days and months.
+ * @readonly
+ * @enum {{kind: string, period?: string}}
+ */
+const LimitKind = {
+  PER_TRANSACTION: { kind: 'per_transaction' },
+  VELOCITY: { kind: 'velocity', period: 'hour' },
+  DAILY: { kind: 'daily', period: 'day' },
+  MONTHLY: { kind: 'monthly', period: 'month' },
+};
+
+const LIMIT_KINDS = Object.values(LimitKind);
+
+/**
+ * @typedef {Object} LimitedTransfer
+ * @property {string} account_id - The debit account.
+ * @property {string} [client_id] - The API client that sent the instruction; without one the
+ * transfer counts towards the limits of ANONYMOUS_CLIENT_ID.
+ * @property {string} currency
+ * @property {number} amount_minor
+ */
+
+/**
+ * Returns the window of a period that contains an instant.
+ * @param {string} period - hour, day or month.
+ * @param {number} at - The instant in milliseconds.
+ * @returns {{start: number, end: number}}
+ */
+function getLimitWindow(period, at) {
+  const date = new Date(at);
+  let window;
+
+  if (period === 'hour') {
+    const start = Math.floor(at / HOUR_MILLIS) * HOUR_MILLIS;
+    window = { start, end: start + HOUR_MILLIS };
+  } else if (period === 'day') {
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+    window = { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+  } else {
+    const [year, month] = [date.getUTCFullYear(), date.getUTCMonth()];
+    window = { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  }
+
+  return window;
+}
+
+/**
+ * Loads the limits on the debit account and on the client of a transfer, in its currency. Transfers
+ * without a client share the limits of ANONYMOUS_CLIENT_ID.
+ * @param {LimitedTransfer} transfer
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<Array<object>>}
+ */
+async function findApplicableLimits(transfer, session) {
+  const subjects = [
+    { scope: 'account', subject_id: transfer.account_id },
+    { scope: 'client', subject_id: transfer.client_id || ANONYMOUS_CLIENT_ID },
+  ];
+
+  return TransactionLimitRepository.findMany({
+    query: { currency: transfer.currency, $or: subjects },
+    options: { session },
+  });
+}
+
+/**
+ * Identifies the usage a windowed limit is measured against.
+ * @param {object} limit
+ * @param {string} period
+ * @param {number} windowStart
+ * @returns {object} The query of the usage.
+ */
+function getUsageQuery(limit, period, windowStart) {
+  return {
+    scope: limit.scope,
+    subject_id: limit.subject_id,
+    currency: limit.currency,
+    period,
+    window_start: windowStart,
+  };
+}
+
+/**
+ * Returns the window period of a limit, or undefined for a per-transaction limit.
+ * @param {object} limit
+ * @returns {string|undefined}
+ */
+function getLimitPeriod(limit) {
+  return LIMIT_KINDS.find((limitKind) => limitKind.kind === limit.kind)?.period;
+}
+
+/**
+ * Describes a limit that a transfer breaches, for the error context.
+ * @param {object} limit
+ * @param {?string} resetsAt - When the window of the limit closes, if it has one.
+ * @returns {object}
+ */
+function describeLimit(limit, resetsAt) {
+  return {
+    kind: limit.kind,
+    scope: limit.scope,
+    subject_id: limit.subject_id,
+    currency: limit.currency,
+    max_amount:
+      typeof limit.max_amount_minor === 'number'
+        ? toMajorUnits(limit.max_amount_minor, limit.currency)
+        : null,
+    max_count: limit.max_count ?? null,
+    resets_at: resetsAt,
+  };
+}
+
+/**
+ * Checks one limit against a transfer.
+ * @param {object} limit
+ * @param {LimitedTransfer} transfer
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<?{message: string, limit: object}>} The breach, or null.
+ */
+async function checkLimit(limit, transfer, session) {
+  const period = getLimitPeriod(limit);
+  const subject = `${limit.scope} ${limit.subject_id}`;
+  let breachMessage = null;
+  let resetsAt = null;
+
+  if (!period) {
+    if (transfer.amount_minor > limit.max_amount_minor) {
+      breachMessage = PaymentMessage.TRANSACTION_LIMIT_EXCEEDED(
+        toMajorUnits(transfer.amount_minor, transfer.currency),
+        toMajorUnits(limit.max_amount_minor, limit.currency),
+        limit.currency,
+        subject
+      );
+    }
+  } else {
+    const window = getLimitWindow(period, Date.now());
+    const usage = await LimitUsageRepository.findOne({
+      query: getUsageQuery(limit, period, window.start),
+      options: { session },
+    });
+    resetsAt = new Date(window.end).toISOString();
+
+    if (limit.kind === LimitKind.VELOCITY.kind) {
+      if ((usage?.count || 0) + 1 > limit.max_count) {
+        breachMessage = PaymentMessage.VELOCITY_LIMIT_EXCEEDED(limit.max_count, subject, resetsAt);
+      }
+    } else if ((usage?.amount_minor || 0) + transfer.amount_minor > limit.max_amount_minor) {
+      breachMessage = PaymentMessage.CUMULATIVE_LIMIT_EXCEEDED(
+        limit.kind,
+        toMajorUnits(limit.max_amount_minor, limit.currency),
+        limit.currency,
+        subject,
+        resetsAt
+      );
+    }
+  }
+
+  return breachMessage && { message: breachMessage, limit: describeLimit(limit, resetsAt) };
+}
+
+/**
+ * Checks a transfer against the limits of its debit account and of its API client: the largest
+ * single transfer, the totals of the current day and month and the number of transfers in the
+ * current hour. Without `cumulative` only the per-transaction limits apply, e.g. to an instruction
+ * that is scheduled for later and counts towards the windows it executes in.
+ * @param {LimitedTransfer & {cumulative?: boolean}} transfer
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{isOk: boolean, value?: null, error?: object}>} Ok, or Err with the first
+ * limit breached, in the order of LimitKind, and the limit under `limit`.
+ */
+async function checkTransactionLimits(transfer, options = {}) {
+  const limits = await findApplicableLimits(transfer, options.session);
+
+  const limitsToCheck = LIMIT_KINDS.filter(
+    (limitKind) => transfer.cumulative || !limitKind.period
+  ).flatMap((limitKind) => limits.filter((limit) => limit.kind === limitKind.kind));
+
+  const breach = await limitsToCheck.reduce(async (previous, limit) => {
+    const previousBreach = await previous;
+    return previousBreach || checkLimit(limit, transfer, options.session);
+  }, Promise.resolve(null));
+
+  return breach
+    ? Err({
+        code: StatusCode.LIMIT_EXCEEDED,
+        errorCode: ERROR_CODE.LIMITERR,
+        message: breach.message,
+        limit: breach.limit,
+      })
+    : Ok(null);
+}
+
+/**
+ * Groups the windowed limits of a transfer by the usage they are measured against, in the windows
+ * open at an instant. Per-transaction limits keep no usage and are left out.
+ * @param {Array<object>} limits
+ * @param {number} at - The instant in milliseconds.
+ * @returns {Array<{query: object, limits: Array<object>}>}
+ */
+function groupLimitsByUsage(limits, at) {
+  return limits.reduce((usages, limit) => {
+    const period = getLimitPeriod(limit);
+    const query = period && getUsageQuery(limit, period, getLimitWindow(period, at).start);
+    const usage =
+      query &&
+      usages.find(
+        (other) =>
+          other.query.scope === query.scope &&
+          other.query.subject_id === query.subject_id &&
+          other.query.period === query.period
+      );
+
+    if (usage) {
+      usage.limits.push(limit);
+    } else if (query) {
+      usages.push({ query, limits: [limit] });
+    }
+
+    return usages;
+  }, []);
+}
+
+/**
+ * Builds the condition a usage must meet for a transfer to fit in every limit measured against it.
+ * @param {Array<object>} limits - The limits of one usage.
+ * @param {number} amountMinor - The amount of the transfer.
+ * @returns {object} The query conditions on the usage totals.
+ */
+function getUsageGuard(limits, amountMinor) {
+  const maxCounts = limits
+    .filter((limit) => limit.kind === LimitKind.VELOCITY.kind)
+    .map((limit) => limit.max_count);
+  const maxAmounts = limits
+    .filter((limit) => limit.kind !== LimitKind.VELOCITY.kind)
+    .map((limit) => limit.max_amount_minor);
+
+  return {
+    ...(maxCounts.length > 0 && { count: { $lte: Math.min(...maxCounts) - 1 } }),
+    ...(maxAmounts.length > 0 && {
+      amount_minor: { $lte: Math.min(...maxAmounts) - amountMinor },
+    }),
+  };
+}
+
+/**
+ * Adds an executed transfer to the totals of every window its limits are measured in. Only the
+ * accounts and clients that have windowed limits keep totals. Usage expires with its window.
+ * The totals only grow while the transfer still fits in the limits, so transfers posted at the
+ * same time cannot pass a limit together; the one that no longer fits fails with LIMIT_EXCEEDED
+ * and its posting is rolled back.
+ * @param {LimitedTransfer} transfer
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ */
+async function recordLimitUsage(transfer, options = {}) {
+  const limits = await findApplicableLimits(transfer, options.session);
+  const now = Date.now();
+
+  await groupLimitsByUsage(limits, now).reduce(async (previous, usage) => {
+    await previous;
+    await LimitUsageRepository.updateOne({
+      query: usage.query,
+      updateValues: {
+        $setOnInsert: {
+          _id: ulid(),
+          amount_minor: 0,
+          count: 0,
+          created: now,
+          expires_at: new Date(getLimitWindow(usage.query.period, now).end),
+        },
+      },
+      options: { session: options.session, upsert: true },
+    });
+
+    const updateResult = await LimitUsageRepository.updateOne({
+      query: { ...usage.query, ...getUsageGuard(usage.limits, transfer.amount_minor) },
+      updateValues: { $inc: { amount_minor: transfer.amount_minor, count: 1 } },
+      options: { session: options.session },
+    });
+
+    if (updateResult.modifiedCount !== 1) {
+      const breach = await usage.limits.reduce(
+        async (previousBreach, limit) =>
+          (await previousBreach) || checkLimit(limit, transfer, options.session),
+        Promise.resolve(null)
+      );
+
+      throwAppError(breach.message, ERROR_CODE.LIMITERR, {
+        context: {
+          status: 'failed',
+          status_code: StatusCode.LIMIT_EXCEEDED,
+          status_reason: breach.message,
+          limit: breach.limit,
+        },
+      });
+    }
+  }, Promise.resolve());
+}
+
+module.exports = {
+  ANONYMOUS_CLIENT_ID,
+  LimitKind,
+  getLimitWindow,
+  checkTransactionLimits,
+  recordLimitUsage,
+};
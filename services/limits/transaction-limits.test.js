@@ -0,0 +1,157 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const { StatusCode } = require('@app/messages');
+const LimitUsageRepository = require('@app/repository/limit-usage');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const {
+  ANONYMOUS_CLIENT_ID,
+  getLimitWindow,
+  checkTransactionLimits,
+  recordLimitUsage,
+} = require('./transaction-limits');
+
+describe('transaction limits', () => {
+  const session = {};
+  const transfer = { account_id: 'a', currency: 'USD', amount_minor: 30000 };
+  const velocityLimit = {
+    scope: 'account',
+    subject_id: 'a',
+    currency: 'USD',
+    kind: 'velocity',
+    max_count: 3,
+  };
+  const monthlyLimit = {
+    scope: 'account',
+    subject_id: 'a',
+    currency: 'USD',
+    kind: 'monthly',
+    max_amount_minor: 1000000,
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(new Date('2025-12-31T23:30:00.000Z').getTime());
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should open windows on UTC clock hours, days and months', () => {
+    const at = new Date('2025-12-31T23:30:00.000Z').getTime();
+
+    expect(getLimitWindow('hour', at)).to.deep.equal({
+      start: new Date('2025-12-31T23:00:00.000Z').getTime(),
+      end: new Date('2026-01-01T00:00:00.000Z').getTime(),
+    });
+    expect(getLimitWindow('day', at).start).to.equal(
+      new Date('2025-12-31T00:00:00.000Z').getTime()
+    );
+    expect(getLimitWindow('month', at)).to.deep.equal({
+      start: new Date('2025-12-01T00:00:00.000Z').getTime(),
+      end: new Date('2026-01-01T00:00:00.000Z').getTime(),
+    });
+  });
+
+  it('Should fail when the transfers of the current hour reach a velocity limit', async () => {
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([monthlyLimit, velocityLimit]);
+    const findUsage = sinon.stub(LimitUsageRepository, 'findOne').resolves({ count: 2 });
+
+    const withinLimits = await checkTransactionLimits(
+      { ...transfer, cumulative: true },
+      { session }
+    );
+    expect(withinLimits.isOk).to.equal(true);
+
+    findUsage.resolves({ count: 3, amount_minor: 30000 });
+    const result = await checkTransactionLimits({ ...transfer, cumulative: true }, { session });
+
+    expect(result.isOk).to.equal(false);
+    expect(result.error.code).to.equal(StatusCode.LIMIT_EXCEEDED);
+    expect(result.error.limit).to.deep.equal({
+      kind: 'velocity',
+      scope: 'account',
+      subject_id: 'a',
+      currency: 'USD',
+      max_amount: null,
+      max_count: 3,
+      resets_at: '2026-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('Should count a transfer without a client towards the anonymous client limits', async () => {
+    const findLimits = sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+
+    await checkTransactionLimits(transfer, { session });
+    await checkTransactionLimits({ ...transfer, client_id: 'ops' }, { session });
+
+    expect(findLimits.firstCall.args[0].query.$or).to.deep.equal([
+      { scope: 'account', subject_id: 'a' },
+      { scope: 'client', subject_id: ANONYMOUS_CLIENT_ID },
+    ]);
+    expect(findLimits.secondCall.args[0].query.$or[1]).to.deep.equal({
+      scope: 'client',
+      subject_id: 'ops',
+    });
+  });
+
+  it('Should add a transfer to the windows of the limits that keep totals', async () => {
+    sinon
+      .stub(TransactionLimitRepository, 'findMany')
+      .resolves([
+        monthlyLimit,
+        velocityLimit,
+        { ...velocityLimit, max_count: 10 },
+        { ...monthlyLimit, kind: 'per_transaction' },
+      ]);
+    sinon
+      .stub(LimitUsageRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+
+    await recordLimitUsage(transfer, { session });
+
+    const updates = LimitUsageRepository.updateOne.getCalls().map((call) => call.args[0]);
+    expect(updates.map((update) => update.query.period)).to.deep.equal([
+      'month',
+      'month',
+      'hour',
+      'hour',
+    ]);
+    expect(updates[0].options).to.deep.equal({ session, upsert: true });
+    expect(updates[0].updateValues.$setOnInsert.expires_at).to.deep.equal(
+      new Date('2026-01-01T00:00:00.000Z')
+    );
+    expect(updates[1]).to.deep.include({
+      updateValues: { $inc: { amount_minor: 30000, count: 1 } },
+      options: { session },
+    });
+    expect(updates[1].query.amount_minor).to.deep.equal({ $lte: 970000 });
+    expect(updates[3].query.count).to.deep.equal({ $lte: 2 });
+  });
+
+  it('Should fail with LM01 when the window no longer has room for the transfer', async () => {
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([velocityLimit]);
+    sinon.stub(LimitUsageRepository, 'findOne').resolves({ count: 3 });
+    sinon
+      .stub(LimitUsageRepository, 'updateOne')
+      .onFirstCall()
+      .resolves({ acknowledged: true, modifiedCount: 0 })
+      .onSecondCall()
+      .resolves({ acknowledged: true, modifiedCount: 0 });
+
+    try {
+      await recordLimitUsage(transfer, { session });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.LIMITERR);
+      expect(error.context).to.include({
+        status: 'failed',
+        status_code: StatusCode.LIMIT_EXCEEDED,
+      });
+      expect(error.context.limit).to.include({ kind: 'velocity', max_count: 3 });
+      expect(LimitUsageRepository.findOne.firstCall.args[0].options).to.deep.equal({ session });
+    }
+  });
+});
@@ -0,0 +1,75 @@
+const { throwAppError } = require('@app-core/errors');
+const AccountRepository = require('@app/repository/account');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+
+/**
+ * Matches the held_balance_minor of an account. Accounts that never had a hold have no
+ * held_balance_minor at all, which counts as nothing held.
+ * @param {number} heldBalanceMinor
+ * @returns {number|object} The query value.
+ */
+function matchHeldBalance(heldBalanceMinor) {
+  return heldBalanceMinor === 0 ? { $in: [0, null] } : heldBalanceMinor;
+}
+
+/**
+ * Moves the funds held on an account by `amount_minor`, which is negative to hold less. The
+ * update only applies if neither the balance nor the holds of the account changed since the
+ * available balance was checked, so two pending instructions cannot be promised the same funds.
+ * @param {{account_id: string, amount_minor: number, balance: number, held_balance_before_minor: number}} hold
+ * @param {import('mongoose').ClientSession} [session]
+ */
+async function adjustHold(hold, session) {
+  const updateResult = await AccountRepository.updateOne({
+    query: {
+      account_id: hold.account_id,
+      balance: hold.balance,
+      held_balance_minor: matchHeldBalance(hold.held_balance_before_minor),
+    },
+    updateValues: { held_balance_minor: hold.held_balance_before_minor + hold.amount_minor },
+    options: { session },
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(
+      PaymentMessage.LEDGER_BALANCE_CHANGED(hold.account_id),
+      StatusCode.LEDGER_CONFLICT
+    );
+  }
+}
+
+/**
+ * Gives the funds held for an instruction back to the available balance of its debit account.
+ * Releasing only ever makes more funds available, so it applies whatever else changed.
+ * @param {{account_id: string, amount_minor?: number}} hold - Instructions stored before holds
+ * existed, and occurrences of standing orders, hold nothing.
+ * @param {import('mongoose').ClientSession} [session]
+ */
+async function releaseHold(hold, session) {
+  if (!hold.amount_minor) return;
+
+  await AccountRepository.updateOne({
+    query: { account_id: hold.account_id },
+    updateValues: { $inc: { held_balance_minor: -hold.amount_minor } },
+    options: { session },
+  });
+}
+
+/**
+ * Describes how a pending transfer changes the funds held on its debit account, from the accounts
+ * of the transfer response.
+ * @param {object} response - The response of a pending transfer.
+ * @returns {{account_id: string, amount_minor: number, balance: number, held_balance_before_minor: number}}
+ */
+function getPendingHold(response) {
+  const debitAccount = response.accounts.find((account) => account.id === response.debit_account);
+
+  return {
+    account_id: debitAccount.id,
+    amount_minor: debitAccount.held_balance_minor - debitAccount.held_balance_before_minor,
+    balance: debitAccount.balance,
+    held_balance_before_minor: debitAccount.held_balance_before_minor,
+  };
+}
+
+module.exports = { matchHeldBalance, adjustHold, releaseHold, getPendingHold };
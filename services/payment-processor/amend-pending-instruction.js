@@ -0,0 +1,194 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const {
+  loadPendingInstruction,
+  checkInstructionClient,
+  throwPendingInstructionError,
+} = require('./load-pending-instruction');
+const processPaymentInstruction = require('./parse-instruction');
+const { adjustHold, getPendingHold } = require('./account-holds');
+const tokenizeInstruction = require('./tokenize-instruction');
+const parseInstructionTokens = require('./parse-instruction-tokens');
+const getVocabulary = require('../vocabulary/get-vocabulary');
+
+const spec = `root {
+  instruction_id string<trim|minlength:1>
+  client_id? string<trim>
+  amount? number
+  execute_date? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Rewrites the amount and the date of an instruction, leaving the rest of it as the client wrote
+ * it. The parser points at the tokens to rewrite, whatever the wording of the instruction.
+ * @param {string} instruction
+ * @param {{amount?: number, execute_date?: string}} amendments
+ * @param {import('../vocabulary/get-vocabulary').Vocabulary} vocabulary - The vocabulary the
+ * instruction is written in.
+ * @returns {string} The amended instruction.
+ */
+function amendInstructionText(instruction, amendments, vocabulary) {
+  // The instruction was parsed when it was stored, so it parses again.
+  const { valueTokens } = parseInstructionTokens(
+    tokenizeInstruction(instruction),
+    instruction,
+    vocabulary
+  ).value;
+  const replacements = [];
+
+  if (amendments.amount !== undefined) {
+    replacements.push({ token: valueTokens.amount, value: String(amendments.amount) });
+  }
+
+  if (amendments.execute_date !== undefined) {
+    replacements.push({ token: valueTokens.date, value: amendments.execute_date });
+  }
+
+  return replacements
+    .sort((first, second) => second.token.offset - first.token.offset)
+    .reduce(
+      (text, { token, value }) =>
+        `${text.slice(0, token.offset)}${value}${text.slice(token.offset + token.value.length)}`,
+      instruction
+    );
+}
+
+/**
+ * Changes the amount or the execute date of a stored instruction before it is executed. The
+ * amended instruction goes through the same parsing, validation and balance checks as a new one
+ * and must still be due in the future; the amount of a split cannot change without its legs, so
+ * it fails with AM02. The funds the instruction holds count as available to it and are held again
+ * for the amended total, in one transaction with the amendment unless the caller passes its own
+ * session. Occurrences of a standing order follow their standing order and cannot be amended one
+ * by one. Only the API client that sent the instruction can amend it.
+ * @param {{instruction_id: string, client_id?: string, amount?: number, execute_date?: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession, rateProvider?: object, feeRules?: Array<object>}} [options]
+ * @returns {Promise<object>} The amended instruction.
+ */
+async function amendPendingInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  if (data.amount === undefined && data.execute_date === undefined) {
+    throwAppError(PaymentMessage.NOTHING_TO_AMEND, ERROR_CODE.VALIDATIONERR);
+  }
+
+  const pendingInstruction = await loadPendingInstruction(
+    { instruction_id: data.instruction_id },
+    options
+  );
+  checkInstructionClient(pendingInstruction, data.client_id);
+
+  if (pendingInstruction.standing_order_id) {
+    throwPendingInstructionError(
+      {
+        code: StatusCode.INSTRUCTION_NOT_AMENDABLE,
+        message: PaymentMessage.OCCURRENCE_NOT_AMENDABLE(
+          data.instruction_id,
+          pendingInstruction.standing_order_id
+        ),
+      },
+      data.instruction_id,
+      pendingInstruction
+    );
+  }
+
+  const { locale, client_id: clientId } = pendingInstruction;
+  const instruction = amendInstructionText(
+    pendingInstruction.instruction,
+    data,
+    getVocabulary(locale)
+  );
+  const projection = await processPaymentInstruction(
+    { instruction, locale, client_id: clientId },
+    {
+      ...options,
+      useLedger: true,
+      dryRun: true,
+      // Neither the amount nor the date is screened.
+      skipScreening: true,
+      heldAmountMinor: pendingInstruction.held_amount_minor,
+    }
+  );
+
+  if (projection.status_code !== StatusCode.TRANSACTION_PENDING) {
+    throwPendingInstructionError(
+      {
+        code: StatusCode.INSTRUCTION_NOT_AMENDABLE,
+        message: PaymentMessage.AMENDED_DATE_NOT_FUTURE(data.instruction_id),
+      },
+      data.instruction_id,
+      pendingInstruction
+    );
+  }
+
+  const updateValues = {
+    instruction,
+    amount: projection.amount,
+    execute_by: projection.execute_by,
+    execute_at: new Date(projection.execute_by).getTime(),
+    held_amount_minor: projection.charges.total_debited_minor,
+  };
+  const hold = getPendingHold(projection);
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const updateResult = await PaymentInstructionRepository.updateOne({
+      query: { _id: data.instruction_id, status: 'pending' },
+      updateValues,
+      options: { session: sessionToUse },
+    });
+
+    if (updateResult.modifiedCount !== 1) {
+      // The scheduler claimed the instruction in the meantime.
+      throwPendingInstructionError(
+        {
+          code: StatusCode.INSTRUCTION_NOT_PENDING,
+          message: PaymentMessage.INSTRUCTION_NOT_PENDING(data.instruction_id, 'processing'),
+        },
+        data.instruction_id,
+        { status: 'processing' }
+      );
+    }
+
+    if (hold.amount_minor !== 0) {
+      await adjustHold(hold, sessionToUse);
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'amend-pending-instruction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return { ...pendingInstruction, ...updateValues };
+}
+
+module.exports = amendPendingInstruction;
@@ -0,0 +1,158 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const amendPendingInstruction = require('./amend-pending-instruction');
+
+describe('amendPendingInstruction', () => {
+  const session = {};
+  const pendingInstruction = {
+    _id: '01J0000000000000000000000P',
+    instruction:
+      'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20 AT 09:00 REF ON',
+    amount: 300,
+    execute_by: '2025-11-20T09:00:00+00:00',
+    debit_account: 'a',
+    held_amount_minor: 30000,
+    status: 'pending',
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 500, held_balance_minor: 30000, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+    ]);
+    sinon
+      .stub(PaymentInstructionRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should rewrite the amount and the date of the instruction and reschedule it', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(pendingInstruction);
+
+    const result = await amendPendingInstruction(
+      { instruction_id: pendingInstruction._id, amount: 250.5, execute_date: '2025-11-25' },
+      { session }
+    );
+
+    expect(result).to.include({
+      instruction:
+        'DEBIT 250.5 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-25 AT 09:00 REF ON',
+      amount: 250.5,
+      execute_by: '2025-11-25T09:00:00+00:00',
+      execute_at: new Date('2025-11-25T09:00:00.000Z').getTime(),
+      held_amount_minor: 25050,
+      status: 'pending',
+    });
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0].query).to.deep.equal({
+      _id: pendingInstruction._id,
+      status: 'pending',
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 500, held_balance_minor: 30000 },
+      updateValues: { held_balance_minor: 25050 },
+    });
+  });
+
+  it('Should find the date of a split or of an instruction in another locale', async () => {
+    const instructions = [
+      {
+        text: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, c:200 ON 2025-11-20',
+        locale: 'en',
+      },
+      { text: 'Débiter 300 USD du compte a pour crédit au compte b le 2025-11-20', locale: 'fr' },
+    ];
+    AccountRepository.findMany.resolves([
+      { account_id: 'a', balance: 500, held_balance_minor: 30000, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+      { account_id: 'c', balance: 0, currency: 'USD' },
+    ]);
+    const findOneStub = sinon.stub(PaymentInstructionRepository, 'findOne');
+
+    const amended = await instructions.reduce(async (previous, { text, locale }) => {
+      const results = await previous;
+      findOneStub.resolves({ ...pendingInstruction, instruction: text, locale });
+      const result = await amendPendingInstruction(
+        { instruction_id: pendingInstruction._id, execute_date: '2025-11-25' },
+        { session }
+      );
+      return [...results, result.instruction];
+    }, Promise.resolve([]));
+
+    expect(amended).to.deep.equal([
+      'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, c:200 ON 2025-11-25',
+      'Débiter 300 USD du compte a pour crédit au compte b le 2025-11-25',
+    ]);
+  });
+
+  it('Should fail with PI01 for an instruction that another client sent', async () => {
+    sinon
+      .stub(PaymentInstructionRepository, 'findOne')
+      .resolves({ ...pendingInstruction, client_id: 'ops' });
+
+    try {
+      await amendPendingInstruction(
+        { instruction_id: pendingInstruction._id, client_id: 'shop', amount: 250 },
+        { session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSTRUCTION_NOT_FOUND);
+      expect(PaymentInstructionRepository.updateOne.called).to.equal(false);
+    }
+  });
+
+  it('Should re-validate the amended instruction like a new one', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(pendingInstruction);
+
+    try {
+      await amendPendingInstruction(
+        { instruction_id: pendingInstruction._id, amount: 900 },
+        { session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSUFFICIENT_FUNDS);
+      expect(PaymentInstructionRepository.updateOne.called).to.equal(false);
+    }
+  });
+
+  it('Should fail with PI03 for a date that is no longer in the future or an occurrence', async () => {
+    const findOne = sinon
+      .stub(PaymentInstructionRepository, 'findOne')
+      .resolves(pendingInstruction);
+
+    try {
+      await amendPendingInstruction(
+        { instruction_id: pendingInstruction._id, execute_date: '2025-11-17' },
+        { session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSTRUCTION_NOT_AMENDABLE);
+    }
+
+    findOne.resolves({ ...pendingInstruction, standing_order_id: '01J0000000000000000000000S' });
+
+    try {
+      await amendPendingInstruction(
+        { instruction_id: pendingInstruction._id, amount: 10 },
+        { session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSTRUCTION_NOT_AMENDABLE);
+    }
+  });
+});
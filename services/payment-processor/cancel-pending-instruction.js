@@ -0,0 +1,102 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const {
+  loadPendingInstruction,
+  checkInstructionClient,
+  throwPendingInstructionError,
+} = require('./load-pending-instruction');
+const { releaseHold } = require('./account-holds');
+
+const spec = `root {
+  instruction_id string<trim|minlength:1>
+  client_id? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Cancels a stored instruction before it is executed and releases the funds it holds, in one
+ * transaction unless the caller passes its own session. The occurrence of a standing order can be
+ * cancelled on its own; the standing order goes on. Only the API client that sent the instruction
+ * can cancel it.
+ * @param {{instruction_id: string, client_id?: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<object>} The cancelled instruction.
+ */
+async function cancelPendingInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const pendingInstruction = await loadPendingInstruction(
+    { instruction_id: data.instruction_id },
+    options
+  );
+  checkInstructionClient(pendingInstruction, data.client_id);
+  const updateValues = {
+    status: 'cancelled',
+    status_code: StatusCode.INSTRUCTION_CANCELLED,
+    status_reason: PaymentMessage.INSTRUCTION_CANCELLED,
+  };
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const updateResult = await PaymentInstructionRepository.updateOne({
+      query: { _id: data.instruction_id, status: 'pending' },
+      updateValues,
+      options: { session: sessionToUse },
+    });
+
+    if (updateResult.modifiedCount !== 1) {
+      // The scheduler claimed the instruction in the meantime.
+      throwPendingInstructionError(
+        {
+          code: StatusCode.INSTRUCTION_NOT_PENDING,
+          message: PaymentMessage.INSTRUCTION_NOT_PENDING(data.instruction_id, 'processing'),
+        },
+        data.instruction_id,
+        { status: 'processing' }
+      );
+    }
+
+    await releaseHold(
+      {
+        account_id: pendingInstruction.debit_account,
+        amount_minor: pendingInstruction.held_amount_minor,
+      },
+      sessionToUse
+    );
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'cancel-pending-instruction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return { ...pendingInstruction, ...updateValues };
+}
+
+module.exports = cancelPendingInstruction;
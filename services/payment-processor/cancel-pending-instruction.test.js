@@ -0,0 +1,112 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const cancelPendingInstruction = require('./cancel-pending-instruction');
+
+describe('cancelPendingInstruction', () => {
+  const session = {};
+  const pendingInstruction = {
+    _id: '01J0000000000000000000000P',
+    instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20',
+    debit_account: 'a',
+    held_amount_minor: 30000,
+    status: 'pending',
+  };
+
+  beforeEach(() => {
+    sinon
+      .stub(PaymentInstructionRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should cancel a pending instruction', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(pendingInstruction);
+
+    const result = await cancelPendingInstruction(
+      { instruction_id: pendingInstruction._id },
+      { session }
+    );
+
+    expect(result).to.include({
+      status: 'cancelled',
+      status_code: StatusCode.INSTRUCTION_CANCELLED,
+    });
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0].query).to.deep.equal({
+      _id: pendingInstruction._id,
+      status: 'pending',
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a' },
+      updateValues: { $inc: { held_balance_minor: -30000 } },
+    });
+  });
+
+  it('Should fail with PI01 for an instruction that another client sent', async () => {
+    sinon
+      .stub(PaymentInstructionRepository, 'findOne')
+      .resolves({ ...pendingInstruction, client_id: 'ops' });
+
+    const codes = await Promise.all(
+      [{ client_id: 'shop' }, {}].map((caller) =>
+        cancelPendingInstruction(
+          { instruction_id: pendingInstruction._id, ...caller },
+          { session }
+        ).catch((error) => error.context.status_code)
+      )
+    );
+
+    expect(codes).to.deep.equal([
+      StatusCode.INSTRUCTION_NOT_FOUND,
+      StatusCode.INSTRUCTION_NOT_FOUND,
+    ]);
+    expect(PaymentInstructionRepository.updateOne.called).to.equal(false);
+  });
+
+  it('Should fail with PI01 for an unknown instruction and PI02 for an executed one', async () => {
+    const findOne = sinon.stub(PaymentInstructionRepository, 'findOne').resolves(null);
+
+    try {
+      await cancelPendingInstruction({ instruction_id: 'missing' }, { session });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context).to.include({
+        status: null,
+        status_code: StatusCode.INSTRUCTION_NOT_FOUND,
+      });
+    }
+
+    findOne.resolves({ ...pendingInstruction, status: 'successful' });
+
+    try {
+      await cancelPendingInstruction({ instruction_id: pendingInstruction._id }, { session });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context).to.include({
+        status: 'successful',
+        status_code: StatusCode.INSTRUCTION_NOT_PENDING,
+      });
+      expect(PaymentInstructionRepository.updateOne.called).to.equal(false);
+    }
+  });
+
+  it('Should fail with PI02 when the scheduler claims the instruction first', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(pendingInstruction);
+    PaymentInstructionRepository.updateOne.resolves({ acknowledged: true, modifiedCount: 0 });
+
+    try {
+      await cancelPendingInstruction({ instruction_id: pendingInstruction._id }, { session });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSTRUCTION_NOT_PENDING);
+    }
+  });
+});
@@ -0,0 +1,168 @@
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const processPaymentInstruction = require('./parse-instruction');
+const { releaseHold } = require('./account-holds');
+
+/**
+ * Claims a pending instruction so that overlapping sweeps, or a sweep and the reviewer releasing
+ * it, do not execute it twice. An instruction that is still `processing` long after it was
+ * claimed was left behind by a worker that stopped; it can be claimed again with the claimed_at it
+ * was read with. Its transfer was not posted, since the outcome is recorded in the same
+ * transaction as the posting.
+ * @param {object} pendingInstruction
+ * @returns {Promise<boolean>} Whether the caller now owns the instruction.
+ */
+async function claimInstruction(pendingInstruction) {
+  const isStaleClaim = pendingInstruction.status === 'processing';
+  const updateResult = await PaymentInstructionRepository.updateOne({
+    query: {
+      _id: pendingInstruction._id,
+      status: isStaleClaim ? 'processing' : 'pending',
+      ...(isStaleClaim && { claimed_at: pendingInstruction.claimed_at ?? null }),
+    },
+    updateValues: { status: 'processing', claimed_at: Date.now() },
+  });
+
+  return updateResult.modifiedCount === 1;
+}
+
+/**
+ * Maps a failure of a due instruction to the values stored on the instruction. Running out of
+ * funds between scheduling and execution has its own status code.
+ * @param {object} errorContext - The context of the pipeline error.
+ * @param {object} pendingInstruction
+ * @returns {{status_code: string, status_reason: string}}
+ */
+function getFailureStatus(errorContext, pendingInstruction) {
+  let failureStatus = {
+    status_code: errorContext.status_code,
+    status_reason: errorContext.status_reason,
+  };
+
+  if (errorContext.status_code === StatusCode.INSUFFICIENT_FUNDS) {
+    failureStatus = {
+      status_code: StatusCode.SCHEDULED_INSUFFICIENT_FUNDS,
+      status_reason: PaymentMessage.SCHEDULED_INSUFFICIENT_FUNDS(pendingInstruction.debit_account),
+    };
+  }
+
+  return failureStatus;
+}
+
+/**
+ * Runs a due instruction through the payment pipeline and works out the values to store on it.
+ * Failures release the funds the instruction holds.
+ * @param {object} pendingInstruction
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ * @returns {Promise<object>} The values to store on the instruction.
+ */
+async function runPendingInstruction(pendingInstruction, options) {
+  let updateValues;
+
+  try {
+    const result = await processPaymentInstruction(
+      {
+        instruction: pendingInstruction.instruction,
+        locale: pendingInstruction.locale,
+        client_id: pendingInstruction.client_id,
+      },
+      {
+        ...options,
+        useLedger: true,
+        executeScheduled: true,
+        heldAmountMinor: pendingInstruction.held_amount_minor,
+      }
+    );
+
+    updateValues = {
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: PaymentMessage.TRANSACTION_SUCCESSFUL,
+      transaction_id: result.transaction_id,
+      executed_at: Date.now(),
+    };
+  } catch (error) {
+    if (!error.context) throw error;
+
+    await releaseHold(
+      {
+        account_id: pendingInstruction.debit_account,
+        amount_minor: pendingInstruction.held_amount_minor,
+      },
+      options.session
+    );
+    updateValues = {
+      status: 'failed',
+      ...getFailureStatus(error.context, pendingInstruction),
+      executed_at: Date.now(),
+    };
+  }
+
+  await PaymentInstructionRepository.updateOne({
+    query: { _id: pendingInstruction._id },
+    updateValues,
+    options: { session: options.session },
+  });
+
+  return updateValues;
+}
+
+/**
+ * Executes one due instruction through the payment pipeline, which re-checks the currencies and
+ * the available funds, and records the outcome on the stored instruction in the same transaction
+ * as the ledger posting. The funds the instruction holds count as available to it; they are
+ * released when it executes or fails. Errors that are not a verdict on the instruction (e.g. a
+ * ledger conflict) put it back to pending for the next sweep.
+ * @param {object} pendingInstruction
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ * @returns {Promise<object>} The values stored on the instruction, with its resulting status.
+ */
+async function executePendingInstruction(pendingInstruction, options) {
+  let sessionToUse;
+  let isSessionNative = false;
+  let updateValues;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    updateValues = await runPendingInstruction(pendingInstruction, {
+      ...options,
+      session: sessionToUse,
+    });
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'execute-scheduled-instruction-error');
+    updateValues = { status: 'pending' };
+
+    await PaymentInstructionRepository.updateOne({
+      query: { _id: pendingInstruction._id },
+      updateValues,
+      options: { session: isSessionNative ? undefined : sessionToUse },
+    });
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return updateValues;
+}
+
+module.exports = { claimInstruction, executePendingInstruction };
@@ -0,0 +1,54 @@
+const validator = require('@app-core/validator');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { claimInstruction, executePendingInstruction } = require('./execute-pending-instruction');
+
+const DEFAULT_SWEEP_LIMIT = 100;
+const CLAIM_TIMEOUT_MS =
+  parseInt(process.env.SCHEDULED_INSTRUCTION_CLAIM_TIMEOUT_MS, 10) || 15 * 60_000;
+
+const spec = `root {
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Executes the stored pending instructions whose execute_by time has arrived, oldest first, and
+ * takes over the ones a stopped worker claimed more than SCHEDULED_INSTRUCTION_CLAIM_TIMEOUT_MS
+ * ago without recording an outcome.
+ * @param {{limit?: number}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{processed: number, successful: number, failed: number}>}
+ */
+async function executeScheduledInstructions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const dueInstructions = await PaymentInstructionRepository.findMany({
+    query: {
+      $or: [
+        { status: 'pending', execute_at: { $lte: Date.now() } },
+        { status: 'processing', claimed_at: { $not: { $gte: Date.now() - CLAIM_TIMEOUT_MS } } },
+      ],
+    },
+    options: { sort: { execute_at: 1 }, limit: data.limit || DEFAULT_SWEEP_LIMIT },
+  });
+
+  const summary = { processed: 0, successful: 0, failed: 0 };
+
+  await dueInstructions.reduce(async (previous, pendingInstruction) => {
+    await previous;
+
+    if (!(await claimInstruction(pendingInstruction))) return;
+
+    const { status } = await executePendingInstruction(pendingInstruction, options);
+
+    if (status === 'pending') return;
+
+    summary.processed += 1;
+    summary[status === 'successful' ? 'successful' : 'failed'] += 1;
+  }, Promise.resolve());
+
+  return summary;
+}
+
+module.exports = executeScheduledInstructions;
@@ -0,0 +1,140 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const TransactionRepository = require('@app/repository/transaction');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const executeScheduledInstructions = require('./execute-scheduled-instructions');
+
+describe('executeScheduledInstructions', () => {
+  const session = {};
+  const pendingInstruction = {
+    _id: '01J0000000000000000000000P',
+    instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20',
+    debit_account: 'a',
+    credit_account: 'b',
+    status: 'pending',
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(new Date('2025-11-20T08:00:00.000Z').getTime());
+    sinon.stub(PaymentInstructionRepository, 'findMany').resolves([pendingInstruction]);
+    sinon
+      .stub(PaymentInstructionRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(TransactionRepository, 'createMany').callsFake(async ({ entries }) => entries);
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should execute a due instruction and mark it successful', async () => {
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 500, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+    ]);
+
+    const summary = await executeScheduledInstructions({}, { session });
+
+    expect(summary).to.deep.equal({ processed: 1, successful: 1, failed: 0 });
+    expect(PaymentInstructionRepository.findMany.firstCall.args[0].query).to.deep.equal({
+      $or: [
+        { status: 'pending', execute_at: { $lte: Date.now() } },
+        { status: 'processing', claimed_at: { $not: { $gte: Date.now() - 15 * 60_000 } } },
+      ],
+    });
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0]).to.deep.equal({
+      query: { _id: pendingInstruction._id, status: 'pending' },
+      updateValues: { status: 'processing', claimed_at: Date.now() },
+    });
+
+    const { updateValues, options } = PaymentInstructionRepository.updateOne.lastCall.args[0];
+    expect(options.session).to.equal(session);
+    expect(updateValues.status).to.equal('successful');
+    expect(updateValues.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+    expect(updateValues.transaction_id).to.be.a('string');
+  });
+
+  it('Should use its own status code when funds ran out before execution', async () => {
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 100, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+    ]);
+
+    const summary = await executeScheduledInstructions({}, { session });
+
+    expect(summary).to.deep.equal({ processed: 1, successful: 0, failed: 1 });
+    const { updateValues } = PaymentInstructionRepository.updateOne.lastCall.args[0];
+    expect(updateValues.status).to.equal('failed');
+    expect(updateValues.status_code).to.equal(StatusCode.SCHEDULED_INSUFFICIENT_FUNDS);
+    expect(TransactionRepository.createMany.called).to.equal(false);
+  });
+
+  it('Should spend the funds held for the instruction, or release them when it fails', async () => {
+    const findMany = sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 300, held_balance_minor: 30000, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+    ]);
+    PaymentInstructionRepository.findMany.resolves([
+      { ...pendingInstruction, held_amount_minor: 30000 },
+    ]);
+
+    const summary = await executeScheduledInstructions({}, { session });
+
+    expect(summary).to.deep.equal({ processed: 1, successful: 1, failed: 0 });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 300, held_balance_minor: 30000 },
+      updateValues: { balance: 0, held_balance_minor: 0 },
+    });
+
+    findMany.resolves([
+      { account_id: 'a', balance: 300, held_balance_minor: 30000, currency: 'USD' },
+    ]);
+    AccountRepository.updateOne.resetHistory();
+
+    await executeScheduledInstructions({}, { session });
+
+    expect(PaymentInstructionRepository.updateOne.lastCall.args[0].updateValues.status).to.equal(
+      'failed'
+    );
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a' },
+      updateValues: { $inc: { held_balance_minor: -30000 } },
+    });
+  });
+
+  it('Should take over an instruction whose claim went stale', async () => {
+    const claimedAt = Date.now() - 60 * 60_000;
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 500, currency: 'USD' },
+      { account_id: 'b', balance: 0, currency: 'USD' },
+    ]);
+    PaymentInstructionRepository.findMany.resolves([
+      { ...pendingInstruction, status: 'processing', claimed_at: claimedAt },
+    ]);
+
+    const summary = await executeScheduledInstructions({}, { session });
+
+    expect(summary).to.deep.equal({ processed: 1, successful: 1, failed: 0 });
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0].query).to.deep.equal({
+      _id: pendingInstruction._id,
+      status: 'processing',
+      claimed_at: claimedAt,
+    });
+  });
+
+  it('Should skip an instruction already claimed by another sweep', async () => {
+    PaymentInstructionRepository.updateOne.resolves({ acknowledged: true, modifiedCount: 0 });
+
+    const summary = await executeScheduledInstructions({}, { session });
+
+    expect(summary).to.deep.equal({ processed: 0, successful: 0, failed: 0 });
+    expect(PaymentInstructionRepository.updateOne.calledOnce).to.equal(true);
+  });
+});
@@ -0,0 +1,129 @@
+const MINUTE_MS = 60_000;
+
+/**
+ * A timezone of a scheduled instruction.
+ * @typedef {Object} TimeZone
+ * @property {string} name - The zone as given, e.g. `Africa/Lagos` or `+01:00`.
+ * @property {function(number): number} getOffsetMinutes - The offset from UTC, in minutes, at an
+ * instant (milliseconds since the epoch).
+ */
+
+/**
+ * Creates a zone with a fixed UTC offset written `+HH:MM` or `-HH:MM`.
+ * @param {string} name
+ * @returns {?TimeZone} null if the name is not such an offset.
+ */
+function createFixedOffsetZone(name) {
+  const isDigit = (char) => char >= '0' && char <= '9';
+
+  if (
+    name.length !== 6 ||
+    (name[0] !== '+' && name[0] !== '-') ||
+    name[3] !== ':' ||
+    ![1, 2, 4, 5].every((index) => isDigit(name[index]))
+  ) {
+    return null;
+  }
+
+  const hours = Number(name.slice(1, 3));
+  const minutes = Number(name.slice(4, 6));
+
+  if (hours > 14 || minutes > 59) {
+    return null;
+  }
+
+  const offsetMinutes = (name[0] === '-' ? -1 : 1) * (hours * 60 + minutes);
+
+  return { name, getOffsetMinutes: () => offsetMinutes };
+}
+
+/**
+ * Creates a zone from an IANA name such as `Africa/Lagos` or `UTC`, whose offset follows the
+ * daylight-saving rules of the zone.
+ * @param {string} name
+ * @returns {?TimeZone} null if the runtime does not know the zone.
+ */
+function createIanaZone(name) {
+  let formatter;
+
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    name,
+    getOffsetMinutes(instant) {
+      const parts = Object.fromEntries(
+        formatter.formatToParts(instant).map((part) => [part.type, Number(part.value)])
+      );
+      const localAsUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      );
+
+      return Math.round((localAsUtc - Math.floor(instant / 1000) * 1000) / MINUTE_MS);
+    },
+  };
+}
+
+/**
+ * Resolves the timezone of a scheduled instruction.
+ * @param {string} name - An IANA timezone name or a `+HH:MM`/`-HH:MM` UTC offset.
+ * @returns {?TimeZone} null if the name is neither.
+ */
+function parseTimeZone(name) {
+  return createFixedOffsetZone(name) || createIanaZone(name);
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to an instant. A wall-clock time skipped by a
+ * daylight-saving change resolves to the same time under the offset in force after the change.
+ * @param {{year: number, month: number, day: number, hours: number, minutes: number}} localTime
+ * @param {TimeZone} timeZone
+ * @returns {number} Milliseconds since the epoch.
+ */
+function toInstant(localTime, timeZone) {
+  const { year, month, day, hours, minutes } = localTime;
+  const localAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  const estimate = localAsUtc - timeZone.getOffsetMinutes(localAsUtc) * MINUTE_MS;
+
+  return localAsUtc - timeZone.getOffsetMinutes(estimate) * MINUTE_MS;
+}
+
+/**
+ * Formats an instant as an ISO 8601 timestamp in the local time of a timezone, with its UTC
+ * offset, e.g. `2025-11-18T00:30:00+01:00`.
+ * @param {number} instant - Milliseconds since the epoch.
+ * @param {TimeZone} timeZone
+ * @returns {string}
+ */
+function formatInstant(instant, timeZone) {
+  const offsetMinutes = timeZone.getOffsetMinutes(instant);
+  const localTime = new Date(instant + offsetMinutes * MINUTE_MS).toISOString().slice(0, 19);
+  const absoluteOffset = Math.abs(offsetMinutes);
+  const offsetHours = String(Math.floor(absoluteOffset / 60)).padStart(2, '0');
+  const offsetRest = String(absoluteOffset % 60).padStart(2, '0');
+
+  return `${localTime}${offsetMinutes < 0 ? '-' : '+'}${offsetHours}:${offsetRest}`;
+}
+
+module.exports = {
+  parseTimeZone,
+  toInstant,
+  formatInstant,
+};
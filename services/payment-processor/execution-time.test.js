@@ -0,0 +1,26 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { parseTimeZone, toInstant, formatInstant } = require('./execution-time');
+
+describe('execution time', () => {
+  it('Should follow the daylight-saving rules of an IANA timezone', () => {
+    const newYork = parseTimeZone('America/New_York');
+    const winter = toInstant({ year: 2025, month: 1, day: 15, hours: 9, minutes: 0 }, newYork);
+    const summer = toInstant({ year: 2025, month: 7, day: 15, hours: 9, minutes: 0 }, newYork);
+
+    expect(new Date(winter).toISOString()).to.equal('2025-01-15T14:00:00.000Z');
+    expect(new Date(summer).toISOString()).to.equal('2025-07-15T13:00:00.000Z');
+    expect(formatInstant(summer, newYork)).to.equal('2025-07-15T09:00:00-04:00');
+  });
+
+  it('Should accept fixed UTC offsets and reject unknown zones', () => {
+    const offset = parseTimeZone('+05:30');
+
+    expect(formatInstant(Date.UTC(2025, 10, 17, 18, 45), offset)).to.equal(
+      '2025-11-18T00:15:00+05:30'
+    );
+    expect(parseTimeZone('Mars/Olympus')).to.equal(null);
+    expect(parseTimeZone('+5:30')).to.equal(null);
+  });
+});
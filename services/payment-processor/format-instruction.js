@@ -0,0 +1,84 @@
+const tokenizeInstruction = require('./tokenize-instruction');
+
+/**
+ * Writes a REF or NARRATION text, quoted if it would not read back as a single token.
+ * @param {string} text
+ * @returns {string}
+ */
+function formatText(text) {
+  const tokens = tokenizeInstruction(text);
+
+  return tokens.length === 1 && tokens[0].value === text ? text : `"${text}"`;
+}
+
+/**
+ * Writes the `[EVERY [interval] unit] ON date [AT time] [timezone] [UNTIL date]` part of an
+ * instruction. An interval of one is left out and longer intervals take the plural unit.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @returns {Array<string>}
+ */
+function formatTiming(instructionData) {
+  const { date, time, timeZone, recurrence } = instructionData;
+  const words = [];
+
+  if (recurrence) {
+    words.push(
+      'EVERY',
+      ...(recurrence.interval === 1
+        ? [recurrence.unit]
+        : [String(recurrence.interval), `${recurrence.unit}S`])
+    );
+  }
+
+  if (date) {
+    words.push('ON', date);
+    if (time) words.push('AT', time);
+    if (timeZone) words.push(timeZone);
+  }
+
+  if (recurrence?.until) {
+    words.push('UNTIL', recurrence.until);
+  }
+
+  return words;
+}
+
+/**
+ * Writes the canonical form of a parsed instruction: keywords in upper case, one space between
+ * tokens, amounts as plain numbers, split legs as `account:amount` separated by `, `, and REF
+ * before NARRATION. Account ids, dates, times and timezones are kept as written. Parsing the
+ * canonical form gives back the same data.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @returns {string}
+ */
+function formatInstruction(instructionData) {
+  const { transactionType, amount, currency, debitAccountId, creditAccountId } = instructionData;
+  let words;
+
+  if (transactionType === 'REVERSE') {
+    words = ['REVERSE', 'TRANSACTION', instructionData.transactionId];
+    if (amount !== null) words.push('AMOUNT', String(amount));
+  } else if (transactionType === 'CREDIT') {
+    words = ['CREDIT', String(amount), currency, 'TO', 'ACCOUNT', creditAccountId];
+    words.push('FOR', 'DEBIT', 'FROM', 'ACCOUNT', debitAccountId, ...formatTiming(instructionData));
+  } else {
+    const destination = creditAccountId
+      ? ['ACCOUNT', creditAccountId]
+      : [
+          'ACCOUNTS',
+          instructionData.creditLegs.map((leg) => `${leg.accountId}:${leg.amount}`).join(', '),
+        ];
+
+    words = ['DEBIT', String(amount), currency, 'FROM', 'ACCOUNT', debitAccountId];
+    words.push('FOR', 'CREDIT', 'TO', ...destination, ...formatTiming(instructionData));
+  }
+
+  if (instructionData.reference !== null) words.push('REF', formatText(instructionData.reference));
+  if (instructionData.narration !== null) {
+    words.push('NARRATION', formatText(instructionData.narration));
+  }
+
+  return words.join(' ');
+}
+
+module.exports = formatInstruction;
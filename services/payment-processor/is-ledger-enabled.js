@@ -0,0 +1,14 @@
+const USE_ACCOUNT_LEDGER = parseInt(process.env.USE_ACCOUNT_LEDGER, 10);
+
+/**
+ * Tells whether balances should be read from and written to the account ledger, or taken from
+ * the caller-supplied `accounts[]` (the stateless mode). `options.useLedger` overrides the
+ * USE_ACCOUNT_LEDGER environment flag.
+ * @param {{useLedger?: boolean}} [options]
+ * @returns {boolean}
+ */
+function isLedgerEnabled(options = {}) {
+  return options.useLedger ?? Boolean(USE_ACCOUNT_LEDGER);
+}
+
+module.exports = isLedgerEnabled;
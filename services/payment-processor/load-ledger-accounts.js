@@ -0,0 +1,40 @@
+const validator = require('@app-core/validator');
+const AccountRepository = require('@app/repository/account');
+
+const spec = `root {
+  account_ids[] string<trim|minlength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads ledger accounts by their public account IDs, in the order the IDs were given.
+ * IDs that do not exist in the ledger are left out of the result.
+ * @param {{account_ids: Array<string>}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<Array<{id: string, balance: number, held_balance_minor: number, currency: string, overdraft_limit: number, account_type: ?string}>>}
+ */
+async function loadLedgerAccounts(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const ledgerAccounts = await AccountRepository.findMany({
+    query: { account_id: { $in: data.account_ids } },
+    options: { session: options.session },
+  });
+
+  const accounts = data.account_ids
+    .map((accountId) => ledgerAccounts.find((account) => account.account_id === accountId))
+    .filter(Boolean)
+    .map((account) => ({
+      id: account.account_id,
+      balance: account.balance,
+      held_balance_minor: account.held_balance_minor || 0,
+      currency: account.currency,
+      overdraft_limit: account.overdraft_limit || 0,
+      account_type: account.account_type || null,
+    }));
+
+  return accounts;
+}
+
+module.exports = loadLedgerAccounts;
@@ -0,0 +1,97 @@
+const validator = require('@app-core/validator');
+const { throwAppError } = require('@app-core/errors');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+
+const spec = `root {
+  instruction_id string<trim|minlength:1>
+  status? string(pending|held_for_review)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Throws the error of a stored instruction that cannot be changed, with the instruction as its
+ * context. This function does not return; it throws an error.
+ * @param {{code: string, message: string}} error
+ * @param {string} instructionId
+ * @param {?object} storedInstruction - The stored instruction, or null if there is none.
+ */
+function throwPendingInstructionError(error, instructionId, storedInstruction) {
+  throwAppError(error.message, error.code, {
+    context: {
+      instruction_id: instructionId,
+      status: storedInstruction ? storedInstruction.status : null,
+      status_code: error.code,
+      status_reason: error.message,
+    },
+  });
+}
+
+/**
+ * Loads a stored instruction that is still waiting for its execute_by time, or with
+ * `status: 'held_for_review'` one that is waiting for a reviewer. An instruction that is being
+ * executed, was executed, failed or was cancelled can no longer be changed.
+ * @param {{instruction_id: string, status?: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<object>} The pending instruction.
+ */
+async function loadPendingInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const storedInstruction = await PaymentInstructionRepository.findOne({
+    query: { _id: data.instruction_id },
+    options: { session: options.session },
+  });
+
+  if (!storedInstruction) {
+    throwPendingInstructionError(
+      {
+        code: StatusCode.INSTRUCTION_NOT_FOUND,
+        message: PaymentMessage.INSTRUCTION_NOT_FOUND(data.instruction_id),
+      },
+      data.instruction_id,
+      null
+    );
+  }
+
+  const expectedStatus = data.status || 'pending';
+
+  if (storedInstruction.status !== expectedStatus) {
+    const errorName =
+      expectedStatus === 'held_for_review' ? 'INSTRUCTION_NOT_HELD' : 'INSTRUCTION_NOT_PENDING';
+
+    throwPendingInstructionError(
+      {
+        code: StatusCode[errorName],
+        message: PaymentMessage[errorName](data.instruction_id, storedInstruction.status),
+      },
+      data.instruction_id,
+      storedInstruction
+    );
+  }
+
+  return storedInstruction;
+}
+
+/**
+ * Fails with PI01 for an instruction that another API client sent, so that a client can only
+ * change its own instructions and cannot tell whether those of others exist. Instructions sent
+ * without a client API key can only be changed by callers without one.
+ * @param {object} storedInstruction
+ * @param {?string} [clientId] - The API client of the caller.
+ */
+function checkInstructionClient(storedInstruction, clientId) {
+  if ((storedInstruction.client_id || null) !== (clientId || null)) {
+    throwPendingInstructionError(
+      {
+        code: StatusCode.INSTRUCTION_NOT_FOUND,
+        message: PaymentMessage.INSTRUCTION_NOT_FOUND(storedInstruction._id),
+      },
+      storedInstruction._id,
+      null
+    );
+  }
+}
+
+module.exports = { loadPendingInstruction, checkInstructionClient, throwPendingInstructionError };
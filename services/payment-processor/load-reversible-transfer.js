@@ -0,0 +1,75 @@
+const TransactionRepository = require('@app/repository/transaction');
+const { roundToMinorUnits } = require('./minor-units');
+
+/**
+ * @typedef {Object} ReversibleTransfer
+ * @property {string} transferId
+ * @property {boolean} isReversal - Whether the transfer is itself a reversal.
+ * @property {boolean} isSplit - Whether the transfer credited several accounts.
+ * @property {object} debitEntry - The ledger entry of the account the transfer debited.
+ * @property {object} creditEntry - The ledger entry of the (first) account the transfer credited.
+ * @property {number} netAmountMinor - The amount that reached the credit account, fees excluded,
+ * in minor units of the debit currency.
+ * @property {number} creditedMinor - The same amount in minor units of the credit currency.
+ * @property {number} reversedMinor - What earlier reversals returned to the debit account.
+ * @property {number} reversedCreditMinor - What earlier reversals took back from the credit
+ * account, in minor units of the credit currency.
+ */
+
+/**
+ * Sums the amounts of ledger entries in minor units.
+ * @param {Array<object>} entries
+ * @returns {number}
+ */
+function sumMinorUnits(entries) {
+  return entries.reduce(
+    (total, entry) => total + roundToMinorUnits(entry.amount, entry.currency),
+    0
+  );
+}
+
+/**
+ * Loads a transfer from the ledger along with what earlier reversals already returned of it.
+ * @param {string} transferId
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<?ReversibleTransfer>} The transfer, or null if the ledger has no such transfer.
+ */
+async function loadReversibleTransfer(transferId, options = {}) {
+  const entries = await TransactionRepository.findMany({
+    query: { $or: [{ transfer_id: transferId }, { reversal_of: transferId }] },
+    options: { session: options.session },
+  });
+
+  const transferEntries = entries.filter((entry) => entry.transfer_id === transferId);
+  const debitEntry = transferEntries.find(
+    (entry) => entry.direction === 'debit' && entry.type !== 'FEE'
+  );
+  const creditEntries = transferEntries.filter(
+    (entry) => entry.direction === 'credit' && entry.type !== 'FEE'
+  );
+  const [creditEntry] = creditEntries;
+
+  if (!debitEntry || !creditEntry) {
+    return null;
+  }
+
+  const feeEntries = transferEntries.filter((entry) => entry.type === 'FEE');
+  const reversalEntries = entries.filter((entry) => entry.reversal_of === transferId);
+
+  return {
+    transferId,
+    isReversal: debitEntry.type === 'REVERSE',
+    isSplit: creditEntries.length > 1,
+    debitEntry,
+    creditEntry,
+    // Whoever bears it, the fee is the difference between what was debited and what was sent.
+    netAmountMinor: sumMinorUnits([debitEntry]) - sumMinorUnits(feeEntries),
+    creditedMinor: sumMinorUnits([creditEntry]),
+    reversedMinor: sumMinorUnits(reversalEntries.filter((entry) => entry.direction === 'credit')),
+    reversedCreditMinor: sumMinorUnits(
+      reversalEntries.filter((entry) => entry.direction === 'debit')
+    ),
+  };
+}
+
+module.exports = loadReversibleTransfer;
@@ -0,0 +1,76 @@
+const { throwAppError } = require('@app-core/errors');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const { getCurrency, getEnabledCurrencyCodes } = require('../currency-registry/currency-registry');
+
+/**
+ * Returns the minor-unit exponent (number of decimal places) of a currency of the registry.
+ * A currency missing from the registry, e.g. that of an account stored before it was removed,
+ * fails with UNSUPPORTED_CURRENCY (CU02).
+ * @param {string} currency - The uppercase currency code.
+ * @returns {number}
+ */
+function getMinorUnitExponent(currency) {
+  const registeredCurrency = getCurrency(currency);
+
+  if (!registeredCurrency) {
+    const message = PaymentMessage.UNSUPPORTED_CURRENCY(currency, getEnabledCurrencyCodes());
+
+    throwAppError(message, StatusCode.UNSUPPORTED_CURRENCY, {
+      context: {
+        currency,
+        status: 'failed',
+        status_code: StatusCode.UNSUPPORTED_CURRENCY,
+        status_reason: message,
+      },
+    });
+  }
+
+  return registeredCurrency.minor_units;
+}
+
+/**
+ * Converts a major-unit amount to the nearest whole number of minor units. Used for balances,
+ * which are not validated against the currency precision.
+ * @param {number} amount - The amount in major units.
+ * @param {string} currency - The uppercase currency code.
+ * @returns {number}
+ */
+function roundToMinorUnits(amount, currency) {
+  return Math.round(amount * 10 ** getMinorUnitExponent(currency));
+}
+
+/**
+ * Converts a major-unit amount (e.g. 10.5 USD) to integer minor units (1050 cents).
+ * @param {number} amount - The amount in major units.
+ * @param {string} currency - The uppercase currency code.
+ * @returns {?number} The amount in minor units, or null if it has more decimal places than the
+ * currency allows.
+ */
+function toMinorUnits(amount, currency) {
+  const exponent = getMinorUnitExponent(currency);
+  let minorAmount = null;
+
+  // toFixed rounds to the allowed precision; the amount is only exact if that changes nothing.
+  if (Number(amount.toFixed(exponent)) === amount) {
+    minorAmount = roundToMinorUnits(amount, currency);
+  }
+
+  return Number.isSafeInteger(minorAmount) ? minorAmount : null;
+}
+
+/**
+ * Converts integer minor units back to a major-unit amount.
+ * @param {number} minorAmount - The amount in minor units.
+ * @param {string} currency - The uppercase currency code.
+ * @returns {number}
+ */
+function toMajorUnits(minorAmount, currency) {
+  return minorAmount / 10 ** getMinorUnitExponent(currency);
+}
+
+module.exports = {
+  getMinorUnitExponent,
+  roundToMinorUnits,
+  toMinorUnits,
+  toMajorUnits,
+};
@@ -0,0 +1,26 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const { getMinorUnitExponent, toMinorUnits } = require('./minor-units');
+
+describe('minor units', () => {
+  it('Should read the exponent of a registered currency', () => {
+    expect(getMinorUnitExponent('USD')).to.equal(2);
+    expect(toMinorUnits(10.5, 'USD')).to.equal(1050);
+  });
+
+  it('Should fail with CU02 for a currency missing from the registry', () => {
+    try {
+      getMinorUnitExponent('XYZ');
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(StatusCode.UNSUPPORTED_CURRENCY);
+      expect(error.context).to.include({
+        currency: 'XYZ',
+        status: 'failed',
+        status_code: StatusCode.UNSUPPORTED_CURRENCY,
+      });
+    }
+  });
+});
@@ -0,0 +1,215 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const getVocabulary = require('../vocabulary/get-vocabulary');
+const formatInstruction = require('./format-instruction');
+const parseInstructionTokens = require('./parse-instruction-tokens');
+const tokenizeInstruction = require('./tokenize-instruction');
+const { Ok, Err, isErr } = require('./result');
+
+const spec = `root {
+  instruction? string<minlength:1>
+  locale? string<trim>
+  type? string<trim|uppercase>(DEBIT|CREDIT)
+  amount? number
+  currency? string<trim|uppercase|minlength:1>
+  debit_account? string<trim|minlength:1>
+  credit_account? string<trim|minlength:1>
+  execute_by? string<trim>
+  reference? string
+  narration? string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const STRUCTURED_FIELDS = ['type', 'amount', 'currency', 'debit_account', 'credit_account'];
+
+// YYYY-MM-DD, optionally followed by THH:MM, zero seconds and a UTC offset or Z.
+const EXECUTE_BY_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(?::00(?:\.0+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Throws the error of an instruction that cannot be normalized, with the status code and the
+ * diagnostic of a syntax error as its context. This function does not return; it throws an error.
+ * @param {{code: string, message: string, diagnostic?: object}} error
+ */
+function throwNormalizeError(error) {
+  throwAppError(error.message, error.code, {
+    context: {
+      status: 'failed',
+      status_code: error.code,
+      status_reason: error.message,
+      diagnostics: error.diagnostic ? [error.diagnostic] : [],
+    },
+  });
+}
+
+/**
+ * Splits an ISO 8601 execute_by into the date, time and timezone of an `ON` clause. A `Z` suffix
+ * becomes the `+00:00` offset.
+ * @param {string} executeBy - A YYYY-MM-DD date or a timestamp such as `2025-11-20T09:30:00+01:00`.
+ * @returns {{isOk: boolean, value?: {date: string, time?: string, timeZone?: string}, error?: object}}
+ */
+function parseExecuteBy(executeBy) {
+  const match = EXECUTE_BY_PATTERN.exec(executeBy);
+
+  if (!match) {
+    return Err({
+      code: StatusCode.INVALID_DATE_FORMAT,
+      message: PaymentMessage.INVALID_DATE_FORMAT(executeBy),
+    });
+  }
+
+  const [, date, time, offset] = match;
+
+  return Ok({ date, time, timeZone: offset === 'Z' ? '+00:00' : offset });
+}
+
+/**
+ * Builds the parsed form of a structured instruction, as parseInstructionTokens would return it.
+ * @param {object} data - The validated structured instruction.
+ * @returns {{isOk: boolean, value?: object, error?: object}}
+ */
+function buildInstructionData(data) {
+  const scheduleResult = data.execute_by ? parseExecuteBy(data.execute_by) : Ok({});
+  if (isErr(scheduleResult)) return scheduleResult;
+
+  const textWithQuote = [data.reference, data.narration].find((text) => text?.includes('"'));
+  if (textWithQuote !== undefined) {
+    return Err({
+      code: ERROR_CODE.VALIDATIONERR,
+      message: PaymentMessage.QUOTE_IN_TEXT(textWithQuote),
+    });
+  }
+
+  return Ok({
+    transactionType: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debitAccountId: data.debit_account,
+    creditAccountId: data.credit_account,
+    creditLegs: [{ accountId: data.credit_account, amount: data.amount }],
+    date: undefined,
+    time: undefined,
+    timeZone: undefined,
+    ...scheduleResult.value,
+    recurrence: null,
+    reference: data.reference ?? null,
+    narration: data.narration ?? null,
+  });
+}
+
+/**
+ * Checks that the numbers of a parsed instruction are numbers, so that its canonical form can be
+ * written. Everything else is left to the validation of the payment pipeline.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @returns {{isOk: boolean, value?: object, error?: object}}
+ */
+function checkNumbers(instructionData) {
+  const amounts = [
+    instructionData.amount,
+    ...instructionData.creditLegs.map((leg) => leg.amount),
+  ].filter((amount) => amount !== null);
+  const invalidAmount = amounts.find((amount) => !Number.isFinite(amount));
+
+  if (invalidAmount !== undefined) {
+    return Err({
+      code: StatusCode.INVALID_AMOUNT,
+      message: PaymentMessage.INVALID_AMOUNT(invalidAmount),
+    });
+  }
+
+  if (instructionData.recurrence && !Number.isFinite(instructionData.recurrence.interval)) {
+    return Err({
+      code: StatusCode.INVALID_RECURRENCE,
+      message: PaymentMessage.INVALID_RECURRENCE_INTERVAL(instructionData.recurrence.interval),
+    });
+  }
+
+  return Ok(instructionData);
+}
+
+/**
+ * Describes a parsed instruction in the field names of the API.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @returns {object}
+ */
+function describeInstruction(instructionData) {
+  const { recurrence } = instructionData;
+
+  return {
+    type: instructionData.transactionType,
+    amount: instructionData.amount,
+    currency: instructionData.currency,
+    debit_account: instructionData.debitAccountId,
+    credit_account: instructionData.creditAccountId,
+    credits: instructionData.creditLegs.map((leg) => ({
+      account_id: leg.accountId,
+      amount: leg.amount,
+    })),
+    ...(instructionData.transactionId && { reversal_of: instructionData.transactionId }),
+    execute_date: instructionData.date ?? null,
+    execute_time: instructionData.time ?? null,
+    time_zone: instructionData.timeZone ?? null,
+    recurrence: recurrence
+      ? { every: recurrence.interval, unit: recurrence.unit, until: recurrence.until }
+      : null,
+    reference: instructionData.reference,
+    narration: instructionData.narration,
+  };
+}
+
+/**
+ * Writes an instruction in its canonical form, so that one normalized form can be stored for
+ * audit. Takes either an instruction string, however it is cased and spaced and in the vocabulary
+ * of any locale (`locale`, a language tag or an `Accept-Language` value), or the structured
+ * fields `{type, amount, currency, debit_account, credit_account, execute_by}` of a DEBIT or
+ * CREDIT, with optional `reference` and `narration`. Only the syntax is checked; accounts,
+ * currencies and dates are validated when the instruction is processed.
+ * @param {object} serviceData
+ * @returns {Promise<{instruction: string, parsed: object}>} The canonical instruction and what it
+ * parses to.
+ */
+async function normalizeInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let instructionDataResult;
+
+  if (data.instruction) {
+    instructionDataResult = parseInstructionTokens(
+      tokenizeInstruction(data.instruction),
+      data.instruction,
+      getVocabulary(data.locale)
+    );
+  } else {
+    const missingField = STRUCTURED_FIELDS.find((field) => data[field] === undefined);
+
+    if (missingField) {
+      throwAppError(
+        PaymentMessage.MISSING_STRUCTURED_FIELD(missingField),
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+    instructionDataResult = buildInstructionData(data);
+  }
+
+  if (isErr(instructionDataResult)) {
+    throwNormalizeError(instructionDataResult.error);
+  }
+
+  const numbersCheck = checkNumbers(instructionDataResult.value);
+  if (isErr(numbersCheck)) {
+    throwNormalizeError(numbersCheck.error);
+  }
+
+  const instruction = formatInstruction(instructionDataResult.value);
+
+  // Reading the canonical form back proves it parses, e.g. that built accounts hold no spaces.
+  const canonicalResult = parseInstructionTokens(tokenizeInstruction(instruction), instruction);
+  if (isErr(canonicalResult)) {
+    throwNormalizeError(canonicalResult.error);
+  }
+
+  return { instruction, parsed: describeInstruction(canonicalResult.value) };
+}
+
+module.exports = normalizeInstruction;
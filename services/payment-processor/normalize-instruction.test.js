@@ -0,0 +1,108 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const normalizeInstruction = require('./normalize-instruction');
+
+describe('normalizeInstruction', () => {
+  it('Should write a messy instruction in its canonical form', async () => {
+    const result = await normalizeInstruction({
+      instruction:
+        '  debit 100.50 usd  from account a\tFor credit to ACCOUNTS b:60.5,  c:40 on 2025-11-20 at 09:30 Europe/Paris narration "rent  share" ref INV-42',
+    });
+
+    expect(result.instruction).to.equal(
+      'DEBIT 100.5 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60.5, c:40 ON 2025-11-20 AT 09:30 Europe/Paris REF INV-42 NARRATION "rent  share"'
+    );
+    expect(result.parsed).to.deep.include({
+      type: 'DEBIT',
+      amount: 100.5,
+      currency: 'USD',
+      debit_account: 'a',
+      credit_account: null,
+      credits: [
+        { account_id: 'b', amount: 60.5 },
+        { account_id: 'c', amount: 40 },
+      ],
+      execute_date: '2025-11-20',
+      execute_time: '09:30',
+      time_zone: 'Europe/Paris',
+      recurrence: null,
+      reference: 'INV-42',
+      narration: 'rent  share',
+    });
+  });
+
+  it('Should keep the canonical form of a recurring CREDIT as it is', async () => {
+    const instruction =
+      'CREDIT 25 EUR TO ACCOUNT b FOR DEBIT FROM ACCOUNT a EVERY 2 WEEKS ON 2025-11-20 UNTIL 2026-01-31';
+
+    const first = await normalizeInstruction({ instruction: instruction.toLowerCase() });
+    const second = await normalizeInstruction({ instruction: first.instruction });
+
+    expect(first.instruction).to.equal(instruction.replace('eur', 'EUR'));
+    expect(second).to.deep.equal(first);
+    expect(first.parsed.recurrence).to.deep.equal({ every: 2, unit: 'WEEK', until: '2026-01-31' });
+  });
+
+  it('Should build the instruction of a structured payment', async () => {
+    const result = await normalizeInstruction({
+      type: 'credit',
+      amount: 300,
+      currency: 'ngn',
+      debit_account: 'a',
+      credit_account: 'b',
+      execute_by: '2025-11-20T09:30:00Z',
+      reference: 'school fees',
+    });
+
+    expect(result.instruction).to.equal(
+      'CREDIT 300 NGN TO ACCOUNT b FOR DEBIT FROM ACCOUNT a ON 2025-11-20 AT 09:30 +00:00 REF "school fees"'
+    );
+    expect(result.parsed).to.include({
+      type: 'CREDIT',
+      execute_date: '2025-11-20',
+      execute_time: '09:30',
+      time_zone: '+00:00',
+      reference: 'school fees',
+      narration: null,
+    });
+  });
+
+  it('Should fail for an unparseable execute_by or a missing field', async () => {
+    try {
+      await normalizeInstruction({
+        type: 'DEBIT',
+        amount: 300,
+        currency: 'USD',
+        debit_account: 'a',
+        credit_account: 'b',
+        execute_by: '20/11/2025',
+      });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INVALID_DATE_FORMAT);
+    }
+
+    try {
+      await normalizeInstruction({ type: 'DEBIT', amount: 300, currency: 'USD' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.message).to.include('debit_account');
+    }
+  });
+
+  it('Should point at the offending token of a malformed instruction', async () => {
+    try {
+      await normalizeInstruction({
+        instruction: 'DEBIT 100 USD FROM ACCT a FOR CREDIT TO ACCOUNT b',
+      });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.MISSING_REQUIRED_KEYWORD);
+      expect(error.context.diagnostics).to.deep.equal([
+        { offset: 19, column: 20, found: 'ACCT', expected: ['ACCOUNT'] },
+      ]);
+    }
+  });
+});
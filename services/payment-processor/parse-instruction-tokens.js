@@ -0,0 +1,548 @@
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const getVocabulary = require('../vocabulary/get-vocabulary');
+const { Ok, Err, isErr } = require('./result');
+
+/**
+ * Instruction grammar, in canonical keywords (keywords are case-insensitive, and the vocabulary of
+ * the request's locale decides how each one is written, e.g. `DÉBITER` or `SEND` for `DEBIT`):
+ *
+ *   instruction := debit | credit | reverse
+ *   debit       := "DEBIT" amount currency "FROM" "ACCOUNT" account
+ *                  "FOR" "CREDIT" "TO" ("ACCOUNT" account | "ACCOUNTS" legs) timing clauses
+ *   credit      := "CREDIT" amount currency "TO" "ACCOUNT" account
+ *                  "FOR" "DEBIT" "FROM" "ACCOUNT" account timing clauses
+ *   reverse     := "REVERSE" "TRANSACTION" transaction ["AMOUNT" amount] clauses
+ *   legs        := leg ("," leg)*
+ *   leg         := account ":" amount
+ *   timing      := [schedule] | recurrence
+ *   schedule    := "ON" date ["AT" time] [timezone]
+ *   recurrence  := "EVERY" [interval] unit schedule ["UNTIL" date]
+ *   unit        := "DAY" | "DAYS" | "WEEK" | "WEEKS" | "MONTH" | "MONTHS"
+ *   clauses     := ["REF" text] ["NARRATION" text], in either order
+ *   text        := token | '"' any characters but '"' '"'
+ *
+ * amount, currency, account, transaction, interval, date, time and timezone accept any token here;
+ * their values are validated after parsing. A timezone is any token after the date or time that
+ * does not start a clause or UNTIL. Commas of a leg list may be attached to the legs or stand alone.
+ */
+
+const END_OF_INSTRUCTION = '<end of instruction>';
+const CREDIT_LEG = '<account id:amount>';
+
+const TRAILING_CLAUSES = {
+  REF: 'reference',
+  NARRATION: 'narration',
+};
+
+const RECURRENCE_UNITS = {
+  DAY: 'DAY',
+  DAYS: 'DAY',
+  WEEK: 'WEEK',
+  WEEKS: 'WEEK',
+  MONTH: 'MONTH',
+  MONTHS: 'MONTH',
+};
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {number} offset - Zero-based character offset of the offending token.
+ * @property {number} column - One-based column of the offending token.
+ * @property {?string} found - The offending token, or null at the end of the instruction.
+ * @property {Array<string>} expected - Expected keywords, or `<placeholders>` for values.
+ */
+
+/**
+ * Creates a cursor over the instruction tokens.
+ * @param {Array<import('./tokenize-instruction').InstructionToken>} tokens
+ * @param {number} endOffset - The offset just past the last character of the instruction.
+ * @param {import('../vocabulary/get-vocabulary').Vocabulary} vocabulary
+ */
+function createTokenReader(tokens, endOffset, vocabulary) {
+  let position = 0;
+
+  return {
+    endOffset,
+    vocabulary,
+    peek: () => tokens[position] || null,
+    // The first of the canonical keywords that the token under the cursor spells, if any.
+    peekKeyword: (keywords) => vocabulary.match(tokens[position] || null, keywords),
+    next: () => {
+      const token = tokens[position] || null;
+      position += 1;
+      return token;
+    },
+  };
+}
+
+/**
+ * Builds the syntax error for a token.
+ * @param {?import('./tokenize-instruction').InstructionToken} token - The offending token, or
+ * null at the end of the instruction.
+ * @param {number} endOffset - The offset just past the last character of the instruction.
+ * @param {Array<string>} expected
+ * @param {string} code - SY01 when a keyword was expected, SY03 otherwise.
+ * @returns {{isOk: false, error: {code: string, message: string, diagnostic: Diagnostic}}}
+ */
+function syntaxError(token, endOffset, expected, code) {
+  const offset = token ? token.offset : endOffset;
+  const diagnostic = { offset, column: offset + 1, found: token ? token.value : null, expected };
+
+  return Err({
+    code,
+    message: PaymentMessage.UNEXPECTED_TOKEN(expected, diagnostic.column, diagnostic.found),
+    diagnostic,
+  });
+}
+
+/**
+ * Builds the syntax error for the token under the cursor, naming the expected keywords as the
+ * request's vocabulary writes them.
+ * @param {object} reader
+ * @param {Array<string>} expected - Canonical keywords, or `<placeholders>` for values.
+ * @param {string} code - SY01 when a keyword was expected, SY03 otherwise.
+ * @returns {{isOk: false, error: {code: string, message: string, diagnostic: Diagnostic}}}
+ */
+function unexpectedToken(reader, expected, code) {
+  return syntaxError(reader.peek(), reader.endOffset, expected.map(reader.vocabulary.spell), code);
+}
+
+/**
+ * Consumes the given keywords, in order.
+ * @param {object} reader
+ * @param {Array<string>} keywords
+ * @returns {{isOk: boolean, error?: object}}
+ */
+function expectKeywords(reader, keywords) {
+  let result = Ok(null);
+
+  keywords.every((keyword) => {
+    if (!reader.peekKeyword([keyword])) {
+      result = unexpectedToken(reader, [keyword], StatusCode.MISSING_REQUIRED_KEYWORD);
+      return false;
+    }
+    reader.next();
+    return true;
+  });
+
+  return result;
+}
+
+/**
+ * Consumes a value token.
+ * @param {object} reader
+ * @param {string} name - What the value is, for the diagnostic (e.g. `amount`).
+ * @returns {{isOk: boolean, value?: string, error?: object}} Ok with the token text, or Err.
+ */
+function expectValue(reader, name) {
+  if (!reader.peek()) {
+    return unexpectedToken(reader, [`<${name}>`], StatusCode.MALFORMED_INSTRUCTION);
+  }
+  return Ok(reader.next().value);
+}
+
+/**
+ * Consumes a text value, which may be a double-quoted string containing whitespace.
+ * @param {object} reader
+ * @param {string} name - What the value is, for the diagnostic (e.g. `narration`).
+ * @returns {{isOk: boolean, value?: string, error?: object}} Ok with the text without its quotes,
+ * or Err.
+ */
+function expectText(reader, name) {
+  const valueResult = expectValue(reader, name);
+  if (isErr(valueResult)) return valueResult;
+
+  const { value } = valueResult;
+
+  if (!value.startsWith('"')) {
+    return valueResult;
+  }
+
+  if (value.length < 2 || !value.endsWith('"')) {
+    return syntaxError(
+      null,
+      reader.endOffset,
+      ['<closing quote>'],
+      StatusCode.MALFORMED_INSTRUCTION
+    );
+  }
+
+  return Ok(value.slice(1, -1));
+}
+
+/**
+ * Parses the optional trailing `REF text` and `NARRATION text` clauses, in either order.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: {reference: ?string, narration: ?string}, error?: object}} Ok
+ * with the clause values (null when absent), or Err.
+ */
+function parseTrailingClauses(reader) {
+  const clauses = { reference: null, narration: null };
+  let result = null;
+
+  while (!result) {
+    const field = TRAILING_CLAUSES[reader.peekKeyword(Object.keys(TRAILING_CLAUSES))];
+
+    if (!field || clauses[field] !== null) {
+      result = Ok(clauses);
+    } else {
+      reader.next();
+      const textResult = expectText(reader, field);
+
+      if (isErr(textResult)) {
+        result = textResult;
+      } else {
+        clauses[field] = textResult.value;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses `keywords account`, e.g. `FROM ACCOUNT a`.
+ * @param {object} reader
+ * @param {Array<string>} keywords
+ * @returns {{isOk: boolean, value?: string, error?: object}} Ok with the account id, or Err.
+ */
+function parseAccountClause(reader, keywords) {
+  const keywordsCheck = expectKeywords(reader, keywords);
+  if (isErr(keywordsCheck)) return keywordsCheck;
+
+  return expectValue(reader, 'account id');
+}
+
+/**
+ * Splits a token on its commas, each comma becoming a token of its own.
+ * @param {import('./tokenize-instruction').InstructionToken} token
+ * @returns {Array<import('./tokenize-instruction').InstructionToken>}
+ */
+function splitOnCommas(token) {
+  const parts = [];
+  let current = null;
+
+  token.value.split('').forEach((char, index) => {
+    const offset = token.offset + index;
+
+    if (char === ',') {
+      current = null;
+      parts.push({ value: char, offset });
+    } else if (current) {
+      current.value += char;
+    } else {
+      current = { value: char, offset };
+      parts.push(current);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Parses the leg list of a split DEBIT, e.g. `b:60, c:40`. The list goes on for as long as a
+ * comma ends a token or starts the next one.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: Array<{accountId: string, amount: number}>, error?: object}}
+ * Ok with the legs, or Err.
+ */
+function parseCreditLegs(reader) {
+  const listTokens = [];
+  let continues = true;
+
+  while (continues && reader.peek()) {
+    const token = reader.next();
+    listTokens.push(token);
+    continues = token.value.endsWith(',') || Boolean(reader.peek()?.value.startsWith(','));
+  }
+
+  const parts = listTokens.flatMap(splitOnCommas);
+  const legs = [];
+  let result = null;
+
+  parts.every((part, index) => {
+    if (index % 2 === 1) return true;
+
+    const [accountId, amount, ...rest] = part.value.split(':');
+
+    if (!accountId || !amount || rest.length) {
+      result = syntaxError(part, reader.endOffset, [CREDIT_LEG], StatusCode.MALFORMED_INSTRUCTION);
+      return false;
+    }
+    legs.push({ accountId, amount: Number(amount) });
+    return true;
+  });
+
+  if (result) return result;
+
+  if (!parts.length || parts[parts.length - 1].value === ',') {
+    return unexpectedToken(reader, [CREDIT_LEG], StatusCode.MALFORMED_INSTRUCTION);
+  }
+
+  return Ok(legs);
+}
+
+/**
+ * Parses where a DEBIT goes: `ACCOUNT account` for one credit account, or `ACCOUNTS legs` to
+ * split the amount between several.
+ * @param {object} reader
+ * @param {number} amount - The amount of the instruction, which a single account receives whole.
+ * @returns {{isOk: boolean, value?: {creditAccountId: ?string, creditLegs: Array<object>}, error?: object}}
+ * Ok with the credit account (null for a split) and the legs, or Err.
+ */
+function parseDebitDestination(reader, amount) {
+  const keyword = reader.peekKeyword(['ACCOUNT', 'ACCOUNTS']);
+
+  if (keyword === 'ACCOUNTS') {
+    reader.next();
+    const legsResult = parseCreditLegs(reader);
+    if (isErr(legsResult)) return legsResult;
+
+    return Ok({ creditAccountId: null, creditLegs: legsResult.value });
+  }
+
+  if (keyword !== 'ACCOUNT') {
+    return unexpectedToken(reader, ['ACCOUNT', 'ACCOUNTS'], StatusCode.MISSING_REQUIRED_KEYWORD);
+  }
+  reader.next();
+
+  const accountResult = expectValue(reader, 'account id');
+  if (isErr(accountResult)) return accountResult;
+
+  return Ok({
+    creditAccountId: accountResult.value,
+    creditLegs: [{ accountId: accountResult.value, amount }],
+  });
+}
+
+/**
+ * Parses the optional `ON date [AT time] [timezone]` clause.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: {date?: string, time?: string, timeZone?: string, dateToken: ?object}, error?: object}}
+ * Ok with the schedule text (all undefined when absent) and the token of the date, or Err.
+ */
+function parseSchedule(reader) {
+  const schedule = { date: undefined, time: undefined, timeZone: undefined, dateToken: null };
+
+  if (!reader.peekKeyword(['ON'])) {
+    return Ok(schedule);
+  }
+  reader.next();
+
+  schedule.dateToken = reader.peek();
+  const dateResult = expectValue(reader, 'date');
+  if (isErr(dateResult)) return dateResult;
+  schedule.date = dateResult.value;
+
+  if (reader.peekKeyword(['AT'])) {
+    reader.next();
+
+    const timeResult = expectValue(reader, 'time');
+    if (isErr(timeResult)) return timeResult;
+    schedule.time = timeResult.value;
+  }
+
+  if (reader.peek() && !reader.peekKeyword([...Object.keys(TRAILING_CLAUSES), 'UNTIL'])) {
+    schedule.timeZone = reader.next().value;
+  }
+
+  return Ok(schedule);
+}
+
+/**
+ * Parses the optional `EVERY [interval] unit ON date [AT time] [timezone] [UNTIL date]` clause of
+ * a standing order, or else the optional one-off schedule.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the schedule text and the
+ * recurrence (null for a one-off instruction), or Err.
+ */
+function parseTiming(reader) {
+  if (!reader.peekKeyword(['EVERY'])) {
+    const scheduleResult = parseSchedule(reader);
+    if (isErr(scheduleResult)) return scheduleResult;
+
+    return Ok({ ...scheduleResult.value, recurrence: null });
+  }
+  reader.next();
+
+  const units = Object.keys(RECURRENCE_UNITS);
+  let interval = 1;
+
+  if (reader.peek() && !reader.peekKeyword(units)) {
+    interval = Number(reader.next().value);
+  }
+
+  const unit = RECURRENCE_UNITS[reader.peekKeyword(units)];
+  if (!unit) {
+    return unexpectedToken(reader, ['DAY', 'WEEK', 'MONTH'], StatusCode.MISSING_REQUIRED_KEYWORD);
+  }
+  reader.next();
+
+  if (!reader.peekKeyword(['ON'])) {
+    return unexpectedToken(reader, ['ON'], StatusCode.MISSING_REQUIRED_KEYWORD);
+  }
+
+  const scheduleResult = parseSchedule(reader);
+  if (isErr(scheduleResult)) return scheduleResult;
+
+  const recurrence = { interval, unit, until: null };
+
+  if (reader.peekKeyword(['UNTIL'])) {
+    reader.next();
+
+    const untilResult = expectValue(reader, 'date');
+    if (isErr(untilResult)) return untilResult;
+    recurrence.until = untilResult.value;
+  }
+
+  return Ok({ ...scheduleResult.value, recurrence });
+}
+
+/**
+ * Parses the optional `AMOUNT amount` clause of a reversal.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: ?import('./tokenize-instruction').InstructionToken, error?: object}}
+ * Ok with the token of the amount (null when absent), or Err.
+ */
+function parsePartialAmount(reader) {
+  if (!reader.peekKeyword(['AMOUNT'])) {
+    return Ok(null);
+  }
+  reader.next();
+
+  const amountToken = reader.peek();
+  const amountResult = expectValue(reader, 'amount');
+  if (isErr(amountResult)) return amountResult;
+
+  return Ok(amountToken);
+}
+
+/**
+ * Parses the rest of a REVERSE instruction, after the REVERSE keyword.
+ * @param {object} reader
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with structured data, or Err.
+ */
+function parseReversal(reader) {
+  const keywordsCheck = expectKeywords(reader, ['TRANSACTION']);
+  if (isErr(keywordsCheck)) return keywordsCheck;
+
+  const transactionResult = expectValue(reader, 'transaction id');
+  if (isErr(transactionResult)) return transactionResult;
+
+  const amountResult = parsePartialAmount(reader);
+  if (isErr(amountResult)) return amountResult;
+
+  const clausesResult = parseTrailingClauses(reader);
+  if (isErr(clausesResult)) return clausesResult;
+
+  if (reader.peek()) {
+    return unexpectedToken(reader, [END_OF_INSTRUCTION], StatusCode.MALFORMED_INSTRUCTION);
+  }
+
+  return Ok({
+    transactionType: 'REVERSE',
+    transactionId: transactionResult.value,
+    amount: amountResult.value ? Number(amountResult.value.value) : null,
+    currency: null,
+    debitAccountId: null,
+    creditAccountId: null,
+    creditLegs: [],
+    date: undefined,
+    time: undefined,
+    timeZone: undefined,
+    recurrence: null,
+    ...clausesResult.value,
+    valueTokens: { amount: amountResult.value, date: null },
+  });
+}
+
+/**
+ * Parses the tokens of a DEBIT, CREDIT or REVERSE instruction into a structured data object.
+ * `valueTokens` holds the tokens of the amount and of the date (null when absent), so that a value
+ * can be rewritten in place whatever the wording of the rest of the instruction.
+ * @param {Array<import('./tokenize-instruction').InstructionToken>} tokens
+ * @param {string} instruction - The instruction the tokens came from.
+ * @param {import('../vocabulary/get-vocabulary').Vocabulary} [vocabulary] - The keywords of the
+ * request's locale; the default locale if absent.
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with structured data, or Err with
+ * a diagnostic pointing at the offending token.
+ */
+function parseInstructionTokens(tokens, instruction, vocabulary = getVocabulary()) {
+  const reader = createTokenReader(tokens, instruction.length, vocabulary);
+
+  const transactionType = reader.peekKeyword(['DEBIT', 'CREDIT', 'REVERSE']);
+
+  if (transactionType === 'REVERSE') {
+    reader.next();
+    return parseReversal(reader);
+  }
+
+  if (transactionType !== 'DEBIT' && transactionType !== 'CREDIT') {
+    return unexpectedToken(
+      reader,
+      ['DEBIT', 'CREDIT', 'REVERSE'],
+      StatusCode.MISSING_REQUIRED_KEYWORD
+    );
+  }
+  reader.next();
+
+  const amountToken = reader.peek();
+  const amountResult = expectValue(reader, 'amount');
+  if (isErr(amountResult)) return amountResult;
+
+  const currencyResult = expectValue(reader, 'currency');
+  if (isErr(currencyResult)) return currencyResult;
+
+  const isDebit = transactionType === 'DEBIT';
+  const amount = Number(amountResult.value);
+
+  const firstAccountResult = parseAccountClause(
+    reader,
+    isDebit ? ['FROM', 'ACCOUNT'] : ['TO', 'ACCOUNT']
+  );
+  if (isErr(firstAccountResult)) return firstAccountResult;
+
+  let destinationResult;
+
+  if (isDebit) {
+    const keywordsCheck = expectKeywords(reader, ['FOR', 'CREDIT', 'TO']);
+    if (isErr(keywordsCheck)) return keywordsCheck;
+
+    destinationResult = parseDebitDestination(reader, amount);
+  } else {
+    const debitAccountResult = parseAccountClause(reader, ['FOR', 'DEBIT', 'FROM', 'ACCOUNT']);
+    if (isErr(debitAccountResult)) return debitAccountResult;
+
+    destinationResult = Ok({
+      debitAccountId: debitAccountResult.value,
+      creditAccountId: firstAccountResult.value,
+      creditLegs: [{ accountId: firstAccountResult.value, amount }],
+    });
+  }
+  if (isErr(destinationResult)) return destinationResult;
+
+  const timingResult = parseTiming(reader);
+  if (isErr(timingResult)) return timingResult;
+
+  const clausesResult = parseTrailingClauses(reader);
+  if (isErr(clausesResult)) return clausesResult;
+
+  if (reader.peek()) {
+    return unexpectedToken(reader, [END_OF_INSTRUCTION], StatusCode.MALFORMED_INSTRUCTION);
+  }
+
+  const { dateToken, ...timing } = timingResult.value;
+
+  return Ok({
+    transactionType,
+    amount,
+    currency: currencyResult.value.toUpperCase(),
+    debitAccountId: isDebit ? firstAccountResult.value : destinationResult.value.debitAccountId,
+    creditAccountId: destinationResult.value.creditAccountId,
+    creditLegs: destinationResult.value.creditLegs,
+    ...timing,
+    ...clausesResult.value,
+    valueTokens: { amount: amountToken, date: dateToken },
+  });
+}
+
+module.exports = parseInstructionTokens;
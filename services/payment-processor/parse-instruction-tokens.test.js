@@ -0,0 +1,235 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const tokenizeInstruction = require('./tokenize-instruction');
+const parseInstructionTokens = require('./parse-instruction-tokens');
+const getVocabulary = require('../vocabulary/get-vocabulary');
+
+function parse(instruction) {
+  return parseInstructionTokens(tokenizeInstruction(instruction), instruction);
+}
+
+function parseInLocale(instruction, locale) {
+  return parseInstructionTokens(
+    tokenizeInstruction(instruction),
+    instruction,
+    getVocabulary(locale)
+  );
+}
+
+describe('parseInstructionTokens', () => {
+  it('Should keep the offset of every token across mixed whitespace', () => {
+    expect(tokenizeInstruction('DEBIT  100\tUSD')).to.deep.equal([
+      { value: 'DEBIT', offset: 0 },
+      { value: '100', offset: 7 },
+      { value: 'USD', offset: 11 },
+    ]);
+  });
+
+  it('Should parse both instruction forms', () => {
+    const debit = parse('debit 10.5 usd from account a for credit to account b on 2026-01-01');
+    const credit = parse('CREDIT 10 NGN TO ACCOUNT b FOR DEBIT FROM ACCOUNT a');
+
+    expect(debit.value).to.deep.equal({
+      transactionType: 'DEBIT',
+      amount: 10.5,
+      currency: 'USD',
+      debitAccountId: 'a',
+      creditAccountId: 'b',
+      creditLegs: [{ accountId: 'b', amount: 10.5 }],
+      date: '2026-01-01',
+      time: undefined,
+      timeZone: undefined,
+      recurrence: null,
+      reference: null,
+      narration: null,
+      valueTokens: {
+        amount: { value: '10.5', offset: 6 },
+        date: { value: '2026-01-01', offset: 57 },
+      },
+    });
+    expect(credit.value).to.include({ debitAccountId: 'a', creditAccountId: 'b', date: undefined });
+  });
+
+  it('Should parse the legs of a split DEBIT however the commas are spaced', () => {
+    const legs = [
+      { accountId: 'b', amount: 60 },
+      { accountId: 'c', amount: 40 },
+    ];
+
+    ['b:60, c:40', 'b:60 ,c:40', 'b:60,c:40', 'b:60 , c:40'].forEach((list) => {
+      const result = parse(
+        `DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS ${list} ON 2026-01-01`
+      );
+
+      expect(result.value).to.include({ creditAccountId: null, date: '2026-01-01' });
+      expect(result.value.creditLegs).to.deep.equal(legs);
+    });
+  });
+
+  it('Should point at a malformed or missing leg', () => {
+    const malformed = parse('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60, c');
+    const trailingComma = parse('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60,');
+
+    expect(malformed.error.message).to.equal('Expected account id:amount at column 59, found "c".');
+    expect(trailingComma.error.diagnostic).to.include({ column: 58, found: null });
+  });
+
+  it('Should keep a quoted string with its whitespace as one token', () => {
+    expect(tokenizeInstruction('NARRATION "April  rent" REF x')).to.deep.equal([
+      { value: 'NARRATION', offset: 0 },
+      { value: '"April  rent"', offset: 10 },
+      { value: 'REF', offset: 24 },
+      { value: 'x', offset: 28 },
+    ]);
+  });
+
+  it('Should parse a schedule with a time and a timezone', () => {
+    const transfer = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    expect(parse(`${transfer} ON 2026-01-01 AT 23:30 Africa/Lagos REF x`).value).to.include({
+      date: '2026-01-01',
+      time: '23:30',
+      timeZone: 'Africa/Lagos',
+      reference: 'x',
+    });
+    expect(parse(`${transfer} on 2026-01-01 -05:00`).value).to.include({
+      time: undefined,
+      timeZone: '-05:00',
+    });
+  });
+
+  it('Should parse the recurrence of a standing order', () => {
+    const transfer = 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    expect(
+      parse(`${transfer} EVERY MONTH ON 2026-01-01 UNTIL 2026-12-01 REF rent`).value
+    ).to.deep.include({
+      date: '2026-01-01',
+      timeZone: undefined,
+      recurrence: { interval: 1, unit: 'MONTH', until: '2026-12-01' },
+      reference: 'rent',
+    });
+    expect(
+      parse(`${transfer} every 2 weeks on 2026-01-05 at 09:00 Europe/London`).value
+    ).to.deep.include({
+      time: '09:00',
+      timeZone: 'Europe/London',
+      recurrence: { interval: 2, unit: 'WEEK', until: null },
+    });
+  });
+
+  it('Should report a recurrence without a unit or a start date', () => {
+    const transfer = 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY';
+    const withoutStart = parse(`${transfer} MONTH UNTIL 2026-12-01`);
+    const withoutUnit = parse(`${transfer} 2 FORTNIGHTS ON 2026-01-01`);
+
+    expect(withoutStart.error.code).to.equal(StatusCode.MISSING_REQUIRED_KEYWORD);
+    expect(withoutStart.error.diagnostic).to.deep.include({ column: 65, expected: ['ON'] });
+    expect(withoutUnit.error.message).to.equal(
+      'Expected "DAY" or "WEEK" or "MONTH" at column 61, found "FORTNIGHTS".'
+    );
+  });
+
+  it('Should parse the trailing REF and NARRATION clauses in either order', () => {
+    const transfer = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-01-01';
+
+    expect(parse(`${transfer} REF INV-2024-001 NARRATION "April rent"`).value).to.include({
+      reference: 'INV-2024-001',
+      narration: 'April rent',
+    });
+    expect(parse(`${transfer} narration rent ref "INV 7"`).value).to.include({
+      reference: 'INV 7',
+      narration: 'rent',
+    });
+    expect(parse('REVERSE TRANSACTION t1 REF R-1').value).to.include({ reference: 'R-1' });
+  });
+
+  it('Should report an unterminated quoted string and a repeated clause', () => {
+    const unterminated = parse(
+      'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "rent'
+    );
+    const repeated = parse('DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF x REF y');
+
+    expect(unterminated.error.message).to.equal(
+      'Expected closing quote at column 68, found end of instruction.'
+    );
+    expect(repeated.error.diagnostic).to.include({ column: 59, found: 'REF' });
+  });
+
+  it('Should parse a reversal with and without a partial amount', () => {
+    expect(parse('reverse transaction 01J0000000000000000000000T').value).to.include({
+      transactionType: 'REVERSE',
+      transactionId: '01J0000000000000000000000T',
+      amount: null,
+    });
+    expect(parse('REVERSE TRANSACTION t1 AMOUNT 12.5').value).to.include({ amount: 12.5 });
+  });
+
+  it('Should report a missing reversal amount', () => {
+    const result = parse('REVERSE TRANSACTION t1 AMOUNT');
+
+    expect(result.error.code).to.equal(StatusCode.MALFORMED_INSTRUCTION);
+    expect(result.error.diagnostic).to.deep.include({ column: 30, expected: ['<amount>'] });
+  });
+
+  it('Should report a missing value at the end of the instruction', () => {
+    const result = parse('DEBIT 100 USD FROM ACCOUNT');
+
+    expect(result.error.code).to.equal(StatusCode.MALFORMED_INSTRUCTION);
+    expect(result.error.message).to.equal(
+      'Expected account id at column 27, found end of instruction.'
+    );
+    expect(result.error.diagnostic).to.deep.equal({
+      offset: 26,
+      column: 27,
+      found: null,
+      expected: ['<account id>'],
+    });
+  });
+
+  it('Should report every accepted keyword when the transaction type is wrong', () => {
+    const result = parse('MOVE 100 USD TO ACCOUNT b');
+
+    expect(result.error.code).to.equal(StatusCode.MISSING_REQUIRED_KEYWORD);
+    expect(result.error.message).to.equal(
+      'Expected "DEBIT" or "CREDIT" or "REVERSE" at column 1, found "MOVE".'
+    );
+  });
+
+  it('Should read keyword synonyms and the keywords of another locale', () => {
+    const english = parse('send 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const french = parseInLocale(
+      'Débiter 100 EUR du compte a pour crédit au compte b chaque 2 semaines le 2026-01-01 à 09:30 jusqu’au 2026-03-01 libellé loyer',
+      'fr-FR'
+    );
+
+    expect(english.value).to.include({ transactionType: 'DEBIT', creditAccountId: 'b' });
+    expect(french.value).to.deep.include({
+      transactionType: 'DEBIT',
+      debitAccountId: 'a',
+      creditAccountId: 'b',
+      date: '2026-01-01',
+      time: '09:30',
+      timeZone: undefined,
+      recurrence: { interval: 2, unit: 'WEEK', until: '2026-03-01' },
+      narration: 'loyer',
+    });
+  });
+
+  it('Should name the expected keyword in the vocabulary of the locale', () => {
+    const result = parseInLocale('DEBITER 100 EUR DU a POUR CREDIT', 'de-DE, fr;q=0.8, en;q=0.5');
+
+    expect(result.error.code).to.equal(StatusCode.MISSING_REQUIRED_KEYWORD);
+    expect(result.error.message).to.equal('Expected "COMPTE" at column 20, found "a".');
+    expect(result.error.diagnostic.expected).to.deep.equal(['COMPTE']);
+  });
+
+  it('Should reject tokens after the end of the instruction', () => {
+    const result = parse('DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NOW');
+
+    expect(result.error.code).to.equal(StatusCode.MALFORMED_INSTRUCTION);
+    expect(result.error.diagnostic).to.include({ column: 52, found: 'NOW' });
+  });
+});
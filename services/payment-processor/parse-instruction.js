@@ -1,39 +1,104 @@
-const { throwAppError } = require('@app-core/errors');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const validator = require('@app-core/validator');
 const { PaymentMessage, StatusCode } = require('@app/messages');
+const isLedgerEnabled = require('./is-ledger-enabled');
+const loadLedgerAccounts = require('./load-ledger-accounts');
+const loadReversibleTransfer = require('./load-reversible-transfer');
+const { parseTimeZone, toInstant, formatInstant } = require('./execution-time');
+const postLedgerTransfer = require('./post-ledger-transfer');
+const storePendingInstruction = require('./store-pending-instruction');
+const { getPendingHold } = require('./account-holds');
+const tokenizeInstruction = require('./tokenize-instruction');
+const createStandingOrder = require('../standing-orders/create-standing-order');
+const { checkTransactionLimits } = require('../limits/transaction-limits');
+const screenInstruction = require('../screening/screen-instruction');
+const getVocabulary = require('../vocabulary/get-vocabulary');
+const parseInstructionTokens = require('./parse-instruction-tokens');
+const { Ok, Err, isErr } = require('./result');
+const getRateProvider = require('../fx/get-rate-provider');
+const { FeeBearer, allocateFee, calculateFee } = require('../fees/calculate-fee');
+const { FX_ROUNDING_MODE, convertMinorAmount } = require('../fx/convert-minor-amount');
+const {
+  loadCurrencyRegistry,
+  isCurrencyEnabled,
+  getEnabledCurrencyCodes,
+} = require('../currency-registry/currency-registry');
+const {
+  getMinorUnitExponent,
+  roundToMinorUnits,
+  toMinorUnits,
+  toMajorUnits,
+} = require('./minor-units');
 
 const spec = `root {
   accounts[] {
     id string<trim|minlength:1>
-    balance number<min:0>
+    balance number
     currency string<uppercase>
+    overdraft_limit? number<min:0>
+    account_type? string<trim>
   }
-  instruction string<trim|minlength:1>
+  instruction string<minlength:1>
+  locale? string<trim>
+  client_id? string<trim>
+  validation_mode? string(first|all)
+}`;
+
+// In ledger mode balances come from the database, so the request only carries the instruction.
+// The instruction is not trimmed so that diagnostic columns match what the user typed.
+const ledgerSpec = `root {
+  instruction string<minlength:1>
+  locale? string<trim>
+  client_id? string<trim>
+  validation_mode? string(first|all)
 }`;
 
 const parsedInstructionSpec = validator.parse(spec);
+const parsedLedgerInstructionSpec = validator.parse(ledgerSpec);
 
-function Ok(value) {
-  return { isOk: true, value };
-}
+const REFERENCE_PATTERN = new RegExp(
+  process.env.REFERENCE_PATTERN || '^[A-Za-z0-9][A-Za-z0-9._/-]*$'
+);
+const REFERENCE_MAX_LENGTH = parseInt(process.env.REFERENCE_MAX_LENGTH, 10) || 35;
 
-function Err(error) {
-  return { isOk: false, error };
+/**
+ * Returns what is held on an account for pending instructions, in minor units. Only ledger
+ * accounts hold funds.
+ * @param {object} account
+ * @returns {number}
+ */
+function getHeldMinor(account) {
+  return account.held_balance_minor || 0;
 }
 
-function isErr(result) {
-  return result.isOk === false;
+/**
+ * Returns the available balance of an account in major units: its ledger balance less what is
+ * held on it for pending instructions.
+ * @param {object} account
+ * @returns {number}
+ */
+function getAvailableBalance(account) {
+  const heldMinor = getHeldMinor(account);
+  const currency = account.currency.toUpperCase();
+
+  return heldMinor
+    ? toMajorUnits(roundToMinorUnits(account.balance, currency) - heldMinor, currency)
+    : account.balance;
 }
 
 /**
  * Formats and throws a standardized application error with a context object.
  * This function does not return; it throws an error.
- * @param {string} errorCode - The payment status code (e.g., 'AC01').
- * @param {string} errorMessage - The human-readable error message.
+ * @param {{code: string, message: string, errorCode?: string, diagnostic?: object, errors?: Array<object>, limit?: object, screening?: object}} error
+ * The error of a failed step: the payment status code (e.g., 'AC01'), the human-readable message,
+ * an optional error code to throw instead of the status code, where a syntax error is, when
+ * every validation error was collected, all of them, for a breached limit, the limit and, for a
+ * blocked instruction, the watchlist matches.
  * @param {object} instructionData - The parsed instruction data.
  * @param {Array<object>} accounts - The accounts involved (or empty array).
  */
-function throwAppErrorWithContext(errorCode, errorMessage, instructionData, accounts) {
+function throwAppErrorWithContext(error, instructionData, accounts) {
+  const { code: errorCode, message: errorMessage, diagnostic } = error;
   let errorContext;
 
   if (
@@ -43,66 +108,174 @@ function throwAppErrorWithContext(errorCode, errorMessage, instructionData, acco
     errorContext = {
       type: null,
       amount: null,
+      amount_minor: null,
       currency: null,
       debit_account: null,
       credit_account: null,
+      reference: null,
+      narration: null,
       execute_by: null,
       status: 'failed',
       status_reason: errorMessage,
       status_code: errorCode,
       accounts: [],
+      diagnostics: diagnostic ? [diagnostic] : [],
     };
   } else {
     errorContext = {
       type: instructionData.transactionType,
       amount: instructionData.amount,
+      amount_minor: instructionData.amountMinor ?? null,
       currency: instructionData.currency,
       debit_account: instructionData.debitAccountId,
       credit_account: instructionData.creditAccountId,
+      ...(instructionData.transactionId && { reversal_of: instructionData.transactionId }),
+      reference: instructionData.reference ?? null,
+      narration: instructionData.narration ?? null,
       execute_by: null,
       status: 'failed',
       status_reason: errorMessage,
       status_code: errorCode,
+      ...(error.errors && { errors: error.errors }),
+      ...(error.limit && { limit: error.limit }),
+      ...(error.screening && { screening: error.screening }),
       accounts: accounts.map((account) => ({
         id: account.id,
         balance: account.balance,
         balance_before: account.balance,
+        ledger_balance: account.balance,
+        held_balance_minor: getHeldMinor(account),
+        available_balance: getAvailableBalance(account),
         currency: account.currency,
+        overdraft_limit: account.overdraft_limit || 0,
       })),
     };
   }
-  throwAppError(errorMessage, errorCode, {
+  throwAppError(errorMessage, error.errorCode || errorCode, {
     context: errorContext,
   });
 }
 
 /**
- * Finds and validates the presence of debit and credit accounts from the main list in the request.
- * @param {Array<object>} allAccounts - The complete list of accounts from the request.
+ * Returns the ids of the accounts an instruction involves: the debit account, then every credit
+ * account.
  * @param {object} instructionData - The parsed instruction data.
- * @returns {{isOk: boolean, value?: Array<object>, error?: object}} Ok with the two accounts, or Err if missing.
+ * @returns {Array<string>}
  */
-function resolveInstructionAccounts(allAccounts, instructionData) {
-  const requiredAccountIds = [instructionData.debitAccountId, instructionData.creditAccountId];
+function getInstructionAccountIds(instructionData) {
+  return [
+    instructionData.debitAccountId,
+    ...instructionData.creditLegs.map((leg) => leg.accountId),
+  ];
+}
 
-  const involvedAccounts = allAccounts.filter((acc) => requiredAccountIds.includes(acc.id));
+/**
+ * Names the instruction field an account id comes from, by its position in
+ * getInstructionAccountIds.
+ * @param {number} index
+ * @returns {string}
+ */
+function getAccountField(index) {
+  return index === 0 ? 'debit_account' : 'credit_account';
+}
 
-  const foundIds = involvedAccounts.map((a) => a.id);
-  let missingId = null;
+/**
+ * A validation check of an instruction.
+ * @typedef {Object} Check
+ * @property {string} field - The field a failure is reported against.
+ * @property {string} [key] - Where the value of a passed check is kept for later checks.
+ * @property {Array<string>} [requires] - Keys of earlier checks this check needs; it is skipped
+ * if any of them failed.
+ * @property {function(object): object} run - Runs the check on the values of earlier checks and
+ * returns Ok or Err.
+ */
 
-  if (!foundIds.includes(instructionData.debitAccountId)) {
-    missingId = instructionData.debitAccountId;
-  } else if (!foundIds.includes(instructionData.creditAccountId)) {
-    missingId = instructionData.creditAccountId;
-  }
+/**
+ * Runs validation checks in order. By default it stops at the first failure. When collecting,
+ * every check whose inputs are valid runs, and the first failure stays the primary error while
+ * `errors` lists all of them, each with its status code, reason and field.
+ * @param {Array<Check>} checks
+ * @param {boolean} collectAll
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the values of the checks by
+ * key, or Err.
+ */
+function runChecks(checks, collectAll) {
+  const values = {};
+  const failedKeys = [];
+  const failures = [];
+
+  checks.every((check) => {
+    if ((check.requires || []).some((key) => failedKeys.includes(key))) {
+      failedKeys.push(check.key);
+      return true;
+    }
 
-  if (missingId) {
-    return Err({
-      code: StatusCode.ACCOUNT_NOT_FOUND,
-      message: PaymentMessage.ACCOUNT_NOT_FOUND(missingId),
-    });
+    const result = check.run(values);
+
+    if (isErr(result)) {
+      failures.push({ ...result.error, field: check.field });
+      failedKeys.push(check.key);
+      return collectAll;
+    }
+
+    if (check.key) {
+      values[check.key] = result.value;
+    }
+    return true;
+  });
+
+  if (!failures.length) {
+    return Ok(values);
   }
 
+  const [primaryError] = failures;
+
+  return Err(
+    collectAll
+      ? {
+          ...primaryError,
+          errors: failures.map((failure) => ({
+            status_code: failure.code,
+            status_reason: failure.message,
+            field: failure.field,
+          })),
+        }
+      : primaryError
+  );
+}
+
+/**
+ * Finds and validates the presence of the debit account and of every credit account from the main
+ * list in the request.
+ * @param {Array<object>} allAccounts - The complete list of accounts from the request.
+ * @param {object} instructionData - The parsed instruction data.
+ * @param {function(string): string} [notFoundMessage] - Builds the error message for a missing account.
+ * @param {boolean} [collectAll] - Whether to report every missing account rather than the first.
+ * @returns {{isOk: boolean, value?: Array<object>, error?: object}} Ok with the involved accounts, or Err if missing.
+ */
+function resolveInstructionAccounts(
+  allAccounts,
+  instructionData,
+  notFoundMessage = PaymentMessage.ACCOUNT_NOT_FOUND,
+  collectAll = false
+) {
+  const requiredAccountIds = getInstructionAccountIds(instructionData);
+
+  const involvedAccounts = allAccounts.filter((acc) => requiredAccountIds.includes(acc.id));
+
+  const foundIds = involvedAccounts.map((a) => a.id);
+  const presenceCheck = runChecks(
+    requiredAccountIds.map((accountId, index) => ({
+      field: getAccountField(index),
+      run: () =>
+        foundIds.includes(accountId)
+          ? Ok(accountId)
+          : Err({ code: StatusCode.ACCOUNT_NOT_FOUND, message: notFoundMessage(accountId) }),
+    })),
+    collectAll
+  );
+  if (isErr(presenceCheck)) return presenceCheck;
+
   return Ok(involvedAccounts);
 }
 
@@ -114,14 +287,12 @@ function resolveInstructionAccounts(allAccounts, instructionData) {
 function validateAccountId(accountId) {
   const allowedSpecialChars = '-.@';
   for (const char of accountId) {
-    if (
-      !(
-        (char >= 'a' && char <= 'z') ||
-        (char >= 'A' && char <= 'Z') ||
-        (char >= '0' && char <= '9') ||
-        allowedSpecialChars.includes(char)
-      )
-    ) {
+    if (!(
+      (char >= 'a' && char <= 'z') ||
+      (char >= 'A' && char <= 'Z') ||
+      (char >= '0' && char <= '9') ||
+      allowedSpecialChars.includes(char)
+    )) {
       return Err({
         code: StatusCode.INVALID_ACCOUNT_ID,
         message: PaymentMessage.INVALID_ACCOUNT_ID(accountId),
@@ -130,413 +301,1389 @@ function validateAccountId(accountId) {
   }
   return Ok(accountId);
 }
+/**
+ * Checks if a currency is enabled in the currency registry.
+ * @param {string} currency - The currency code.
+ * @returns {{isOk: boolean, value?: string, error?: object}} Ok with the uppercase currency, or Err.
+ */
 function validateCurrency(currency) {
-  if (!['NGN', 'USD', 'GBP', 'GHS'].includes(currency.toUpperCase())) {
+  if (!isCurrencyEnabled(currency.toUpperCase())) {
     return Err({
       code: StatusCode.UNSUPPORTED_CURRENCY,
-      message: PaymentMessage.UNSUPPORTED_CURRENCY(currency),
+      message: PaymentMessage.UNSUPPORTED_CURRENCY(currency, getEnabledCurrencyCodes()),
     });
   }
   return Ok(currency.toUpperCase());
 }
 /**
- * Validates that the two involved accounts have valid ids, matching, supported currencies.
- * @param {Array<object>} accounts - The two involved accounts.
+ * Validates that the involved accounts have valid ids and supported currencies. The accounts may
+ * hold different currencies; the transfer is then converted.
+ * @param {Array<object>} accounts - The involved accounts.
+ * @param {boolean} [collectAll] - Whether to report every failure rather than the first.
  * @returns {{isOk: boolean, value?: Array<object>, error?: object}} Ok with the accounts, or Err.
  */
-function validateInvolvedAccounts(accounts) {
-  for (const acc of accounts) {
-    const idCheck = validateAccountId(acc.id);
-    if (isErr(idCheck)) return idCheck;
+function validateInvolvedAccounts(accounts, collectAll = false) {
+  const accountsCheck = runChecks(
+    [
+      ...accounts.map((acc) => ({ field: 'accounts', run: () => validateAccountId(acc.id) })),
+      ...accounts.map((acc) => ({ field: 'accounts', run: () => validateCurrency(acc.currency) })),
+    ],
+    collectAll
+  );
+  if (isErr(accountsCheck)) return accountsCheck;
+
+  return Ok(accounts);
+}
+
+/**
+ * Validates a caller reference against REFERENCE_PATTERN and REFERENCE_MAX_LENGTH. Instructions
+ * without a reference pass.
+ * @param {?string} reference
+ * @returns {{isOk: boolean, value?: ?string, error?: object}} Ok with the reference, or Err.
+ */
+function validateReference(reference) {
+  if (
+    reference !== null &&
+    (reference.length > REFERENCE_MAX_LENGTH || !REFERENCE_PATTERN.test(reference))
+  ) {
+    return Err({
+      code: StatusCode.INVALID_REFERENCE,
+      message: PaymentMessage.INVALID_REFERENCE(reference, REFERENCE_MAX_LENGTH),
+    });
+  }
+  return Ok(reference);
+}
+
+/**
+ * Validates a YYYY-MM-DD date string.
+ * @param {string} dateString - The date string to validate.
+ * @returns {{isOk: boolean, value?: Date, error?: object}} Ok with a UTC Date object, or Err.
+ */
+function validateDate(dateString) {
+  const invalidDateFormatError = Err({
+    code: StatusCode.INVALID_DATE_FORMAT,
+    message: PaymentMessage.INVALID_DATE_FORMAT(dateString),
+  });
+  if (dateString.length !== 10) {
+    return invalidDateFormatError;
   }
+  if (dateString[4] !== '-' || dateString[7] !== '-') {
+    return invalidDateFormatError;
+  }
+  const [year, month, day] = dateString.split('-').map(Number);
 
-  const firstAccountCurrency = accounts[0].currency;
-  const secondAccountCurrency = accounts[1].currency;
+  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) {
+    return invalidDateFormatError;
+  }
 
-  for (const currency of [firstAccountCurrency, secondAccountCurrency]) {
-    const currencyCheck = validateCurrency(currency);
-    if (isErr(currencyCheck)) return currencyCheck;
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return invalidDateFormatError;
   }
 
-  if (firstAccountCurrency !== secondAccountCurrency) {
+  const daysInMonth = new Date(year, month, 0).getDate();
+
+  if (day > daysInMonth) {
+    return invalidDateFormatError;
+  }
+  return Ok(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Validates an amount of the instruction and converts it to minor units.
+ * @param {number} amount - The amount in major units.
+ * @param {string} currency - The uppercase currency code.
+ * @returns {{isOk: boolean, value?: number, error?: object}} Ok with the amount in minor units, or
+ * Err if it is not positive or has more decimal places than the currency's minor unit allows.
+ */
+function validateAmount(amount, currency) {
+  if (!Number.isFinite(amount) || amount <= 0) {
     return Err({
-      code: StatusCode.CURRENCY_MISMATCH,
-      message: PaymentMessage.CURRENCY_MISMATCH,
+      code: StatusCode.INVALID_AMOUNT,
+      message: PaymentMessage.INVALID_AMOUNT(amount),
     });
   }
-  return Ok(accounts);
+
+  const amountMinor = toMinorUnits(amount, currency);
+  if (amountMinor === null) {
+    return Err({
+      code: StatusCode.INVALID_AMOUNT,
+      message: PaymentMessage.INVALID_AMOUNT_PRECISION(
+        amount,
+        currency,
+        getMinorUnitExponent(currency)
+      ),
+    });
+  }
+
+  return Ok(amountMinor);
 }
 
 /**
- * Normalizes all whitespace characters in an instruction string and splits it by spaces.
- * @param {string} instruction - The raw instruction string.
- * @returns {Array<string>} An array of instruction parts.
- */
-function getPaymentInstructionParts(instruction) {
-  // https://stackoverflow.com/questions/18169006/all-the-whitespace-characters-is-it-language-independent
-  const whitespaceCharacters = [
-    // Zs category
-    '\u0020',
-    '\u00A0',
-    '\u1680',
-    '\u2000',
-    '\u2001',
-    '\u2002',
-    '\u2003',
-    '\u2004',
-    '\u2005',
-    '\u2006',
-    '\u2007',
-    '\u2008',
-    '\u2009',
-    '\u200A',
-    '\u202F',
-    '\u205F',
-    '\u3000',
-    // Cc category
-    '\u0009',
-    '\u000A',
-    '\u000B',
-    '\u000C',
-    '\u000D',
-    // Language-specific
-    '\u1361',
-  ];
+ * Validates the credit legs of an instruction: each leg amount must be valid on its own and the
+ * legs must add up to the instruction amount.
+ * @param {Array<{accountId: string, amount: number}>} creditLegs
+ * @param {number} amountMinor - The instruction amount in minor units.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @returns {{isOk: boolean, value?: Array<object>, error?: object}} Ok with the legs and their
+ * amounts in minor units, or Err.
+ */
+function validateCreditLegs(creditLegs, amountMinor, instructionData) {
+  const { amount, currency } = instructionData;
+  const legAmountChecks = creditLegs.map((leg) => validateAmount(leg.amount, currency));
+
+  const invalidLegAmountCheck = legAmountChecks.find(isErr);
+  if (invalidLegAmountCheck) return invalidLegAmountCheck;
 
-  let normalized = instruction;
-  for (const w of whitespaceCharacters) {
-    normalized = normalized.replaceAll(w, ' ');
+  const legs = creditLegs.map((leg, index) => ({
+    ...leg,
+    amountMinor: legAmountChecks[index].value,
+  }));
+  const legsTotalMinor = legs.reduce((total, leg) => total + leg.amountMinor, 0);
+
+  if (legsTotalMinor !== amountMinor) {
+    return Err({
+      code: StatusCode.SPLIT_AMOUNT_MISMATCH,
+      message: PaymentMessage.SPLIT_AMOUNT_MISMATCH(
+        amount,
+        toMajorUnits(legsTotalMinor, currency),
+        currency
+      ),
+    });
   }
-  const parts = normalized.split(' ').filter(Boolean);
-  return parts;
+
+  return Ok(legs);
 }
 
 /**
- * Parses the instruction parts array into a structured data object.
- * Validates keyword order and presence for DEBIT and CREDIT formats.
- * @param {Array<string>} parts - The parts from getPaymentInstructionParts.
- * @returns {{isOk: boolean, value?: object, error?: object}} Ok with structured data, or Err.
+ * Validates an HH:MM time of day (24-hour clock).
+ * @param {string} timeString - The time string to validate.
+ * @returns {{isOk: boolean, value?: {hours: number, minutes: number}, error?: object}} Ok with the
+ * hours and minutes, or Err.
  */
-function parseInstructionParts(parts) {
-  if (parts.length < 11 || parts.length > 13) {
+function validateTime(timeString) {
+  const isDigit = (char) => char >= '0' && char <= '9';
+
+  if (
+    timeString.length !== 5 ||
+    timeString[2] !== ':' ||
+    ![0, 1, 3, 4].every((index) => isDigit(timeString[index]))
+  ) {
     return Err({
-      code: StatusCode.MALFORMED_INSTRUCTION,
-      message: PaymentMessage.MALFORMED_INSTRUCTION,
+      code: StatusCode.INVALID_TIME_FORMAT,
+      message: PaymentMessage.INVALID_TIME_FORMAT(timeString),
     });
   }
 
-  const transactionTypeKeywordPosition = 0;
-  const transactionTypeKeyword = parts[transactionTypeKeywordPosition].toUpperCase();
+  const [hours, minutes] = timeString.split(':').map(Number);
 
-  if (!['DEBIT', 'CREDIT'].includes(transactionTypeKeyword)) {
+  if (hours > 23 || minutes > 59) {
     return Err({
-      code: StatusCode.MISSING_REQUIRED_KEYWORD,
-      message: PaymentMessage.MISSING_REQUIRED_KEYWORD('DEBIT or CREDIT'),
+      code: StatusCode.INVALID_TIME_FORMAT,
+      message: PaymentMessage.INVALID_TIME_FORMAT(timeString),
     });
   }
+  return Ok({ hours, minutes });
+}
 
-  const amount = Number(parts[transactionTypeKeywordPosition + 1]);
-
-  const currencyKeywordPosition = transactionTypeKeywordPosition + 2;
-  const currency = parts[currencyKeywordPosition].toUpperCase();
+/**
+ * Validates the `ON date [AT time] [timezone]` schedule of an instruction and works out when it
+ * is due. Without a time it is due at the start of the day, and without a timezone in UTC.
+ * @param {{date: string, time?: string, timeZone?: string}} scheduleData - The schedule text.
+ * @returns {{isOk: boolean, value?: {executeAt: number, executeBy: string, date: string, time: string, timeZone: string}, error?: object}}
+ * Ok with the due instant, its ISO 8601 timestamp in the instruction's timezone and the date, time
+ * and timezone it was worked out from, or Err.
+ */
+function validateSchedule(scheduleData) {
+  const dateCheck = validateDate(scheduleData.date);
+  if (isErr(dateCheck)) return dateCheck;
 
-  let debitAccountId;
-  let creditAccountId;
-  let date;
+  const timeCheck = scheduleData.time
+    ? validateTime(scheduleData.time)
+    : Ok({ hours: 0, minutes: 0 });
+  if (isErr(timeCheck)) return timeCheck;
 
-  if (transactionTypeKeyword === 'DEBIT') {
-    const fromKeywordPosition = currencyKeywordPosition + 1;
-    let expectedNextPhrase = 'FROM ACCOUNT';
-    let nextPhrase = parts
-      .slice(fromKeywordPosition, fromKeywordPosition + 2)
-      .join(' ')
-      .toUpperCase();
+  const timeZone = parseTimeZone(scheduleData.timeZone || 'UTC');
+  if (!timeZone) {
+    return Err({
+      code: StatusCode.INVALID_TIMEZONE,
+      message: PaymentMessage.INVALID_TIMEZONE(scheduleData.timeZone),
+    });
+  }
 
-    if (nextPhrase !== expectedNextPhrase) {
-      return Err({
-        code: StatusCode.MISSING_REQUIRED_KEYWORD,
-        message: PaymentMessage.MISSING_REQUIRED_KEYWORD('FROM ACCOUNT'),
-      });
-    }
+  const date = dateCheck.value;
+  const executeAt = toInstant(
+    {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      ...timeCheck.value,
+    },
+    timeZone
+  );
 
-    const debitAccountIdKeywordPosition = fromKeywordPosition + 2;
-    debitAccountId = parts[debitAccountIdKeywordPosition];
-    expectedNextPhrase = 'FOR CREDIT TO ACCOUNT';
+  return Ok({
+    executeAt,
+    executeBy: formatInstant(executeAt, timeZone),
+    date: scheduleData.date,
+    time: scheduleData.time || '00:00',
+    timeZone: timeZone.name,
+  });
+}
 
-    nextPhrase = parts
-      .slice(debitAccountIdKeywordPosition + 1, debitAccountIdKeywordPosition + 5)
-      .join(' ')
-      .toUpperCase();
+/**
+ * Validates the recurrence of a standing order: the interval must be a whole number of days,
+ * weeks or months, the first occurrence may not fall on a day that is already over in the
+ * order's timezone, and the until date may not come before it. The start date is not checked
+ * when an occurrence is executed, since every occurrence after the first runs after it.
+ * @param {{interval: number, unit: string, until: ?string}} recurrence - The parsed recurrence.
+ * @param {{date: string, timeZone: string}} schedule - The validated schedule of the first
+ * occurrence.
+ * @param {boolean} [executeScheduled] - Whether an occurrence handed back by the scheduler is
+ * being executed.
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the recurrence, or Err.
+ */
+function validateRecurrence(recurrence, schedule, executeScheduled = false) {
+  const { interval, until } = recurrence;
 
-    if (nextPhrase !== expectedNextPhrase) {
-      return Err({
-        code: StatusCode.MISSING_REQUIRED_KEYWORD,
-        message: PaymentMessage.MISSING_REQUIRED_KEYWORD('FOR CREDIT TO ACCOUNT'),
-      });
-    }
-    creditAccountId = parts[debitAccountIdKeywordPosition + 5];
-  } else {
-    const toKeywordPosition = currencyKeywordPosition + 1;
-    let expectedNextPhrase = 'TO ACCOUNT';
-    let nextPhrase = parts
-      .slice(toKeywordPosition, toKeywordPosition + 2)
-      .join(' ')
-      .toUpperCase();
-    if (nextPhrase !== expectedNextPhrase) {
-      return Err({
-        code: StatusCode.MISSING_REQUIRED_KEYWORD,
-        message: PaymentMessage.MISSING_REQUIRED_KEYWORD('TO ACCOUNT'),
-      });
-    }
+  if (!Number.isInteger(interval) || interval < 1) {
+    return Err({
+      code: StatusCode.INVALID_RECURRENCE,
+      message: PaymentMessage.INVALID_RECURRENCE_INTERVAL(interval),
+    });
+  }
 
-    const creditAccountIdKeywordPosition = toKeywordPosition + 2;
-    creditAccountId = parts[creditAccountIdKeywordPosition];
-    expectedNextPhrase = 'FOR DEBIT FROM ACCOUNT';
+  const today = formatInstant(Date.now(), parseTimeZone(schedule.timeZone)).slice(0, 10);
 
-    nextPhrase = parts
-      .slice(creditAccountIdKeywordPosition + 1, creditAccountIdKeywordPosition + 5)
-      .join(' ')
-      .toUpperCase();
-    if (nextPhrase !== expectedNextPhrase) {
-      return Err({
-        code: StatusCode.MISSING_REQUIRED_KEYWORD,
-        message: PaymentMessage.MISSING_REQUIRED_KEYWORD('FOR DEBIT FROM ACCOUNT'),
-      });
-    }
-    debitAccountId = parts[creditAccountIdKeywordPosition + 5];
+  if (!executeScheduled && schedule.date < today) {
+    return Err({
+      code: StatusCode.INVALID_RECURRENCE,
+      message: PaymentMessage.STANDING_ORDER_START_PASSED(schedule.date),
+    });
   }
-  if (parts.length > 11) {
-    const dateKeywordPosition = parts.length - 1;
-    date = parts[dateKeywordPosition];
 
-    if (parts[dateKeywordPosition - 1] !== 'ON') {
+  if (until !== null) {
+    const untilCheck = validateDate(until);
+    if (isErr(untilCheck)) return untilCheck;
+
+    if (until < schedule.date) {
       return Err({
-        code: StatusCode.MISSING_REQUIRED_KEYWORD,
-        message: PaymentMessage.MISSING_REQUIRED_KEYWORD('ON'),
+        code: StatusCode.INVALID_RECURRENCE,
+        message: PaymentMessage.UNTIL_BEFORE_START(until, schedule.date),
       });
     }
   }
+
+  return Ok(recurrence);
+}
+
+/**
+ * Validates the semantic data from the parsed instruction (amount, same account). The amount may
+ * not have more decimal places than the currency's minor unit allows.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @param {boolean} [collectAll] - Whether to run every check whose inputs are valid and report
+ * every failure rather than the first.
+ * @param {{executeScheduled?: boolean}} [options] - The options of processPaymentInstruction.
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with validated/typed data, or Err.
+ */
+function validateInstructionData(instructionData, collectAll = false, options = {}) {
+  const { debitAccountId, creditAccountId, creditLegs, amount, currency } = instructionData;
+  const creditAccountIds = creditLegs.map((leg) => leg.accountId);
+
+  const checks = [
+    ...getInstructionAccountIds(instructionData).map((accountId, index) => ({
+      field: getAccountField(index),
+      run: () => validateAccountId(accountId),
+    })),
+    {
+      field: 'credit_account',
+      run: () =>
+        creditAccountIds.includes(debitAccountId)
+          ? Err({ code: StatusCode.SAME_ACCOUNT_ERROR, message: PaymentMessage.SAME_ACCOUNT_ERROR })
+          : Ok(null),
+    },
+    {
+      field: 'credit_account',
+      run: () => {
+        const repeatedAccountId = creditAccountIds.find(
+          (accountId, index) => creditAccountIds.indexOf(accountId) !== index
+        );
+
+        return repeatedAccountId
+          ? Err({
+              code: StatusCode.SAME_ACCOUNT_ERROR,
+              message: PaymentMessage.DUPLICATE_CREDIT_ACCOUNT(repeatedAccountId),
+            })
+          : Ok(null);
+      },
+    },
+    {
+      field: 'amount',
+      key: 'amount',
+      run: () =>
+        !Number.isFinite(amount) || amount <= 0
+          ? Err({ code: StatusCode.INVALID_AMOUNT, message: PaymentMessage.INVALID_AMOUNT(amount) })
+          : Ok(amount),
+    },
+    { field: 'currency', key: 'currency', run: () => validateCurrency(currency) },
+    {
+      field: 'amount',
+      key: 'amountMinor',
+      requires: ['amount', 'currency'],
+      run: () => validateAmount(amount, currency),
+    },
+    {
+      field: 'credit_legs',
+      key: 'creditLegs',
+      requires: ['amountMinor'],
+      run: (values) => validateCreditLegs(creditLegs, values.amountMinor, instructionData),
+    },
+    { field: 'reference', run: () => validateReference(instructionData.reference) },
+    {
+      field: 'execute_by',
+      key: 'schedule',
+      run: () => (instructionData.date ? validateSchedule(instructionData) : Ok(null)),
+    },
+    {
+      field: 'recurrence',
+      key: 'recurrence',
+      requires: ['schedule'],
+      run: (values) =>
+        instructionData.recurrence
+          ? validateRecurrence(
+              instructionData.recurrence,
+              values.schedule,
+              Boolean(options.executeScheduled)
+            )
+          : Ok(null),
+    },
+  ];
+
+  const checksResult = runChecks(checks, collectAll);
+  if (isErr(checksResult)) return checksResult;
+
+  const { amountMinor, schedule, recurrence } = checksResult.value;
+
   return Ok({
-    transactionType: transactionTypeKeyword,
-    amount,
-    currency,
+    transactionType: instructionData.transactionType,
     debitAccountId,
     creditAccountId,
-    date,
+    creditLegs: checksResult.value.creditLegs,
+    amount,
+    amountMinor,
+    currency,
+    schedule,
+    recurrence,
+    reference: instructionData.reference,
+    narration: instructionData.narration,
   });
 }
 
 /**
- * Validates a YYYY-MM-DD date string.
- * @param {string} dateString - The date string to validate.
- * @returns {{isOk: boolean, value?: Date, error?: object}} Ok with a UTC Date object, or Err.
+ * Works out the amount to credit. Transfers between accounts in different currencies credit the
+ * amount converted at the rate quoted by the rate provider.
+ * @param {number} amountMinor - The amount to credit, in minor units of the debit currency.
+ * @param {object} debitAccount
+ * @param {object} creditAccount
+ * @param {import('../fx/get-rate-provider').RateProvider} rateProvider
+ * @returns {Promise<{isOk: boolean, value?: {creditAmountMinor: number, fx: ?object}, error?: object}>}
  */
-function validateDate(dateString) {
-  const invalidDateFormatError = Err({
-    code: StatusCode.INVALID_DATE_FORMAT,
-    message: PaymentMessage.INVALID_DATE_FORMAT(dateString),
-  });
-  if (dateString.length !== 10) {
-    return invalidDateFormatError;
-  }
-  if (dateString[4] !== '-' || dateString[7] !== '-') {
-    return invalidDateFormatError;
-  }
-  const [year, month, day] = dateString.split('-').map(Number);
+async function resolveCreditAmount(amountMinor, debitAccount, creditAccount, rateProvider) {
+  const sourceCurrency = debitAccount.currency.toUpperCase();
+  const targetCurrency = creditAccount.currency.toUpperCase();
 
-  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) {
-    return invalidDateFormatError;
+  if (sourceCurrency === targetCurrency) {
+    return Ok({ creditAmountMinor: amountMinor, fx: null });
   }
 
-  if (month < 1 || month > 12 || day < 1 || day > 31) {
-    return invalidDateFormatError;
+  const quote = await rateProvider.getRate({ from: sourceCurrency, to: targetCurrency });
+
+  if (!quote) {
+    return Err({
+      code: StatusCode.EXCHANGE_RATE_UNAVAILABLE,
+      message: PaymentMessage.EXCHANGE_RATE_UNAVAILABLE(sourceCurrency, targetCurrency),
+    });
   }
 
-  const daysInMonth = new Date(year, month, 0).getDate();
+  const creditAmountMinor = convertMinorAmount({
+    amountMinor,
+    rate: quote.rate,
+    fromExponent: getMinorUnitExponent(sourceCurrency),
+    toExponent: getMinorUnitExponent(targetCurrency),
+  });
 
-  if (day > daysInMonth) {
-    return invalidDateFormatError;
+  if (creditAmountMinor <= 0) {
+    return Err({
+      code: StatusCode.INVALID_AMOUNT,
+      message: PaymentMessage.CONVERTED_AMOUNT_TOO_SMALL(
+        toMajorUnits(amountMinor, sourceCurrency),
+        targetCurrency
+      ),
+    });
   }
-  return Ok(new Date(Date.UTC(year, month - 1, day)));
+
+  return Ok({
+    creditAmountMinor,
+    fx: {
+      rate: quote.rate,
+      rate_timestamp: quote.timestamp,
+      source_currency: sourceCurrency,
+      target_currency: targetCurrency,
+      converted_amount: toMajorUnits(creditAmountMinor, targetCurrency),
+      converted_amount_minor: creditAmountMinor,
+      rounding_mode: FX_ROUNDING_MODE,
+    },
+  });
 }
+
 /**
- * Checks if a currency is in the supported list (NGN, USD, GBP, GHS).
- * @param {string} currency - The currency code.
- * @returns {{isOk: boolean, value?: string, error?: object}} Ok with the uppercase currency, or Err.
+ * Lists the watchlist matches of an instruction for a status reason, e.g.
+ * `credit_account "ACC-9" (account ACC-9)`.
+ * @param {Array<import('../screening/screen-instruction').ScreeningMatch>} matches
+ * @returns {string}
  */
+function describeScreeningMatches(matches) {
+  return matches
+    .map((match) => `${match.field} "${match.matched}" (${match.type} ${match.value})`)
+    .join(', ');
+}
 
 /**
- * Validates the semantic data from the parsed instruction (amount, same account).
- * @param {object} instructionData - The data from parseInstructionParts.
- * @returns {{isOk: boolean, value?: object, error?: object}} Ok with validated/typed data, or Err.
+ * Returns the status of an instruction that passed every check: successful when it executes now,
+ * held_for_review when the watchlist asks for a reviewer, pending otherwise.
+ * @param {boolean} shouldExecuteNow
+ * @param {boolean} isHeldForReview
+ * @returns {{status: string, status_code: string}}
  */
-function validateInstructionData(instructionData) {
-  const { debitAccountId, creditAccountId, amount, currency } = instructionData;
-  let { date } = instructionData;
+function getExecutionStatus(shouldExecuteNow, isHeldForReview) {
+  let executionStatus = { status: 'pending', status_code: StatusCode.TRANSACTION_PENDING };
+
+  if (shouldExecuteNow) {
+    executionStatus = { status: 'successful', status_code: StatusCode.TRANSACTION_SUCCESSFUL };
+  } else if (isHeldForReview) {
+    executionStatus = { status: 'held_for_review', status_code: StatusCode.HELD_FOR_REVIEW };
+  }
+
+  return executionStatus;
+}
 
-  const debitAccountCheck = validateAccountId(debitAccountId);
-  if (isErr(debitAccountCheck)) return debitAccountCheck;
-  const creditAccountCheck = validateAccountId(creditAccountId);
-  if (isErr(creditAccountCheck)) return creditAccountCheck;
+/**
+ * Tells whether an instruction executes now rather than being stored for later: it has no
+ * execution date, its date has passed, or the scheduled-instructions worker is running it.
+ * @param {object} instructionParts - The validated instruction data.
+ * @param {{executeScheduled?: boolean}} options
+ * @returns {boolean}
+ */
+function isDueNow(instructionParts, options) {
+  return (
+    Boolean(options.executeScheduled) ||
+    !instructionParts.schedule ||
+    instructionParts.schedule.executeAt <= Date.now()
+  );
+}
 
-  if (creditAccountId === debitAccountId) {
-    return Err({ code: StatusCode.SAME_ACCOUNT_ERROR, message: PaymentMessage.SAME_ACCOUNT_ERROR });
+/**
+ * Returns the overdraft limit of an account in minor units. Accounts without one have none.
+ * @param {object} account
+ * @returns {number}
+ */
+function getOverdraftLimitMinor(account) {
+  return roundToMinorUnits(account.overdraft_limit || 0, account.currency.toUpperCase());
+}
+
+/**
+ * Builds the error of an account whose available balance cannot cover a debit: AC01, or AC06 when
+ * the account has an overdraft that the debit would exceed.
+ * @param {object} account
+ * @returns {{isOk: false, error: object}}
+ */
+function insufficientFunds(account) {
+  if (getOverdraftLimitMinor(account) > 0) {
+    return Err({
+      code: StatusCode.OVERDRAFT_LIMIT_EXCEEDED,
+      message: PaymentMessage.OVERDRAFT_LIMIT_EXCEEDED(
+        account.id,
+        account.overdraft_limit,
+        account.currency.toUpperCase()
+      ),
+    });
   }
 
-  if (!Number.isInteger(amount) || amount <= 0) {
+  return Err({
+    code: StatusCode.INSUFFICIENT_FUNDS,
+    message: PaymentMessage.INSUFFICIENT_FUNDS(account.id),
+  });
+}
+
+/**
+ * Builds the `accounts` of a response from the balances before and after the transaction, in
+ * minor units. Balances below zero are those of accounts drawing on their overdraft. `balance` is
+ * also given as `ledger_balance`, next to the funds held for pending instructions and the
+ * `available_balance` they leave.
+ * @param {Array<object>} accounts
+ * @param {Object<string, number>} balancesBefore
+ * @param {Object<string, number>} finalBalances
+ * @param {Object<string, number>} [finalHolds] - The funds held afterwards, for accounts whose
+ * holds change.
+ * @returns {Array<object>}
+ */
+function createAccountsResponse(accounts, balancesBefore, finalBalances, finalHolds = {}) {
+  return accounts.map((acc) => {
+    const currency = acc.currency.toUpperCase();
+    const heldMinor = finalHolds[acc.id] ?? getHeldMinor(acc);
+    const availableMinor = finalBalances[acc.id] - heldMinor;
+
+    return {
+      id: acc.id,
+      balance: toMajorUnits(finalBalances[acc.id], currency),
+      balance_minor: finalBalances[acc.id],
+      balance_before: toMajorUnits(balancesBefore[acc.id], currency),
+      balance_before_minor: balancesBefore[acc.id],
+      ledger_balance: toMajorUnits(finalBalances[acc.id], currency),
+      held_balance: toMajorUnits(heldMinor, currency),
+      held_balance_minor: heldMinor,
+      held_balance_before_minor: getHeldMinor(acc),
+      available_balance: toMajorUnits(availableMinor, currency),
+      available_balance_minor: availableMinor,
+      currency,
+      overdraft_limit: acc.overdraft_limit || 0,
+    };
+  });
+}
+
+/**
+ * Applies the fee rules to an instruction. A fee borne by the sender is debited on top of the
+ * amount; a fee borne by the recipient is deducted from the amount credited, shared between the
+ * credit legs in proportion to their amounts.
+ * @param {object} instructionParts - The validated instruction data.
+ * @param {object} debitAccount
+ * @param {number} debitAvailableMinor - The available balance of the debit account (its balance
+ * plus its overdraft limit) in minor units.
+ * @param {Array<object>} [feeRules] - Overrides the configured fee rules.
+ * @returns {{isOk: boolean, value?: {fee: object, totalDebitedMinor: number, netLegAmountsMinor: Array<number>}, error?: object}}
+ * Ok with the fee and the resulting amounts, or Err with FEEERR if the fee cannot be covered.
+ */
+function applyFee(instructionParts, debitAccount, debitAvailableMinor, feeRules) {
+  const { amountMinor, currency, creditLegs } = instructionParts;
+  const fee = calculateFee({ amountMinor, currency }, feeRules);
+  const isBorneBySender = fee.bearer !== FeeBearer.RECIPIENT;
+  const totalDebitedMinor = isBorneBySender ? amountMinor + fee.feeMinor : amountMinor;
+  const legAmountsMinor = creditLegs.map((leg) => leg.amountMinor);
+  const feeSharesMinor = isBorneBySender
+    ? legAmountsMinor.map(() => 0)
+    : allocateFee(fee.feeMinor, legAmountsMinor);
+  const netLegAmountsMinor = legAmountsMinor.map(
+    (legAmountMinor, index) => legAmountMinor - feeSharesMinor[index]
+  );
+
+  if (debitAvailableMinor < totalDebitedMinor) {
     return Err({
-      code: StatusCode.INVALID_AMOUNT,
-      message: PaymentMessage.INVALID_AMOUNT(amount),
+      code: StatusCode.FEE_NOT_COVERED,
+      errorCode: ERROR_CODE.FEEERR,
+      message: PaymentMessage.FEE_NOT_COVERED(
+        debitAccount.id,
+        toMajorUnits(fee.feeMinor, currency),
+        currency
+      ),
     });
   }
 
-  const currencyCheck = validateCurrency(currency);
-  if (isErr(currencyCheck)) return currencyCheck;
+  const uncoveredLegIndex = netLegAmountsMinor.findIndex((netAmountMinor) => netAmountMinor <= 0);
 
-  if (date) {
-    const dateCheck = validateDate(date);
-    if (isErr(dateCheck)) return dateCheck;
-    date = dateCheck.value;
+  if (uncoveredLegIndex !== -1) {
+    return Err({
+      code: StatusCode.FEE_NOT_COVERED,
+      errorCode: ERROR_CODE.FEEERR,
+      message: PaymentMessage.FEE_EXCEEDS_AMOUNT(
+        toMajorUnits(feeSharesMinor[uncoveredLegIndex], currency),
+        creditLegs[uncoveredLegIndex].amount,
+        currency
+      ),
+    });
   }
-  return Ok({
-    transactionType: instructionData.transactionType,
-    debitAccountId,
-    creditAccountId,
-    amount,
-    currency,
-    date: date ?? null,
-  });
+
+  return Ok({ fee, totalDebitedMinor, netLegAmountsMinor });
 }
 
 /**
- * Checks if a UTC date is after the current UTC date.
- * @param {Date} date - The UTC date object to check.
- * @returns {boolean} True if the date is in the future.
+ * Finds the account that receives the fee of an instruction: in the ledger, or among the accounts
+ * of the request when the ledger is off. It must hold the instruction currency and may not be one
+ * of the accounts of the transfer, whose balances are posted separately.
+ * @param {{feeMinor: number, feeAccount: ?string}} fee
+ * @param {string} currency
+ * @param {Array<object>} accounts - The *involved* accounts.
+ * @param {{requestAccounts?: ?Array<object>, session?: import('mongoose').ClientSession}} options
+ * @returns {Promise<{isOk: boolean, value?: ?object, error?: object}>} Ok with the fee account, or
+ * null when there is no fee; Err with FEEERR if there is no usable fee account.
  */
-function isAfterToday(date) {
-  const now = new Date();
-  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-  return date > today;
+async function resolveFeeAccount(fee, currency, accounts, options) {
+  let result = Ok(null);
+
+  if (fee.feeMinor > 0 && !fee.feeAccount) {
+    result = Err({
+      code: StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+      errorCode: ERROR_CODE.FEEERR,
+      message: PaymentMessage.FEE_ACCOUNT_NOT_CONFIGURED,
+    });
+  } else if (fee.feeMinor > 0 && accounts.some((account) => account.id === fee.feeAccount)) {
+    result = Err({
+      code: StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+      errorCode: ERROR_CODE.FEEERR,
+      message: PaymentMessage.FEE_ACCOUNT_IN_TRANSFER(fee.feeAccount),
+    });
+  } else if (fee.feeMinor > 0) {
+    const [feeAccount] = options.requestAccounts
+      ? options.requestAccounts.filter((account) => account.id === fee.feeAccount)
+      : await loadLedgerAccounts({ account_ids: [fee.feeAccount] }, options);
+
+    result =
+      feeAccount && feeAccount.currency.toUpperCase() === currency
+        ? Ok(feeAccount)
+        : Err({
+            code: StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+            errorCode: ERROR_CODE.FEEERR,
+            message: PaymentMessage.FEE_ACCOUNT_UNUSABLE(fee.feeAccount, currency),
+          });
+  }
+
+  return result;
 }
 
 /**
- * Executes the transaction logic (or marks as pending) on the two accounts.
+ * Executes the transaction logic (or marks as pending) on the involved accounts.
+ * Balances are moved in integer minor units so repeated transfers do not drift. The instruction
+ * amount is in the debit account's currency; a credit account in another currency receives the
+ * converted amount. A split instruction credits each leg separately, and every leg is validated
+ * before any balance moves. Funds are checked against the available balance, i.e. the balance
+ * less the funds held for pending instructions plus the overdraft limit of the account, so a
+ * balance may end up below zero. Fees are applied per the fee rules and broken down under `charges`,
+ * whose `amount_credited` is null for a split; `credits` lists what each credit account receives.
+ * The fee account is credited with the fee and listed with the accounts.
  * @param {object} instructionParts - The validated instruction data.
- * @param {Array<object>} accounts - The two *involved* accounts.
+ * @param {Array<object>} accounts - The *involved* accounts.
+ * @param {{executeScheduled?: boolean, holdFunds?: boolean, heldAmountMinor?: number, screening?: import('../screening/screen-instruction').ScreeningResult, rateProvider?: import('../fx/get-rate-provider').RateProvider, feeRules?: Array<object>, requestAccounts?: ?Array<object>}} [options]
+ * `executeScheduled` executes now even if the instruction is due in the future. Whether it is due
+ * is decided at the instant given by the schedule, in the instruction's timezone. `holdFunds`
+ * holds the total debited on the debit account while the instruction is pending.
+ * `heldAmountMinor` is what is already held for the instruction itself: it counts as available,
+ * and is released when the instruction executes or replaced by the new hold. A `screening` that
+ * asks for review holds the instruction for a reviewer instead of executing it. `requestAccounts`
+ * are the accounts of the request, where the fee account is found when the ledger is off.
  * @returns {Promise<{isOk: boolean, value?: object, error?: object}>} Ok with the final transaction response, or Err.
  */
-async function executeInstruction(instructionParts, accounts) {
-  if (instructionParts.currency !== accounts[0].currency) {
+async function executeInstruction(instructionParts, accounts, options = {}) {
+  const findAccount = (accountId) => accounts.find((account) => account.id === accountId);
+  const debitAccount = findAccount(instructionParts.debitAccountId);
+  const { amountMinor, creditLegs, currency } = instructionParts;
+  const isSplit = !instructionParts.creditAccountId;
+
+  if (currency !== debitAccount.currency.toUpperCase()) {
     return Err({
       code: StatusCode.CURRENCY_MISMATCH,
-      message: PaymentMessage.INSTRUCTION_CURRENCY_MISMATCH(
-        accounts[0].currency,
-        instructionParts.currency
-      ),
+      message: PaymentMessage.INSTRUCTION_CURRENCY_MISMATCH(debitAccount.currency, currency),
     });
   }
 
-  const debitAccount = accounts.find((account) => account.id === instructionParts.debitAccountId);
-  const creditAccount = accounts.find((account) => account.id === instructionParts.creditAccountId);
+  const balancesBefore = Object.fromEntries(
+    accounts.map((acc) => [acc.id, roundToMinorUnits(acc.balance, acc.currency.toUpperCase())])
+  );
 
-  if (debitAccount.balance < instructionParts.amount) {
-    return Err({
-      code: StatusCode.INSUFFICIENT_FUNDS,
-      message: PaymentMessage.INSUFFICIENT_FUNDS(debitAccount.id),
+  const ownHoldMinor = options.heldAmountMinor || 0;
+  const debitAvailableMinor =
+    balancesBefore[debitAccount.id] -
+    getHeldMinor(debitAccount) +
+    ownHoldMinor +
+    getOverdraftLimitMinor(debitAccount);
+
+  if (debitAvailableMinor < amountMinor) {
+    return insufficientFunds(debitAccount);
+  }
+
+  const feeResult = applyFee(instructionParts, debitAccount, debitAvailableMinor, options.feeRules);
+  if (isErr(feeResult)) return feeResult;
+
+  const { fee, totalDebitedMinor, netLegAmountsMinor } = feeResult.value;
+
+  const feeAccountResult = await resolveFeeAccount(fee, currency, accounts, options);
+  if (isErr(feeAccountResult)) return feeAccountResult;
+
+  // The fee account is listed after the involved accounts.
+  const feeAccount = feeAccountResult.value;
+  const responseAccounts = feeAccount ? [...accounts, feeAccount] : accounts;
+  const responseBalancesBefore = feeAccount
+    ? { ...balancesBefore, [feeAccount.id]: roundToMinorUnits(feeAccount.balance, currency) }
+    : balancesBefore;
+
+  const rateProvider = options.rateProvider || getRateProvider();
+
+  const creditAmountResults = await Promise.all(
+    creditLegs.map((leg, index) =>
+      resolveCreditAmount(
+        netLegAmountsMinor[index],
+        debitAccount,
+        findAccount(leg.accountId),
+        rateProvider
+      )
+    )
+  );
+
+  const failedCreditAmountResult = creditAmountResults.find(isErr);
+  if (failedCreditAmountResult) return failedCreditAmountResult;
+
+  const credits = creditLegs.map((leg, index) => {
+    const creditCurrency = findAccount(leg.accountId).currency.toUpperCase();
+    const { creditAmountMinor, fx } = creditAmountResults[index].value;
+
+    return {
+      account_id: leg.accountId,
+      amount: leg.amount,
+      amount_minor: leg.amountMinor,
+      amount_credited: toMajorUnits(creditAmountMinor, creditCurrency),
+      amount_credited_minor: creditAmountMinor,
+      currency: creditCurrency,
+      ...(fx && { fx }),
+    };
+  });
+
+  const isHeldForReview = options.screening?.action === 'review';
+  const shouldExecuteNow = !isHeldForReview && isDueNow(instructionParts, options);
+
+  const finalBalances = { ...responseBalancesBefore };
+  let finalDebitHoldMinor = getHeldMinor(debitAccount);
+
+  if (shouldExecuteNow) {
+    finalBalances[debitAccount.id] -= totalDebitedMinor;
+    credits.forEach((credit) => {
+      finalBalances[credit.account_id] += credit.amount_credited_minor;
     });
+    if (feeAccount) {
+      finalBalances[feeAccount.id] += fee.feeMinor;
+    }
+    finalDebitHoldMinor -= ownHoldMinor;
+  } else if (options.holdFunds) {
+    finalDebitHoldMinor += totalDebitedMinor - ownHoldMinor;
   }
 
-  const shouldExecuteNow = !instructionParts.date || !isAfterToday(instructionParts.date);
+  const finalAccountsResponse = createAccountsResponse(
+    responseAccounts,
+    responseBalancesBefore,
+    finalBalances,
+    {
+      [debitAccount.id]: finalDebitHoldMinor,
+    }
+  );
 
-  const finalBalances = {
-    [debitAccount.id]: shouldExecuteNow
-      ? debitAccount.balance - instructionParts.amount
-      : debitAccount.balance,
-    [creditAccount.id]: shouldExecuteNow
-      ? creditAccount.balance + instructionParts.amount
-      : creditAccount.balance,
+  const response = {
+    type: instructionParts.transactionType,
+    amount: instructionParts.amount,
+    amount_minor: amountMinor,
+    currency,
+    debit_account: debitAccount.id,
+    credit_account: instructionParts.creditAccountId,
+    reference: instructionParts.reference,
+    narration: instructionParts.narration,
+    execute_by: shouldExecuteNow ? null : (instructionParts.schedule?.executeBy ?? null),
+    ...getExecutionStatus(shouldExecuteNow, isHeldForReview),
+    charges: {
+      currency,
+      principal: instructionParts.amount,
+      principal_minor: amountMinor,
+      fee: toMajorUnits(fee.feeMinor, currency),
+      fee_minor: fee.feeMinor,
+      total_debited: toMajorUnits(totalDebitedMinor, currency),
+      total_debited_minor: totalDebitedMinor,
+      amount_credited: isSplit ? null : credits[0].amount_credited,
+      amount_credited_minor: isSplit ? null : credits[0].amount_credited_minor,
+      bearer: fee.bearer,
+      fee_account: fee.feeAccount,
+    },
+    credits,
+    accounts: finalAccountsResponse,
   };
 
-  const finalAccountsResponse = accounts.map((acc) => ({
-    id: acc.id,
-    balance: finalBalances[acc.id],
-    balance_before: acc.balance,
-    currency: acc.currency.toUpperCase(),
-  }));
+  if (!isSplit && credits[0].fx) {
+    response.fx = credits[0].fx;
+  }
+
+  if (isHeldForReview) {
+    response.status_reason = PaymentMessage.SCREENING_HELD(
+      describeScreeningMatches(options.screening.matches)
+    );
+    response.screening = options.screening;
+  }
+
+  return Ok(response);
+}
+
+/**
+ * Builds the response of a standing order being set up. Nothing moves yet: each occurrence is
+ * executed, with its own funds check, fee and rate, when it falls due.
+ * @param {object} instructionParts - The validated instruction data, with a recurrence.
+ * @param {Array<object>} accounts - The *involved* accounts.
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the response, or Err if the
+ * debit account does not hold the instruction currency.
+ */
+function createStandingOrderResponse(instructionParts, accounts) {
+  const { amountMinor, currency, schedule, recurrence } = instructionParts;
+  const debitAccount = accounts.find((account) => account.id === instructionParts.debitAccountId);
+
+  if (currency !== debitAccount.currency.toUpperCase()) {
+    return Err({
+      code: StatusCode.CURRENCY_MISMATCH,
+      message: PaymentMessage.INSTRUCTION_CURRENCY_MISMATCH(debitAccount.currency, currency),
+    });
+  }
+
+  const balances = Object.fromEntries(
+    accounts.map((acc) => [acc.id, roundToMinorUnits(acc.balance, acc.currency.toUpperCase())])
+  );
 
   return Ok({
     type: instructionParts.transactionType,
     amount: instructionParts.amount,
-    currency: instructionParts.currency,
+    amount_minor: amountMinor,
+    currency,
     debit_account: debitAccount.id,
-    credit_account: creditAccount.id,
-    execute_by: shouldExecuteNow ? null : instructionParts.date.toISOString().split('T')[0],
-    status: shouldExecuteNow ? 'successful' : 'pending',
-    status_code: shouldExecuteNow
-      ? StatusCode.TRANSACTION_SUCCESSFUL
-      : StatusCode.TRANSACTION_PENDING,
-    accounts: finalAccountsResponse,
+    credit_account: instructionParts.creditAccountId,
+    reference: instructionParts.reference,
+    narration: instructionParts.narration,
+    execute_by: schedule.executeBy,
+    status: 'active',
+    status_code: StatusCode.STANDING_ORDER_CREATED,
+    recurrence: {
+      every: recurrence.interval,
+      unit: recurrence.unit,
+      start_date: schedule.date,
+      time: schedule.time,
+      time_zone: schedule.timeZone,
+      until: recurrence.until,
+    },
+    credits: instructionParts.creditLegs.map((leg) => ({
+      account_id: leg.accountId,
+      amount: leg.amount,
+      amount_minor: leg.amountMinor,
+    })),
+    accounts: createAccountsResponse(accounts, balances, balances),
   });
 }
 
-async function processPaymentInstruction(paymentData) {
-  const data = validator.validate(paymentData, parsedInstructionSpec);
+/**
+ * Checks that a transfer exists, is not itself a reversal and has something left to reverse.
+ * @param {string} transactionId - The transfer id given in the instruction.
+ * @param {?import('./load-reversible-transfer').ReversibleTransfer} transfer
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the transfer, or Err.
+ */
+function validateReversibleTransfer(transactionId, transfer) {
+  if (!transfer) {
+    return Err({
+      code: StatusCode.TRANSACTION_NOT_FOUND,
+      message: PaymentMessage.TRANSACTION_NOT_FOUND(transactionId),
+    });
+  }
 
-  const instructionParts = getPaymentInstructionParts(data.instruction);
+  if (transfer.isReversal) {
+    return Err({
+      code: StatusCode.TRANSACTION_NOT_REVERSIBLE,
+      message: PaymentMessage.TRANSACTION_NOT_REVERSIBLE(transactionId),
+    });
+  }
 
-  const instructionDataResult = parseInstructionParts(instructionParts);
+  if (transfer.isSplit) {
+    return Err({
+      code: StatusCode.TRANSACTION_NOT_REVERSIBLE,
+      message: PaymentMessage.SPLIT_TRANSACTION_NOT_REVERSIBLE(transactionId),
+    });
+  }
 
-  if (isErr(instructionDataResult)) {
-    throwAppErrorWithContext(instructionDataResult.error.code, instructionDataResult.error.message);
+  if (transfer.netAmountMinor - transfer.reversedMinor <= 0) {
+    return Err({
+      code: StatusCode.TRANSACTION_ALREADY_REVERSED,
+      message: PaymentMessage.TRANSACTION_ALREADY_REVERSED(transactionId),
+    });
   }
 
-  const instructionData = instructionDataResult.value;
+  return Ok(transfer);
+}
+
+/**
+ * Works out the amount of a reversal in minor units of the original debit currency. Without an
+ * amount the reversal returns everything left to reverse.
+ * @param {object} reversalData - The reversal data, with the currency of the original transfer.
+ * @param {number} remainingMinor - What is left to reverse.
+ * @returns {{isOk: boolean, value?: number, error?: object}} Ok with the amount, or Err.
+ */
+function resolveReversalAmount(reversalData, remainingMinor) {
+  const { amount, currency, transactionId } = reversalData;
 
-  const involvedAccountsResult = resolveInstructionAccounts(data.accounts, instructionData);
+  if (amount === null) {
+    return Ok(remainingMinor);
+  }
 
-  if (isErr(involvedAccountsResult)) {
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return Err({ code: StatusCode.INVALID_AMOUNT, message: PaymentMessage.INVALID_AMOUNT(amount) });
+  }
+
+  const amountMinor = toMinorUnits(amount, currency);
+  if (amountMinor === null) {
+    return Err({
+      code: StatusCode.INVALID_AMOUNT,
+      message: PaymentMessage.INVALID_AMOUNT_PRECISION(
+        amount,
+        currency,
+        getMinorUnitExponent(currency)
+      ),
+    });
+  }
+
+  if (amountMinor > remainingMinor) {
+    return Err({
+      code: StatusCode.REVERSAL_EXCEEDS_ORIGINAL,
+      message: PaymentMessage.REVERSAL_EXCEEDS_ORIGINAL(
+        amount,
+        toMajorUnits(remainingMinor, currency),
+        currency,
+        transactionId
+      ),
+    });
+  }
+
+  return Ok(amountMinor);
+}
+
+/**
+ * Executes a reversal: the account the original transfer credited gives back the reversed share,
+ * which returns to the account it debited. Fees are not refunded. Between currencies the share is
+ * converted at the rate of the original transfer, and the last reversal takes back exactly what
+ * is left of the credited amount so that rounding never leaves a remainder.
+ * @param {object} reversalData - The reversal data, with the accounts of the original transfer
+ * swapped: the original credit account is debited.
+ * @param {import('./load-reversible-transfer').ReversibleTransfer} transfer
+ * @param {Array<object>} accounts - The two *involved* accounts.
+ * @returns {{isOk: boolean, value?: object, error?: object}} Ok with the reversal response, or Err.
+ */
+function executeReversal(reversalData, transfer, accounts) {
+  const debitAccount = accounts.find((account) => account.id === reversalData.debitAccountId);
+  const creditAccount = accounts.find((account) => account.id === reversalData.creditAccountId);
+  const { currency } = reversalData;
+  const recoveredCurrency = transfer.creditEntry.currency;
+
+  const remainingMinor = transfer.netAmountMinor - transfer.reversedMinor;
+  const amountResult = resolveReversalAmount(reversalData, remainingMinor);
+  if (isErr(amountResult)) return amountResult;
+
+  const amountMinor = amountResult.value;
+  const fxRate = transfer.debitEntry.fx_rate;
+  let recoveredMinor;
+
+  if (amountMinor === remainingMinor) {
+    recoveredMinor = transfer.creditedMinor - transfer.reversedCreditMinor;
+  } else if (fxRate) {
+    recoveredMinor = convertMinorAmount({
+      amountMinor,
+      rate: fxRate,
+      fromExponent: getMinorUnitExponent(currency),
+      toExponent: getMinorUnitExponent(recoveredCurrency),
+    });
+  } else {
+    recoveredMinor = amountMinor;
+  }
+
+  const balancesBefore = Object.fromEntries(
+    accounts.map((acc) => [acc.id, roundToMinorUnits(acc.balance, acc.currency.toUpperCase())])
+  );
+
+  const debitAvailableMinor =
+    balancesBefore[debitAccount.id] -
+    getHeldMinor(debitAccount) +
+    getOverdraftLimitMinor(debitAccount);
+
+  if (debitAvailableMinor < recoveredMinor) {
+    return insufficientFunds(debitAccount);
+  }
+
+  const finalBalances = {
+    [debitAccount.id]: balancesBefore[debitAccount.id] - recoveredMinor,
+    [creditAccount.id]: balancesBefore[creditAccount.id] + amountMinor,
+  };
+
+  const response = {
+    type: reversalData.transactionType,
+    amount: toMajorUnits(amountMinor, currency),
+    amount_minor: amountMinor,
+    currency,
+    debit_account: debitAccount.id,
+    credit_account: creditAccount.id,
+    reversal_of: transfer.transferId,
+    reference: reversalData.reference,
+    narration: reversalData.narration,
+    execute_by: null,
+    status: 'successful',
+    status_code: StatusCode.TRANSACTION_SUCCESSFUL,
+    charges: {
+      currency: recoveredCurrency,
+      principal: toMajorUnits(recoveredMinor, recoveredCurrency),
+      principal_minor: recoveredMinor,
+      fee: 0,
+      fee_minor: 0,
+      total_debited: toMajorUnits(recoveredMinor, recoveredCurrency),
+      total_debited_minor: recoveredMinor,
+      amount_credited: toMajorUnits(amountMinor, currency),
+      amount_credited_minor: amountMinor,
+      bearer: null,
+      fee_account: null,
+    },
+    credits: [
+      {
+        account_id: creditAccount.id,
+        amount: toMajorUnits(amountMinor, currency),
+        amount_minor: amountMinor,
+        amount_credited: toMajorUnits(amountMinor, currency),
+        amount_credited_minor: amountMinor,
+        currency,
+      },
+    ],
+    accounts: createAccountsResponse(accounts, balancesBefore, finalBalances),
+  };
+
+  if (fxRate) {
+    response.fx = {
+      rate: fxRate,
+      source_currency: currency,
+      target_currency: recoveredCurrency,
+      converted_amount: toMajorUnits(recoveredMinor, recoveredCurrency),
+      converted_amount_minor: recoveredMinor,
+      rounding_mode: FX_ROUNDING_MODE,
+    };
+  }
+
+  return Ok(response);
+}
+
+/**
+ * Resolves, validates and executes a REVERSE instruction against the ledger.
+ * This function throws on failure.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @param {boolean} useLedger - Whether the account ledger is enabled.
+ * @param {object} options - The options of processPaymentInstruction.
+ * @returns {Promise<object>} The executed reversal response.
+ */
+async function processReversal(instructionData, useLedger, options) {
+  if (!useLedger) {
     throwAppErrorWithContext(
-      involvedAccountsResult.error.code,
-      involvedAccountsResult.error.message,
+      {
+        code: StatusCode.REVERSAL_REQUIRES_LEDGER,
+        message: PaymentMessage.REVERSAL_REQUIRES_LEDGER,
+      },
       instructionData,
       []
     );
   }
 
+  const referenceCheck = validateReference(instructionData.reference);
+  if (isErr(referenceCheck)) {
+    throwAppErrorWithContext(referenceCheck.error, instructionData, []);
+  }
+
+  const transfer = await loadReversibleTransfer(instructionData.transactionId, options);
+  const transferCheck = validateReversibleTransfer(instructionData.transactionId, transfer);
+
+  if (isErr(transferCheck)) {
+    throwAppErrorWithContext(transferCheck.error, instructionData, []);
+  }
+
+  const reversalData = {
+    ...instructionData,
+    currency: transfer.debitEntry.currency,
+    debitAccountId: transfer.creditEntry.account_id,
+    creditAccountId: transfer.debitEntry.account_id,
+    creditLegs: [{ accountId: transfer.debitEntry.account_id, amount: instructionData.amount }],
+  };
+
+  const availableAccounts = await loadLedgerAccounts(
+    { account_ids: [reversalData.debitAccountId, reversalData.creditAccountId] },
+    options
+  );
+
+  const involvedAccountsResult = resolveInstructionAccounts(
+    availableAccounts,
+    reversalData,
+    PaymentMessage.ACCOUNT_NOT_IN_LEDGER
+  );
+
+  if (isErr(involvedAccountsResult)) {
+    throwAppErrorWithContext(involvedAccountsResult.error, reversalData, []);
+  }
+
   const involvedAccounts = involvedAccountsResult.value;
 
-  const validateInstructionDataCheck = validateInstructionData(instructionDataResult.value);
+  const executionResult = executeReversal(reversalData, transfer, involvedAccounts);
+  if (isErr(executionResult)) {
+    throwAppErrorWithContext(executionResult.error, reversalData, involvedAccounts);
+  }
 
-  if (isErr(validateInstructionDataCheck)) {
-    throwAppErrorWithContext(
-      validateInstructionDataCheck.error.code,
-      validateInstructionDataCheck.error.message,
+  return executionResult.value;
+}
+
+/**
+ * Runs every validation of a DEBIT or CREDIT instruction that does not depend on another one
+ * failing first: missing accounts, the instruction data and the accounts it involves.
+ * @param {Array<object>} availableAccounts - The accounts of the request or from the ledger.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @param {function(string): string} notFoundMessage - Builds the error message for a missing
+ * account.
+ * @param {object} options - The options of processPaymentInstruction.
+ * @returns {{isOk: boolean, value?: null, error?: object, accounts: Array<object>}} Ok, or Err
+ * with the first failure as the primary error and every failure under `errors`; either way with
+ * the involved accounts that were found.
+ */
+function collectValidationErrors(availableAccounts, instructionData, notFoundMessage, options) {
+  const accountIds = getInstructionAccountIds(instructionData);
+  const foundAccounts = availableAccounts.filter((acc) => accountIds.includes(acc.id));
+
+  const failedChecks = [
+    resolveInstructionAccounts(availableAccounts, instructionData, notFoundMessage, true),
+    validateInstructionData(instructionData, true, options),
+    validateInvolvedAccounts(foundAccounts, true),
+  ].filter(isErr);
+
+  // The ids of accounts that were found are checked both as written and as stored.
+  const errors = failedChecks
+    .flatMap((failedCheck) => failedCheck.error.errors)
+    .filter(
+      (error, index, allErrors) =>
+        allErrors.findIndex(
+          (other) =>
+            other.status_code === error.status_code && other.status_reason === error.status_reason
+        ) === index
+    );
+
+  const result = failedChecks.length ? Err({ ...failedChecks[0].error, errors }) : Ok(null);
+
+  return { ...result, accounts: foundAccounts };
+}
+
+/**
+ * Resolves, validates and executes a DEBIT or CREDIT instruction.
+ * This function throws on failure.
+ * @param {object} instructionData - The data from parseInstructionTokens.
+ * @param {object} data - The validated request payload.
+ * @param {boolean} useLedger - Whether the account ledger is enabled.
+ * @param {object} options - The options of processPaymentInstruction.
+ * @returns {Promise<object>} The executed (or pending) transfer response, or the response of a
+ * standing order being set up.
+ */
+async function processTransfer(instructionData, data, useLedger, options) {
+  const availableAccounts = useLedger
+    ? await loadLedgerAccounts({ account_ids: getInstructionAccountIds(instructionData) }, options)
+    : data.accounts;
+
+  const notFoundMessage = useLedger
+    ? PaymentMessage.ACCOUNT_NOT_IN_LEDGER
+    : PaymentMessage.ACCOUNT_NOT_FOUND;
+
+  if (data.validation_mode === 'all') {
+    const validationResult = collectValidationErrors(
+      availableAccounts,
       instructionData,
-      involvedAccounts
+      notFoundMessage,
+      options
     );
+
+    if (isErr(validationResult)) {
+      throwAppErrorWithContext(validationResult.error, instructionData, validationResult.accounts);
+    }
+  }
+
+  const involvedAccountsResult = resolveInstructionAccounts(
+    availableAccounts,
+    instructionData,
+    notFoundMessage
+  );
+
+  if (isErr(involvedAccountsResult)) {
+    throwAppErrorWithContext(involvedAccountsResult.error, instructionData, []);
+  }
+
+  const involvedAccounts = involvedAccountsResult.value;
+
+  const validateInstructionDataCheck = validateInstructionData(instructionData, false, options);
+
+  if (isErr(validateInstructionDataCheck)) {
+    throwAppErrorWithContext(validateInstructionDataCheck.error, instructionData, involvedAccounts);
   }
   const validatedInstructionData = validateInstructionDataCheck.value;
 
   const involvedAccountsCheck = validateInvolvedAccounts(involvedAccounts);
   if (isErr(involvedAccountsCheck)) {
     throwAppErrorWithContext(
-      involvedAccountsCheck.error.code,
-      involvedAccountsCheck.error.message,
-      instructionData,
+      involvedAccountsCheck.error,
+      validatedInstructionData,
       involvedAccounts
     );
   }
 
-  const executionResult = await executeInstruction(validatedInstructionData, involvedAccounts);
-  if (isErr(executionResult)) {
+  // An occurrence of a standing order comes back with executeScheduled and runs as a one-off.
+  const isStandingOrder = Boolean(validatedInstructionData.recurrence) && !options.executeScheduled;
+
+  if (isStandingOrder && !useLedger) {
+    throwAppErrorWithContext(
+      {
+        code: StatusCode.STANDING_ORDER_REQUIRES_LEDGER,
+        message: PaymentMessage.STANDING_ORDER_REQUIRES_LEDGER,
+      },
+      validatedInstructionData,
+      involvedAccounts
+    );
+  }
+
+  // Instructions are screened when they are accepted; the scheduler runs them as they were screened.
+  const screening =
+    options.executeScheduled || options.skipScreening
+      ? null
+      : await screenInstruction(
+          {
+            debit_account: validatedInstructionData.debitAccountId,
+            credit_accounts: validatedInstructionData.creditLegs.map((leg) => leg.accountId),
+            reference: validatedInstructionData.reference,
+            narration: validatedInstructionData.narration,
+          },
+          options
+        );
+
+  // Each occurrence of a standing order would need a review of its own, and without the ledger
+  // there is nowhere to keep a held instruction, so both are blocked instead.
+  const canHoldForReview = useLedger && !isStandingOrder;
+
+  if (screening?.action === 'block' || (screening?.action === 'review' && !canHoldForReview)) {
     throwAppErrorWithContext(
-      executionResult.error.code,
-      executionResult.error.message,
+      {
+        code: StatusCode.SCREENING_BLOCKED,
+        message: PaymentMessage.SCREENING_BLOCKED(describeScreeningMatches(screening.matches)),
+        screening,
+      },
       validatedInstructionData,
       involvedAccounts
     );
   }
+
+  // Scheduled instructions and standing orders only count towards the limit windows they execute
+  // in. Without the ledger no usage is kept, so only the per-transaction limits apply.
+  const limitsCheck = await checkTransactionLimits(
+    {
+      account_id: validatedInstructionData.debitAccountId,
+      client_id: data.client_id,
+      currency: validatedInstructionData.currency,
+      amount_minor: validatedInstructionData.amountMinor,
+      cumulative: useLedger && !isStandingOrder && isDueNow(validatedInstructionData, options),
+    },
+    options
+  );
+
+  if (isErr(limitsCheck)) {
+    throwAppErrorWithContext(limitsCheck.error, validatedInstructionData, involvedAccounts);
+  }
+
+  const executionResult = isStandingOrder
+    ? createStandingOrderResponse(validatedInstructionData, involvedAccounts)
+    : await executeInstruction(validatedInstructionData, involvedAccounts, {
+        ...options,
+        holdFunds: useLedger,
+        requestAccounts: useLedger ? null : availableAccounts,
+        screening,
+      });
+  if (isErr(executionResult)) {
+    throwAppErrorWithContext(executionResult.error, validatedInstructionData, involvedAccounts);
+  }
+
   return executionResult.value;
 }
 
+/**
+ * Parses, validates and executes a payment instruction: a DEBIT or CREDIT, a REVERSE of a ledger
+ * transfer, or a standing order. Balances come from the request's `accounts[]` unless the account
+ * ledger is enabled, in which case accounts are read from and transfers stored in the database.
+ * @param {object} paymentData - The request payload.
+ * @param {{useLedger?: boolean, executeScheduled?: boolean, heldAmountMinor?: number, dryRun?: boolean, skipScreening?: boolean, rateProvider?: object, watchlistProvider?: object, feeRules?: Array<object>, session?: import('mongoose').ClientSession}} [options]
+ * - `useLedger` overrides USE_ACCOUNT_LEDGER; `executeScheduled` and `heldAmountMinor` are set by
+ * the workers that run stored instructions; `dryRun` stores nothing; `skipScreening` skips the
+ * watchlist; the providers and fee rules override the configured ones; `session` runs the ledger
+ * writes in the caller's transaction.
+ * @returns {Promise<object>} The instruction result.
+ */
+async function processPaymentInstruction(paymentData, options = {}) {
+  const useLedger = isLedgerEnabled(options);
+  const data = validator.validate(
+    paymentData,
+    useLedger ? parsedLedgerInstructionSpec : parsedInstructionSpec
+  );
+
+  await loadCurrencyRegistry();
+
+  const instructionTokens = tokenizeInstruction(data.instruction);
+
+  const vocabulary = getVocabulary(data.locale);
+  const instructionDataResult = parseInstructionTokens(
+    instructionTokens,
+    data.instruction,
+    vocabulary
+  );
+
+  if (isErr(instructionDataResult)) {
+    throwAppErrorWithContext(instructionDataResult.error, null, []);
+  }
+
+  const instructionData = instructionDataResult.value;
+
+  let response =
+    instructionData.transactionType === 'REVERSE'
+      ? await processReversal(instructionData, useLedger, options)
+      : await processTransfer(instructionData, data, useLedger, options);
+
+  const shouldPersist = useLedger && !options.dryRun;
+
+  if (shouldPersist && response.status_code === StatusCode.TRANSACTION_SUCCESSFUL) {
+    const transfer = await postLedgerTransfer(
+      { ...response, instruction: data.instruction, client_id: data.client_id },
+      options
+    );
+    response = { ...response, transaction_id: transfer.transaction_id };
+  }
+
+  const isStored = [StatusCode.TRANSACTION_PENDING, StatusCode.HELD_FOR_REVIEW].includes(
+    response.status_code
+  );
+
+  if (shouldPersist && isStored) {
+    const pendingInstruction = await storePendingInstruction(
+      {
+        ...response,
+        instruction: data.instruction,
+        locale: vocabulary.locale,
+        client_id: data.client_id,
+        hold: getPendingHold(response),
+      },
+      options
+    );
+    response = { ...response, instruction_id: pendingInstruction.instruction_id };
+  }
+
+  if (shouldPersist && response.status_code === StatusCode.STANDING_ORDER_CREATED) {
+    const standingOrder = await createStandingOrder(
+      {
+        ...response,
+        instruction: data.instruction,
+        locale: vocabulary.locale,
+        client_id: data.client_id,
+      },
+      options
+    );
+    response = { ...response, standing_order_id: standingOrder.standing_order_id };
+  }
+
+  if (options.dryRun) {
+    response = { ...response, dry_run: true };
+  }
+
+  return response;
+}
+
 module.exports = processPaymentInstruction;
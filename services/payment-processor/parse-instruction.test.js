@@ -3,12 +3,20 @@ const chai = require('chai');
 const sinon = require('sinon');
 
 const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
 const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const LimitUsageRepository = require('@app/repository/limit-usage');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const TransactionRepository = require('@app/repository/transaction');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
 const processPaymentInstruction = require('./parse-instruction');
 
 describe('processPaymentInstruction', () => {
   before(() => {
     const clock = sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
   });
 
   after(() => {
@@ -49,7 +57,7 @@ describe('processPaymentInstruction', () => {
     expect(result.status).to.equal('pending');
     expect(result.status_code).to.equal(StatusCode.TRANSACTION_PENDING);
     expect(result.type).to.equal('CREDIT');
-    expect(result.execute_by).to.equal('2026-12-31');
+    expect(result.execute_by).to.equal('2026-12-31T00:00:00+00:00');
     expect(result.accounts[0].balance).to.equal(1000);
     expect(result.accounts[1].balance).to.equal(500);
   });
@@ -87,15 +95,90 @@ describe('processPaymentInstruction', () => {
     expect(result.accounts[0].balance).to.equal(400);
   });
 
+  it('Test Case 4b: Should split a DEBIT between several credit accounts', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 10, currency: 'USD' },
+        { id: 'c', balance: 0, currency: 'USD' },
+        { id: 'd', balance: 5, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60, c:40',
+    };
+    const feeRules = [{ type: 'flat', amount: 1, bearer: 'recipient', fee_account: 'd' }];
+
+    const result = await processPaymentInstruction(request, { feeRules });
+
+    expect(result).to.include({ status: 'successful', credit_account: null });
+    expect(
+      result.credits.map((credit) => [credit.account_id, credit.amount, credit.amount_credited])
+    ).to.deep.equal([
+      ['b', 60, 59.4],
+      ['c', 40, 39.6],
+    ]);
+    expect(
+      result.accounts.map((account) => [account.id, account.balance_before, account.balance])
+    ).to.deep.equal([
+      ['a', 500, 400],
+      ['b', 10, 69.4],
+      ['c', 0, 39.6],
+      ['d', 5, 6],
+    ]);
+  });
+
+  it('Test Case 4c: Should decide pending or immediate in the timezone of the instruction', async () => {
+    // It is 13:00 in Lagos (UTC+1) and 17:30 in Delhi (UTC+5:30).
+    const accounts = [
+      { id: 'a', balance: 500, currency: 'NGN' },
+      { id: 'b', balance: 0, currency: 'NGN' },
+    ];
+    const transfer = 'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-17';
+
+    const later = await processPaymentInstruction({
+      accounts,
+      instruction: `${transfer} AT 13:30 Africa/Lagos`,
+    });
+    const earlier = await processPaymentInstruction({
+      accounts,
+      instruction: `${transfer} AT 17:00 +05:30`,
+    });
+
+    expect(later).to.include({ status: 'pending', execute_by: '2025-11-17T13:30:00+01:00' });
+    expect(earlier).to.include({ status: 'successful', execute_by: null });
+  });
+
+  it('Test Case 4d (DT02/DT03): Should fail for an invalid time or timezone', async () => {
+    const request = (schedule) => ({
+      accounts: [
+        { id: 'a', balance: 500, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instruction: `DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20 ${schedule}`,
+    });
+
+    const codes = await Promise.all(
+      ['AT 24:00', 'AT 9:30', 'AT 09:30 Mars/Olympus', 'AT 09:30 +15:00'].map((schedule) =>
+        processPaymentInstruction(request(schedule)).catch((error) => error.context.status_code)
+      )
+    );
+
+    expect(codes).to.deep.equal([
+      StatusCode.INVALID_TIME_FORMAT,
+      StatusCode.INVALID_TIME_FORMAT,
+      StatusCode.INVALID_TIMEZONE,
+      StatusCode.INVALID_TIMEZONE,
+    ]);
+  });
+
   // --- Invalid Tests (using try...catch) ---
 
-  it('Test Case 5 (CU01): Should fail for currency mismatch', async () => {
+  it('Test Case 5 (CU01): Should fail when the instruction currency is not the debit currency', async () => {
     const request = {
       accounts: [
         { id: 'a', balance: 100, currency: 'USD' },
         { id: 'b', balance: 500, currency: 'GBP' },
       ],
-      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      instruction: 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
     };
 
     try {
@@ -109,6 +192,170 @@ describe('processPaymentInstruction', () => {
     }
   });
 
+  it('Test Case 5b: Should credit the converted amount between currencies', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 500, currency: 'NGN' },
+      ],
+      instruction: 'DEBIT 50.25 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const rateProvider = {
+      getRate: sinon.stub().resolves({ rate: 1450.5, timestamp: '2025-11-17T00:00:00.000Z' }),
+    };
+
+    const result = await processPaymentInstruction(request, { rateProvider });
+
+    expect(rateProvider.getRate.firstCall.args[0]).to.deep.equal({ from: 'USD', to: 'NGN' });
+    expect(result.status).to.equal('successful');
+    expect(result.accounts[0].balance).to.equal(49.75);
+    expect(result.accounts[1].balance).to.equal(73387.63);
+    expect(result.fx).to.deep.equal({
+      rate: 1450.5,
+      rate_timestamp: '2025-11-17T00:00:00.000Z',
+      source_currency: 'USD',
+      target_currency: 'NGN',
+      converted_amount: 72887.63,
+      converted_amount_minor: 7288763,
+      rounding_mode: 'half_up',
+    });
+  });
+
+  it('Test Case 5c (FX01): Should fail when no exchange rate is available', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 500, currency: 'GHS' },
+      ],
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const rateProvider = { getRate: sinon.stub().resolves(null) };
+
+    try {
+      await processPaymentInstruction(request, { rateProvider });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.EXCHANGE_RATE_UNAVAILABLE);
+      expect(error.context.accounts[1].balance).to.equal(500);
+    }
+  });
+
+  it('Test Case 5d: Should debit a sender-borne fee on top of the amount', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+        { id: 'fees', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const feeRules = [{ type: 'flat', amount: 1.5, fee_account: 'fees' }];
+
+    const result = await processPaymentInstruction(request, { feeRules });
+
+    expect(result.charges).to.include({
+      principal: 50,
+      fee: 1.5,
+      total_debited: 51.5,
+      amount_credited: 50,
+      bearer: 'sender',
+      fee_account: 'fees',
+    });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([48.5, 50, 1.5]);
+  });
+
+  it('Test Case 5e: Should deduct a recipient-borne fee from the amount credited', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+        { id: 'fees', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const feeRules = [
+      { type: 'percentage', percentage: 2, bearer: 'recipient', fee_account: 'fees' },
+    ];
+
+    const result = await processPaymentInstruction(request, { feeRules });
+
+    expect(result.charges).to.include({ fee: 1, total_debited: 50, amount_credited: 49 });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([50, 49, 1]);
+  });
+
+  it('Test Case 5e2 (FE02): Should fail when the fee has no account to be credited to', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+        { id: 'fees', balance: 0, currency: 'EUR' },
+      ],
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+
+    const codes = await Promise.all(
+      [
+        [{ type: 'flat', amount: 1 }],
+        [{ type: 'flat', amount: 1, fee_account: 'zz' }],
+        [{ type: 'flat', amount: 1, fee_account: 'fees' }],
+      ].map((feeRules) =>
+        processPaymentInstruction(request, { feeRules }).catch((error) => {
+          expect(error.errorCode).to.equal(ERROR_CODE.FEEERR);
+          expect(error.context).to.include({ debit_account: 'a', credit_account: 'b' });
+          return error.context.status_code;
+        })
+      )
+    );
+
+    expect(codes).to.deep.equal([
+      StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+      StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+      StatusCode.FEE_ACCOUNT_UNAVAILABLE,
+    ]);
+  });
+
+  it('Test Case 5f (FE01): Should fail with FEEERR when the fee cannot be covered', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 50, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    const feeRules = [{ type: 'flat', amount: 1 }];
+
+    try {
+      await processPaymentInstruction(request, { feeRules });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.FEEERR);
+      expect(error.context.status_code).to.equal(StatusCode.FEE_NOT_COVERED);
+      expect(error.context.accounts[0].balance).to.equal(50);
+    }
+  });
+
+  it('Test Case 5g (AM02): Should fail when the split amounts do not add up', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+        { id: 'c', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60, c:30',
+    };
+
+    try {
+      await processPaymentInstruction(request);
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.SPLIT_AMOUNT_MISMATCH);
+      expect(error.context.status_reason).to.equal(
+        'The split amounts add up to 90 USD instead of the instruction amount 100 USD.'
+      );
+      expect(error.context.accounts.map((account) => account.balance)).to.deep.equal([500, 0, 0]);
+    }
+  });
+
   it('Test Case 6 (AC01): Should fail for insufficient funds', async () => {
     const request = {
       accounts: [
@@ -127,6 +374,78 @@ describe('processPaymentInstruction', () => {
     }
   });
 
+  it('Test Case 6b: Should let an account with an overdraft go below zero', async () => {
+    const request = {
+      accounts: [
+        {
+          id: 'a',
+          balance: 50,
+          currency: 'USD',
+          overdraft_limit: 100,
+          account_type: 'credit_line',
+        },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 120 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+
+    const result = await processPaymentInstruction(request);
+
+    expect(result.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+    expect(result.accounts[0]).to.include({
+      balance: -70,
+      balance_before: 50,
+      overdraft_limit: 100,
+    });
+  });
+
+  it('Test Case 6c (AC06): Should fail when the overdraft limit would be exceeded', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: -20, currency: 'USD', overdraft_limit: 100 },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 80.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+
+    try {
+      await processPaymentInstruction(request);
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.OVERDRAFT_LIMIT_EXCEEDED);
+      expect(error.context.accounts[0]).to.include({ balance: -20, overdraft_limit: 100 });
+    }
+  });
+
+  it('Test Case 6d (RF01): Should echo the reference and narration, and reject a bad reference', async () => {
+    const accounts = [
+      { id: 'a', balance: 100, currency: 'USD' },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+    const transfer = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    const result = await processPaymentInstruction({
+      accounts,
+      instruction: `${transfer} REF INV-2024-001 NARRATION "April rent"`,
+    });
+
+    expect(result).to.include({ reference: 'INV-2024-001', narration: 'April rent' });
+
+    try {
+      await processPaymentInstruction({
+        accounts,
+        instruction: `${transfer} REF "INV 2024" NARRATION "April rent"`,
+      });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context).to.include({
+        status_code: StatusCode.INVALID_REFERENCE,
+        reference: 'INV 2024',
+        narration: 'April rent',
+      });
+    }
+  });
+
   it('Test Case 7 (CU02): Should fail for unsupported currency', async () => {
     const request = {
       accounts: [
@@ -141,6 +460,9 @@ describe('processPaymentInstruction', () => {
       throw new Error('Test failed: Should have thrown an error.');
     } catch (error) {
       expect(error.context.status_code).to.equal(StatusCode.UNSUPPORTED_CURRENCY);
+      expect(error.context.status_reason).to.equal(
+        'The currency EUR is not supported. Only NGN, USD, GBP, GHS are supported.'
+      );
     }
   });
 
@@ -192,21 +514,133 @@ describe('processPaymentInstruction', () => {
     }
   });
 
-  it('Test Case 11 (AM01): Should fail for decimal amount', async () => {
+  it('Test Case 11: Should execute a decimal amount in minor units', async () => {
     const request = {
       accounts: [
         { id: 'a', balance: 500, currency: 'USD' },
-        { id: 'b', balance: 200, currency: 'USD' },
+        { id: 'b', balance: 200.1, currency: 'USD' },
       ],
       instruction: 'DEBIT 100.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
     };
 
+    const result = await processPaymentInstruction(request);
+
+    expect(result.amount).to.equal(100.5);
+    expect(result.amount_minor).to.equal(10050);
+    expect(result.accounts[0]).to.include({ balance: 399.5, balance_minor: 39950 });
+    expect(result.accounts[1]).to.include({ balance: 300.6, balance_minor: 30060 });
+  });
+
+  it('Test Case 11a (LM01): Should apply a per-transaction limit without the ledger', async () => {
+    TransactionLimitRepository.findMany.resolves([
+      {
+        scope: 'client',
+        subject_id: 'client-1',
+        currency: 'USD',
+        kind: 'per_transaction',
+        max_amount_minor: 20000,
+      },
+      {
+        scope: 'client',
+        subject_id: 'client-1',
+        currency: 'USD',
+        kind: 'daily',
+        max_amount_minor: 100,
+      },
+    ]);
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 200, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 150 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      client_id: 'client-1',
+    };
+
+    const result = await processPaymentInstruction(request);
+    const breachResult = await processPaymentInstruction({
+      ...request,
+      instruction: 'DEBIT 250 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    }).catch((error) => error);
+    TransactionLimitRepository.findMany.resolves([]);
+
+    expect(result.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+    expect(breachResult.errorCode).to.equal(ERROR_CODE.LIMITERR);
+    expect(breachResult.context.status_code).to.equal(StatusCode.LIMIT_EXCEEDED);
+    expect(breachResult.context.limit).to.include({ kind: 'per_transaction', max_amount: 200 });
+  });
+
+  it('Test Case 11b (AM01): Should fail for more decimal places than the currency allows', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 200, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 100.505 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+
     try {
       await processPaymentInstruction(request);
       throw new Error('Test failed: Should have thrown an error.');
     } catch (error) {
       expect(error.context.status_code).to.equal(StatusCode.INVALID_AMOUNT);
-      expect(error.context.amount).to.equal(100.5);
+      expect(error.context.amount).to.equal(100.505);
+      expect(error.context.amount_minor).to.equal(null);
+    }
+  });
+
+  it('Test Case 11c: Should report every validation error in the all validation mode', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b#2', balance: 200, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 10.123 XYZ FROM ACCOUNT a FOR CREDIT TO ACCOUNT b#2 REF -bad',
+      validation_mode: 'all',
+    };
+
+    try {
+      await processPaymentInstruction(request);
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INVALID_ACCOUNT_ID);
+      expect(
+        error.context.errors.map(({ status_code: code, field }) => ({ code, field }))
+      ).to.deep.equal([
+        { code: StatusCode.INVALID_ACCOUNT_ID, field: 'credit_account' },
+        { code: StatusCode.UNSUPPORTED_CURRENCY, field: 'currency' },
+        { code: StatusCode.INVALID_REFERENCE, field: 'reference' },
+      ]);
+    }
+
+    try {
+      await processPaymentInstruction({ ...request, validation_mode: undefined });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INVALID_ACCOUNT_ID);
+      expect(error.context).to.not.have.property('errors');
+    }
+  });
+
+  it('Test Case 11d (SC01): Should block a watchlist review match without the ledger', async () => {
+    const watchlistProvider = {
+      getEntries: sinon.stub().resolves([{ type: 'keyword', value: 'crypto', action: 'review' }]),
+    };
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 200, currency: 'USD' },
+      ],
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION crypto',
+    };
+
+    try {
+      await processPaymentInstruction(request, { watchlistProvider });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.SCREENING_BLOCKED);
+      expect(error.context.screening.action).to.equal('review');
+      expect(error.context.accounts[0].balance).to.equal(500);
     }
   });
 
@@ -229,4 +663,756 @@ describe('processPaymentInstruction', () => {
       expect(error.context.accounts).to.deep.equal([]);
     }
   });
+
+  it('Test Case 13 (SY01): Should point at the offending token of a malformed instruction', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 500, currency: 'USD' },
+        { id: 'b', balance: 200, currency: 'USD' },
+      ],
+      instruction: '  DEBIT 100 USD FROM ACCT a FOR CREDIT TO ACCOUNT b',
+    };
+
+    try {
+      await processPaymentInstruction(request);
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.MISSING_REQUIRED_KEYWORD);
+      expect(error.context.status_reason).to.equal(
+        'Expected "ACCOUNT" at column 22, found "ACCT".'
+      );
+      expect(error.context.diagnostics).to.deep.equal([
+        { offset: 21, column: 22, found: 'ACCT', expected: ['ACCOUNT'] },
+      ]);
+    }
+  });
+});
+
+describe('processPaymentInstruction (account ledger)', () => {
+  const session = {};
+  const ledgerAccounts = [
+    { _id: '01J0000000000000000000000A', account_id: 'a', balance: 800, currency: 'USD' },
+    { _id: '01J0000000000000000000000B', account_id: 'b', balance: 200, currency: 'USD' },
+  ];
+
+  beforeEach(() => {
+    sinon.stub(AccountRepository, 'findMany').resolves(ledgerAccounts);
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(TransactionRepository, 'createMany').callsFake(async ({ entries }) => entries);
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should read balances from the ledger and persist the transfer', async () => {
+    const result = await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      { useLedger: true, session }
+    );
+
+    expect(result.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+    expect(result.transaction_id).to.be.a('string');
+    expect(result.accounts[0].balance).to.equal(500);
+
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 800, held_balance_minor: { $in: [0, null] } },
+      updateValues: { balance: 500, held_balance_minor: 0 },
+    });
+
+    const { entries } = TransactionRepository.createMany.firstCall.args[0];
+    expect(
+      entries.map((entry) => [entry.account_id, entry.balance_before, entry.balance_after])
+    ).to.deep.equal([
+      ['a', 800, 500],
+      ['b', 200, 500],
+    ]);
+  });
+
+  it('Should project a dry run without touching the ledger', async () => {
+    sinon.stub(PaymentInstructionRepository, 'create');
+
+    const result = await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      { useLedger: true, dryRun: true, session }
+    );
+
+    expect(result).to.include({ status: 'successful', dry_run: true });
+    expect(result.transaction_id).to.equal(undefined);
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([500, 500]);
+    expect(AccountRepository.updateOne.called).to.equal(false);
+    expect(TransactionRepository.createMany.called).to.equal(false);
+    expect(PaymentInstructionRepository.create.called).to.equal(false);
+  });
+
+  it('Should store a future-dated instruction for the scheduler', async () => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon
+      .stub(PaymentInstructionRepository, 'create')
+      .callsFake(async (record) => ({ _id: '01J0000000000000000000000P', ...record }));
+
+    const result = await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20' },
+      { useLedger: true, session }
+    );
+
+    expect(result.status_code).to.equal(StatusCode.TRANSACTION_PENDING);
+    expect(result.instruction_id).to.equal('01J0000000000000000000000P');
+    expect(result.accounts[0]).to.include({
+      ledger_balance: 800,
+      held_balance: 300,
+      available_balance: 500,
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 800, held_balance_minor: { $in: [0, null] } },
+      updateValues: { held_balance_minor: 30000 },
+    });
+    expect(PaymentInstructionRepository.create.firstCall.args[0]).to.deep.include({
+      status: 'pending',
+      execute_by: '2025-11-20T00:00:00+00:00',
+      execute_at: new Date('2025-11-20T00:00:00.000Z').getTime(),
+      held_amount_minor: 30000,
+    });
+  });
+
+  it('Should check funds against the available balance left by holds', async () => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    AccountRepository.findMany.resolves([
+      { ...ledgerAccounts[0], held_balance_minor: 60000 },
+      ledgerAccounts[1],
+    ]);
+
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20' },
+        { useLedger: true, session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.INSUFFICIENT_FUNDS);
+      expect(error.context.accounts[0]).to.include({ ledger_balance: 800, available_balance: 200 });
+    }
+  });
+
+  it('Should release the hold of a pending instruction when it executes', async () => {
+    AccountRepository.findMany.resolves([
+      { ...ledgerAccounts[0], held_balance_minor: 30000 },
+      ledgerAccounts[1],
+    ]);
+
+    const result = await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20' },
+      { useLedger: true, executeScheduled: true, heldAmountMinor: 30000, session }
+    );
+
+    expect(result.accounts[0]).to.include({
+      ledger_balance: 500,
+      held_balance: 0,
+      available_balance: 500,
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 800, held_balance_minor: 30000 },
+      updateValues: { balance: 500, held_balance_minor: 0 },
+    });
+  });
+
+  it('Should store the locale of an instruction written in another vocabulary', async () => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon
+      .stub(PaymentInstructionRepository, 'create')
+      .callsFake(async (record) => ({ _id: '01J0000000000000000000000P', ...record }));
+
+    const result = await processPaymentInstruction(
+      {
+        instruction: 'DÉBITER 300 USD DU COMPTE a POUR CRÉDIT AU COMPTE b LE 2025-11-20',
+        locale: 'fr-FR,fr;q=0.9',
+      },
+      { useLedger: true, session }
+    );
+
+    expect(result).to.include({ type: 'DEBIT', status_code: StatusCode.TRANSACTION_PENDING });
+    expect(PaymentInstructionRepository.create.firstCall.args[0]).to.include({ locale: 'fr' });
+  });
+
+  it('Should fail with LM01 when a transfer breaches a daily limit and count executed transfers', async () => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    const dailyLimit = {
+      scope: 'client',
+      subject_id: 'client-1',
+      currency: 'USD',
+      kind: 'daily',
+      max_amount_minor: 50000,
+    };
+    TransactionLimitRepository.findMany.resolves([dailyLimit]);
+    const findUsage = sinon.stub(LimitUsageRepository, 'findOne').resolves({ amount_minor: 25000 });
+    sinon
+      .stub(LimitUsageRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    const instruction = 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    try {
+      await processPaymentInstruction(
+        { instruction, client_id: 'client-1' },
+        { useLedger: true, session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.LIMITERR);
+      expect(error.context.status_code).to.equal(StatusCode.LIMIT_EXCEEDED);
+      expect(error.context.status_reason).to.include('2025-11-18T00:00:00.000Z');
+      expect(error.context.limit).to.include({
+        kind: 'daily',
+        scope: 'client',
+        max_amount: 500,
+        resets_at: '2025-11-18T00:00:00.000Z',
+      });
+      expect(TransactionLimitRepository.findMany.firstCall.args[0].query).to.deep.equal({
+        currency: 'USD',
+        $or: [
+          { scope: 'account', subject_id: 'a' },
+          { scope: 'client', subject_id: 'client-1' },
+        ],
+      });
+      expect(TransactionRepository.createMany.called).to.equal(false);
+    }
+
+    findUsage.resolves({ amount_minor: 20000 });
+    await processPaymentInstruction(
+      { instruction, client_id: 'client-1' },
+      { useLedger: true, session }
+    );
+
+    expect(LimitUsageRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: {
+        scope: 'client',
+        subject_id: 'client-1',
+        currency: 'USD',
+        period: 'day',
+        window_start: new Date('2025-11-17T00:00:00.000Z').getTime(),
+      },
+    });
+    expect(LimitUsageRepository.updateOne.secondCall.args[0].query.amount_minor).to.deep.equal({
+      $lte: 20000,
+    });
+    expect(LimitUsageRepository.updateOne.secondCall.args[0].updateValues.$inc).to.deep.equal({
+      amount_minor: 30000,
+      count: 1,
+    });
+  });
+
+  it('Should leave the windowed limits of a future-dated instruction to its execution', async () => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon
+      .stub(PaymentInstructionRepository, 'create')
+      .callsFake(async (record) => ({ _id: '01J0000000000000000000000P', ...record }));
+    TransactionLimitRepository.findMany.resolves([
+      { scope: 'account', subject_id: 'a', currency: 'USD', kind: 'velocity', max_count: 0 },
+    ]);
+
+    const result = await processPaymentInstruction(
+      {
+        instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20',
+        client_id: 'client-1',
+      },
+      { useLedger: true, session }
+    );
+
+    expect(result.status_code).to.equal(StatusCode.TRANSACTION_PENDING);
+    expect(PaymentInstructionRepository.create.firstCall.args[0]).to.include({
+      client_id: 'client-1',
+    });
+
+    TransactionLimitRepository.findMany.resolves([
+      {
+        scope: 'account',
+        subject_id: 'a',
+        currency: 'USD',
+        kind: 'per_transaction',
+        max_amount_minor: 20000,
+      },
+    ]);
+
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2025-11-20' },
+        { useLedger: true, session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.LIMIT_EXCEEDED);
+      expect(error.context.limit).to.include({ kind: 'per_transaction', resets_at: null });
+    }
+  });
+
+  it('Should hold an instruction for review, with its funds, when the watchlist asks for it', async () => {
+    sinon
+      .stub(PaymentInstructionRepository, 'create')
+      .callsFake(async (record) => ({ _id: '01J0000000000000000000000P', ...record }));
+    const watchlistProvider = {
+      getEntries: sinon.stub().resolves([{ type: 'keyword', value: 'crypto', action: 'review' }]),
+    };
+
+    const result = await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "Crypto"' },
+      { useLedger: true, session, watchlistProvider }
+    );
+
+    expect(result).to.include({
+      status: 'held_for_review',
+      status_code: StatusCode.HELD_FOR_REVIEW,
+      execute_by: null,
+      instruction_id: '01J0000000000000000000000P',
+    });
+    expect(result.accounts[0]).to.include({ ledger_balance: 800, available_balance: 500 });
+    expect(TransactionRepository.createMany.called).to.equal(false);
+    expect(PaymentInstructionRepository.create.firstCall.args[0]).to.deep.include({
+      status: 'held_for_review',
+      status_code: StatusCode.HELD_FOR_REVIEW,
+      held_amount_minor: 30000,
+      screening_matches: result.screening.matches,
+    });
+  });
+
+  it('Should fail with SC01 when the watchlist blocks an account or holds a standing order', async () => {
+    const watchlistProvider = {
+      getEntries: sinon
+        .stub()
+        .resolves([{ type: 'account', value: 'b', match: 'fuzzy', action: 'block' }]),
+    };
+
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+        { useLedger: true, session, watchlistProvider }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.SCREENING_BLOCKED);
+      expect(error.context.screening.action).to.equal('block');
+      expect(AccountRepository.updateOne.called).to.equal(false);
+    }
+
+    watchlistProvider.getEntries.resolves([{ type: 'account', value: 'b', action: 'review' }]);
+
+    try {
+      await processPaymentInstruction(
+        {
+          instruction:
+            'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH ON 2099-01-01',
+        },
+        { useLedger: true, session, watchlistProvider }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.SCREENING_BLOCKED);
+    }
+  });
+
+  describe('standing orders', () => {
+    const transfer = 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    beforeEach(() => {
+      sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    });
+
+    it('Should store a standing order without moving any funds', async () => {
+      sinon
+        .stub(StandingOrderRepository, 'create')
+        .callsFake(async (record) => ({ _id: '01J0000000000000000000000S', ...record }));
+
+      const result = await processPaymentInstruction(
+        { instruction: `${transfer} EVERY MONTH ON 2025-11-30 AT 09:00 +01:00 UNTIL 2026-11-30` },
+        { useLedger: true, session }
+      );
+
+      expect(result).to.deep.include({
+        status: 'active',
+        status_code: StatusCode.STANDING_ORDER_CREATED,
+        standing_order_id: '01J0000000000000000000000S',
+        execute_by: '2025-11-30T09:00:00+01:00',
+        recurrence: {
+          every: 1,
+          unit: 'MONTH',
+          start_date: '2025-11-30',
+          time: '09:00',
+          time_zone: '+01:00',
+          until: '2026-11-30',
+        },
+      });
+      expect(result.accounts[0]).to.include({ balance: 800, balance_before: 800 });
+      expect(AccountRepository.updateOne.called).to.equal(false);
+      expect(StandingOrderRepository.create.firstCall.args[0]).to.include({
+        frequency_unit: 'MONTH',
+        frequency_interval: 1,
+        until_date: '2026-11-30',
+        next_occurrence: 0,
+        next_run_at: new Date('2025-11-30T08:00:00.000Z').getTime(),
+        status: 'active',
+      });
+    });
+
+    it('Should execute an occurrence handed back by the scheduler as a one-off', async () => {
+      const result = await processPaymentInstruction(
+        { instruction: `${transfer} EVERY 2 WEEKS ON 2025-11-17` },
+        { useLedger: true, executeScheduled: true, session }
+      );
+
+      expect(result.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+      expect(result.transaction_id).to.be.a('string');
+    });
+
+    it('Should execute a later occurrence once the start date is over', async () => {
+      const result = await processPaymentInstruction(
+        { instruction: `${transfer} EVERY WEEK ON 2025-11-03` },
+        { useLedger: true, executeScheduled: true, session }
+      );
+
+      expect(result.status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+      expect(result.transaction_id).to.be.a('string');
+    });
+
+    it('Should fail with DT04 for a start date that is over or an until date before it', async () => {
+      const instructions = [
+        `${transfer} EVERY MONTH ON 2025-11-16`,
+        `${transfer} EVERY MONTH ON 2025-11-20 UNTIL 2025-11-19`,
+        `${transfer} EVERY 0 DAYS ON 2025-11-20`,
+      ];
+
+      await instructions.reduce(async (previous, instruction) => {
+        await previous;
+
+        try {
+          await processPaymentInstruction({ instruction }, { useLedger: true, session });
+          throw new Error('Test failed: Should have thrown an error.');
+        } catch (error) {
+          expect(error.context.status_code).to.equal(StatusCode.INVALID_RECURRENCE);
+        }
+      }, Promise.resolve());
+    });
+
+    it('Should fail with SO01 without the account ledger', async () => {
+      try {
+        await processPaymentInstruction(
+          {
+            accounts: [
+              { id: 'a', balance: 100, currency: 'USD' },
+              { id: 'b', balance: 0, currency: 'USD' },
+            ],
+            instruction: `${transfer} EVERY DAY ON 2025-11-20`,
+          },
+          { useLedger: false }
+        );
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.context.status_code).to.equal(StatusCode.STANDING_ORDER_REQUIRES_LEDGER);
+      }
+    });
+  });
+
+  it('Should fail with AC03 for an account missing from the ledger', async () => {
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT zz' },
+        { useLedger: true, session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.ACCOUNT_NOT_FOUND);
+      expect(TransactionRepository.createMany.called).to.equal(false);
+    }
+  });
+
+  it('Should reject the transfer when the balance changed concurrently', async () => {
+    AccountRepository.updateOne.resolves({ acknowledged: true, modifiedCount: 0 });
+
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+        { useLedger: true, session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(StatusCode.LEDGER_CONFLICT);
+    }
+  });
+
+  it('Should credit the fee to the fee account with its own ledger entry', async () => {
+    const feeAccount = {
+      _id: '01J0000000000000000000000F',
+      account_id: 'fees',
+      balance: 10,
+      currency: 'USD',
+    };
+    AccountRepository.findMany.callsFake(async ({ query }) =>
+      [...ledgerAccounts, feeAccount].filter((account) =>
+        query.account_id.$in.includes(account.account_id)
+      )
+    );
+
+    await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      { useLedger: true, session, feeRules: [{ type: 'flat', amount: 2.5, fee_account: 'fees' }] }
+    );
+
+    expect(AccountRepository.updateOne.thirdCall.args[0]).to.deep.include({
+      query: { account_id: 'fees', balance: 10 },
+      updateValues: { balance: 12.5 },
+    });
+
+    const { entries } = TransactionRepository.createMany.firstCall.args[0];
+    expect(entries.map((entry) => [entry.account_id, entry.type, entry.amount])).to.deep.equal([
+      ['a', 'DEBIT', 302.5],
+      ['b', 'DEBIT', 300],
+      ['fees', 'FEE', 2.5],
+    ]);
+  });
+
+  it('Should fail with FE02 before posting when the fee account is not in the ledger', async () => {
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+        { useLedger: true, session, feeRules: [{ type: 'flat', amount: 2.5, fee_account: 'zz' }] }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.FEEERR);
+      expect(error.context.status_code).to.equal(StatusCode.FEE_ACCOUNT_UNAVAILABLE);
+      expect(error.context.status_reason).to.include('zz');
+      expect(AccountRepository.updateOne.called).to.equal(false);
+    }
+  });
+
+  it('Should fail with FE02 when the fee account is the credit account of the transfer', async () => {
+    try {
+      await processPaymentInstruction(
+        { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+        { useLedger: true, session, feeRules: [{ type: 'flat', amount: 2.5, fee_account: 'b' }] }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context.status_code).to.equal(StatusCode.FEE_ACCOUNT_UNAVAILABLE);
+      expect(error.context.status_reason).to.include('Fee account b');
+      expect(AccountRepository.updateOne.called).to.equal(false);
+      expect(TransactionRepository.createMany.called).to.equal(false);
+    }
+  });
+
+  it('Should post one credit entry per leg of a split', async () => {
+    AccountRepository.findMany.resolves([
+      ...ledgerAccounts,
+      { _id: '01J0000000000000000000000C', account_id: 'c', balance: 0, currency: 'USD' },
+    ]);
+
+    await processPaymentInstruction(
+      { instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, c:200' },
+      { useLedger: true, session }
+    );
+
+    expect(AccountRepository.updateOne.callCount).to.equal(3);
+    const { entries } = TransactionRepository.createMany.firstCall.args[0];
+    expect(
+      entries.map((entry) => [entry.account_id, entry.direction, entry.amount, entry.balance_after])
+    ).to.deep.equal([
+      ['a', 'debit', 300, 500],
+      ['b', 'credit', 100, 300],
+      ['c', 'credit', 200, 200],
+    ]);
+  });
+
+  describe('REVERSE', () => {
+    const transfer = [
+      {
+        transfer_id: 't1',
+        type: 'DEBIT',
+        account_id: 'a',
+        direction: 'debit',
+        amount: 302.5,
+        currency: 'USD',
+      },
+      {
+        transfer_id: 't1',
+        type: 'DEBIT',
+        account_id: 'b',
+        direction: 'credit',
+        amount: 300,
+        currency: 'USD',
+      },
+      {
+        transfer_id: 't1',
+        type: 'FEE',
+        account_id: 'fees',
+        direction: 'credit',
+        amount: 2.5,
+        currency: 'USD',
+      },
+    ];
+    const reversal = (amount) => [
+      {
+        transfer_id: 'r1',
+        type: 'REVERSE',
+        reversal_of: 't1',
+        account_id: 'b',
+        direction: 'debit',
+        amount,
+        currency: 'USD',
+      },
+      {
+        transfer_id: 'r1',
+        type: 'REVERSE',
+        reversal_of: 't1',
+        account_id: 'a',
+        direction: 'credit',
+        amount,
+        currency: 'USD',
+      },
+    ];
+
+    it('Should return the whole amount sent, without the fee, and link the reversal', async () => {
+      AccountRepository.findMany.resolves([
+        { ...ledgerAccounts[0], balance: 497.5 },
+        { ...ledgerAccounts[1], balance: 500 },
+      ]);
+      sinon.stub(TransactionRepository, 'findMany').resolves(transfer);
+
+      const result = await processPaymentInstruction(
+        { instruction: 'REVERSE TRANSACTION t1' },
+        { useLedger: true, session }
+      );
+
+      expect(result).to.include({
+        type: 'REVERSE',
+        amount: 300,
+        debit_account: 'b',
+        credit_account: 'a',
+        reversal_of: 't1',
+        status_code: StatusCode.TRANSACTION_SUCCESSFUL,
+      });
+      expect(result.accounts.map((account) => [account.id, account.balance])).to.deep.equal([
+        ['b', 200],
+        ['a', 797.5],
+      ]);
+      const { entries } = TransactionRepository.createMany.firstCall.args[0];
+      expect(
+        entries.map((entry) => [entry.account_id, entry.direction, entry.amount])
+      ).to.deep.equal([
+        ['b', 'debit', 300],
+        ['a', 'credit', 300],
+      ]);
+      expect(entries[0]).to.include({ type: 'REVERSE', reversal_of: 't1' });
+    });
+
+    it('Should reverse part of a transfer and only what is left afterwards', async () => {
+      AccountRepository.findMany.resolves([
+        { ...ledgerAccounts[0], balance: 100 },
+        { ...ledgerAccounts[1], balance: 400 },
+      ]);
+      sinon.stub(TransactionRepository, 'findMany').resolves([...transfer, ...reversal(120)]);
+
+      const partial = await processPaymentInstruction(
+        { instruction: 'REVERSE TRANSACTION t1 AMOUNT 80' },
+        { useLedger: true, dryRun: true, session }
+      );
+      const rest = await processPaymentInstruction(
+        { instruction: 'REVERSE TRANSACTION t1' },
+        { useLedger: true, dryRun: true, session }
+      );
+
+      expect(partial.amount).to.equal(80);
+      expect(rest.amount).to.equal(180);
+    });
+
+    it('Should fail with RV02 when the reversal exceeds what is left to reverse', async () => {
+      sinon.stub(TransactionRepository, 'findMany').resolves([...transfer, ...reversal(120)]);
+
+      try {
+        await processPaymentInstruction(
+          { instruction: 'REVERSE TRANSACTION t1 AMOUNT 180.01' },
+          { useLedger: true, session }
+        );
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.context.status_code).to.equal(StatusCode.REVERSAL_EXCEEDS_ORIGINAL);
+        expect(error.context.reversal_of).to.equal('t1');
+        expect(TransactionRepository.createMany.called).to.equal(false);
+      }
+    });
+
+    it('Should fail with RV01 for a transfer that was already reversed', async () => {
+      sinon.stub(TransactionRepository, 'findMany').resolves([...transfer, ...reversal(300)]);
+
+      try {
+        await processPaymentInstruction(
+          { instruction: 'REVERSE TRANSACTION t1' },
+          { useLedger: true, session }
+        );
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.context.status_code).to.equal(StatusCode.TRANSACTION_ALREADY_REVERSED);
+      }
+    });
+
+    it('Should fail with RV03 for an unknown transfer', async () => {
+      sinon.stub(TransactionRepository, 'findMany').resolves([]);
+
+      try {
+        await processPaymentInstruction(
+          { instruction: 'REVERSE TRANSACTION t9' },
+          { useLedger: true, session }
+        );
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.context.status_code).to.equal(StatusCode.TRANSACTION_NOT_FOUND);
+      }
+    });
+
+    it('Should fail with RV05 for a reversal or a transfer split across accounts', async () => {
+      const splitTransfer = [
+        ...transfer,
+        {
+          transfer_id: 't1',
+          type: 'DEBIT',
+          account_id: 'c',
+          direction: 'credit',
+          amount: 50,
+          currency: 'USD',
+        },
+      ];
+      sinon
+        .stub(TransactionRepository, 'findMany')
+        .callsFake(async ({ query }) =>
+          [...splitTransfer, ...reversal(300)].filter(
+            (entry) => entry.transfer_id === query.$or[0].transfer_id
+          )
+        );
+
+      const codes = await Promise.all(
+        ['REVERSE TRANSACTION r1', 'REVERSE TRANSACTION t1'].map((instruction) =>
+          processPaymentInstruction({ instruction }, { useLedger: true, session }).catch(
+            (error) => error.context.status_code
+          )
+        )
+      );
+
+      expect(codes).to.deep.equal([
+        StatusCode.TRANSACTION_NOT_REVERSIBLE,
+        StatusCode.TRANSACTION_NOT_REVERSIBLE,
+      ]);
+    });
+
+    it('Should fail with RV04 without the account ledger', async () => {
+      try {
+        await processPaymentInstruction(
+          {
+            accounts: [{ id: 'a', balance: 100, currency: 'USD' }],
+            instruction: 'REVERSE TRANSACTION t1',
+          },
+          { useLedger: false }
+        );
+        throw new Error('Test failed: Should have thrown an error.');
+      } catch (error) {
+        expect(error.context.status_code).to.equal(StatusCode.REVERSAL_REQUIRES_LEDGER);
+      }
+    });
+  });
 });
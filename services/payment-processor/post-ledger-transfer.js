@@ -0,0 +1,242 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { ulid } = require('@app-core/randomness');
+const AccountRepository = require('@app/repository/account');
+const TransactionRepository = require('@app/repository/transaction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const loadLedgerAccounts = require('./load-ledger-accounts');
+const { matchHeldBalance } = require('./account-holds');
+const { recordLimitUsage } = require('../limits/transaction-limits');
+const { roundToMinorUnits, toMajorUnits } = require('./minor-units');
+
+const spec = `root {
+  instruction string
+  type string
+  amount number
+  amount_minor? number
+  currency string
+  debit_account string
+  credit_account any
+  reversal_of? string
+  client_id? string
+  reference any
+  narration any
+  fx? {
+    rate number
+  }
+  charges {
+    fee number
+    fee_minor number
+    total_debited number
+    fee_account any
+  }
+  credits[] {
+    account_id string
+    amount_credited number
+    fx? {
+      rate number
+    }
+  }
+  accounts[] {
+    id string
+    balance number
+    balance_before number
+    held_balance_minor? number
+    held_balance_before_minor? number
+    currency string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Moves an account from its balance_before to its new balance. The update only applies if the
+ * stored balance is still balance_before, so a concurrent transfer cannot be silently overwritten.
+ * The funds held on a debited account limit what it can pay, so they must not have changed either;
+ * executing a pending instruction also releases its own hold.
+ * @param {{id: string, balance: number, balance_before: number, held_balance_minor?: number, held_balance_before_minor?: number}} account
+ * @param {import('mongoose').ClientSession} session
+ * @param {boolean} [isDebited]
+ */
+async function applyBalance(account, session, isDebited = false) {
+  const query = { account_id: account.id, balance: account.balance_before };
+  const updateValues = { balance: account.balance };
+
+  if (isDebited && account.held_balance_before_minor !== undefined) {
+    query.held_balance_minor = matchHeldBalance(account.held_balance_before_minor);
+    updateValues.held_balance_minor = account.held_balance_minor;
+  }
+
+  const updateResult = await AccountRepository.updateOne({
+    query,
+    updateValues,
+    options: { session },
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(PaymentMessage.LEDGER_BALANCE_CHANGED(account.id), StatusCode.LEDGER_CONFLICT);
+  }
+}
+
+/**
+ * Credits the fee of a transfer to the fee account, which must exist in the ledger and hold the
+ * instruction currency. processPaymentInstruction already checked it; it is read again here
+ * inside the posting session.
+ * @param {object} data - The validated transfer.
+ * @param {object} entryBase - The fields shared by every ledger entry of the transfer.
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<object>} The ledger entry of the fee account.
+ */
+async function creditFeeAccount(data, entryBase, session) {
+  const feeAccountId = data.charges.fee_account;
+
+  if (!feeAccountId) {
+    throwAppError(PaymentMessage.FEE_ACCOUNT_NOT_CONFIGURED, ERROR_CODE.FEEERR);
+  }
+
+  const [feeAccount] = await loadLedgerAccounts({ account_ids: [feeAccountId] }, { session });
+
+  if (!feeAccount || feeAccount.currency !== data.currency) {
+    throwAppError(
+      PaymentMessage.FEE_ACCOUNT_UNUSABLE(feeAccountId, data.currency),
+      ERROR_CODE.FEEERR
+    );
+  }
+
+  const balanceAfter = toMajorUnits(
+    roundToMinorUnits(feeAccount.balance, data.currency) + data.charges.fee_minor,
+    data.currency
+  );
+
+  await applyBalance(
+    { id: feeAccount.id, balance: balanceAfter, balance_before: feeAccount.balance },
+    session
+  );
+
+  return {
+    ...entryBase,
+    type: 'FEE',
+    amount: data.charges.fee,
+    currency: data.currency,
+    account_id: feeAccount.id,
+    direction: 'credit',
+    counterparty_account: data.debit_account,
+    balance_before: feeAccount.balance,
+    balance_after: balanceAfter,
+  };
+}
+
+/**
+ * Persists an executed transfer: updates the balance of the debit account and of every credit
+ * account and writes one ledger entry per account, each in the currency of its account. A fee is credited to the fee account with an
+ * entry of its own, and the entries of a reversal are linked to the transfer it reverses through
+ * `reversal_of`. A transfer other than a reversal also counts towards the limits of its debit
+ * account and of its API client. Runs in a transaction unless the caller passes its own session.
+ * @param {object} serviceData - The instruction string and the execution result.
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{transaction_id: string}>}
+ */
+async function postLedgerTransfer(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const transferId = ulid();
+    const findAccount = (accountId) => data.accounts.find((account) => account.id === accountId);
+    const debitAccount = findAccount(data.debit_account);
+    const creditAccounts = data.credits.map((credit) => findAccount(credit.account_id));
+
+    await [debitAccount, ...creditAccounts].reduce(async (previous, account) => {
+      await previous;
+      await applyBalance(account, sessionToUse, account === debitAccount);
+    }, Promise.resolve());
+
+    const entryBase = {
+      transfer_id: transferId,
+      type: data.type,
+      instruction: data.instruction,
+      reversal_of: data.reversal_of,
+      reference: data.reference,
+      narration: data.narration,
+    };
+
+    const entries = [
+      {
+        ...entryBase,
+        amount: data.charges.total_debited,
+        currency: debitAccount.currency,
+        fx_rate: data.fx?.rate,
+        account_id: debitAccount.id,
+        direction: 'debit',
+        counterparty_account: data.credit_account,
+        balance_before: debitAccount.balance_before,
+        balance_after: debitAccount.balance,
+      },
+      ...data.credits.map((credit, index) => ({
+        ...entryBase,
+        amount: credit.amount_credited,
+        currency: creditAccounts[index].currency,
+        fx_rate: credit.fx?.rate,
+        account_id: creditAccounts[index].id,
+        direction: 'credit',
+        counterparty_account: debitAccount.id,
+        balance_before: creditAccounts[index].balance_before,
+        balance_after: creditAccounts[index].balance,
+      })),
+    ];
+
+    if (data.charges.fee_minor > 0) {
+      entries.push(await creditFeeAccount(data, entryBase, sessionToUse));
+    }
+
+    await TransactionRepository.createMany({ entries, options: { session: sessionToUse } });
+
+    if (!data.reversal_of) {
+      await recordLimitUsage(
+        {
+          account_id: debitAccount.id,
+          client_id: data.client_id,
+          currency: data.currency,
+          amount_minor: data.amount_minor,
+        },
+        { session: sessionToUse }
+      );
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = { transaction_id: transferId };
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'post-ledger-transfer-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = postLedgerTransfer;
@@ -0,0 +1,224 @@
+const { throwAppError } = require('@app-core/errors');
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { PaymentMessage } = require('@app/messages');
+const isLedgerEnabled = require('./is-ledger-enabled');
+const processPaymentInstruction = require('./parse-instruction');
+
+const spec = `root {
+  accounts[] {
+    id string<trim|minlength:1>
+    balance number
+    currency string<uppercase>
+    overdraft_limit? number<min:0>
+    account_type? string<trim>
+  }
+  instructions[] string<trim|minlength:1>
+  locale? string<trim>
+  client_id? string<trim>
+  mode? string(best_effort|atomic)
+}`;
+
+const ledgerSpec = `root {
+  instructions[] string<trim|minlength:1>
+  locale? string<trim>
+  client_id? string<trim>
+  mode? string(best_effort|atomic)
+}`;
+
+const parsedBatchSpec = validator.parse(spec);
+const parsedLedgerBatchSpec = validator.parse(ledgerSpec);
+
+const BatchMode = {
+  BEST_EFFORT: 'best_effort',
+  ATOMIC: 'atomic',
+};
+
+/**
+ * Returns a copy of the accounts with the balances reported by an instruction result applied.
+ * @param {Array<object>} accounts - The working set of accounts.
+ * @param {Array<object>} resultAccounts - The `accounts` array of an instruction result.
+ * @returns {Array<object>} The updated working set.
+ */
+function applyResultBalances(accounts, resultAccounts) {
+  const balances = new Map(resultAccounts.map((account) => [account.id, account.balance]));
+
+  return accounts.map((account) =>
+    balances.has(account.id) ? { ...account, balance: balances.get(account.id) } : account
+  );
+}
+
+/**
+ * Builds the final account snapshot, keeping the balances from before the batch ran.
+ * @param {Array<object>} initialAccounts - The accounts as supplied in the request.
+ * @param {Array<object>} finalAccounts - The working set after the batch ran.
+ * @returns {Array<object>}
+ */
+function createAccountsSnapshot(initialAccounts, finalAccounts) {
+  return initialAccounts.map((account, index) => ({
+    id: account.id,
+    balance: finalAccounts[index].balance,
+    balance_before: account.balance,
+    currency: account.currency,
+  }));
+}
+
+/**
+ * Builds the account snapshot of a ledger batch from the accounts reported by each result.
+ * @param {Array<object>} results - The per-instruction results, in order.
+ * @param {boolean} rolledBack - Whether the batch changes were discarded.
+ * @returns {Array<object>}
+ */
+function createLedgerAccountsSnapshot(results, rolledBack) {
+  const snapshot = new Map();
+
+  results.forEach((result) => {
+    result.accounts.forEach((account) => {
+      const entry = snapshot.get(account.id) || {
+        id: account.id,
+        balance: account.balance_before,
+        balance_before: account.balance_before,
+        currency: account.currency,
+      };
+      entry.balance = rolledBack ? entry.balance_before : account.balance;
+      snapshot.set(account.id, entry);
+    });
+  });
+
+  return [...snapshot.values()];
+}
+
+/**
+ * Runs the instructions one after the other, stopping at the first failure in atomic mode.
+ * @param {object} data - The validated batch payload.
+ * @param {string} mode - The batch mode.
+ * @param {object} options - Options passed on to processPaymentInstruction.
+ * @returns {Promise<{results: Array<object>, failure: ?object, workingAccounts: ?Array<object>}>}
+ */
+async function runInstructions(data, mode, options) {
+  const results = [];
+  let workingAccounts = data.accounts ? data.accounts.map((account) => ({ ...account })) : null;
+  let failure = null;
+
+  await data.instructions.reduce(async (previous, instruction, index) => {
+    await previous;
+
+    if (failure && mode === BatchMode.ATOMIC) return;
+
+    try {
+      const payload = workingAccounts
+        ? { accounts: workingAccounts, instruction, locale: data.locale }
+        : { instruction, locale: data.locale, client_id: data.client_id };
+      const result = await processPaymentInstruction(payload, options);
+
+      if (workingAccounts) {
+        workingAccounts = applyResultBalances(workingAccounts, result.accounts);
+      }
+      results.push({ index, instruction, ...result });
+    } catch (error) {
+      if (!error.context) throw error;
+
+      results.push({ index, instruction, ...error.context });
+      failure = failure || { index, errorCode: error.errorCode };
+    }
+  }, Promise.resolve());
+
+  return { results, failure, workingAccounts };
+}
+
+/**
+ * Runs the batch against the account ledger. Atomic batches share one database transaction so a
+ * failure undoes every transfer already posted by the batch.
+ * @param {object} data - The validated batch payload.
+ * @param {string} mode - The batch mode.
+ * @param {object} options
+ * @returns {Promise<{results: Array<object>, failure: ?object}>}
+ */
+async function runLedgerInstructions(data, mode, options) {
+  let outcome;
+
+  if (mode !== BatchMode.ATOMIC || options.session) {
+    outcome = await runInstructions(data, mode, options);
+  } else {
+    const session = await createSession();
+
+    try {
+      session.startTransaction();
+
+      outcome = await runInstructions(data, mode, { ...options, session });
+
+      if (outcome.failure) {
+        await session.abortTransaction();
+      } else {
+        await session.commitTransaction();
+      }
+    } catch (error) {
+      await session.abortTransaction();
+      appLogger.errorX(error, 'process-batch-error');
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Runs a list of instructions in order against one set of accounts. Each instruction sees the
+ * balances left by the one before it.
+ * In `best_effort` mode failed instructions are recorded and skipped. In `atomic` mode the first
+ * failure discards every balance change and is thrown with the batch result as its context.
+ * When the account ledger is enabled the accounts are read from the database instead of the request.
+ * Every instruction is read in the vocabulary of the batch's `locale` and counts towards the limits
+ * of its `client_id`.
+ * @param {object} serviceData
+ * @param {object} [options]
+ * @returns {Promise<object>} The per-instruction results and the final account snapshot.
+ */
+async function processPaymentInstructionBatch(serviceData, options = {}) {
+  const useLedger = isLedgerEnabled(options);
+  const data = validator.validate(serviceData, useLedger ? parsedLedgerBatchSpec : parsedBatchSpec);
+  const mode = data.mode || BatchMode.BEST_EFFORT;
+
+  const { results, failure, workingAccounts } = useLedger
+    ? await runLedgerInstructions(data, mode, { ...options, useLedger })
+    : await runInstructions(data, mode, { ...options, useLedger });
+  const isRolledBack = Boolean(failure) && mode === BatchMode.ATOMIC;
+
+  const response = {
+    mode,
+    status: failure ? 'completed_with_errors' : 'completed',
+    status_reason: failure
+      ? PaymentMessage.BATCH_COMPLETED_WITH_ERRORS
+      : PaymentMessage.BATCH_COMPLETED,
+    total: data.instructions.length,
+    successful: results.filter((result) => result.status !== 'failed').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+    results,
+    accounts: useLedger
+      ? createLedgerAccountsSnapshot(results, false)
+      : createAccountsSnapshot(data.accounts, workingAccounts),
+  };
+
+  if (isRolledBack) {
+    const message = PaymentMessage.BATCH_ROLLED_BACK(failure.index);
+
+    throwAppError(message, failure.errorCode, {
+      context: {
+        ...response,
+        status: 'rolled_back',
+        status_reason: message,
+        failed_index: failure.index,
+        accounts: useLedger
+          ? createLedgerAccountsSnapshot(results, true)
+          : createAccountsSnapshot(data.accounts, data.accounts),
+      },
+    });
+  }
+
+  return response;
+}
+
+module.exports = processPaymentInstructionBatch;
@@ -0,0 +1,82 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const processPaymentInstructionBatch = require('./process-batch');
+
+describe('processPaymentInstructionBatch', () => {
+  before(() => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  after(() => {
+    sinon.restore();
+  });
+
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+  ];
+
+  it('Should run every instruction against the balances left by the previous one', async () => {
+    const result = await processPaymentInstructionBatch({
+      accounts,
+      instructions: [
+        'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 350 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT a',
+      ],
+    });
+
+    expect(result.mode).to.equal('best_effort');
+    expect(result.status).to.equal('completed');
+    expect(result.successful).to.equal(2);
+    expect(result.results[1].accounts[0].balance_before).to.equal(200);
+    expect(result.accounts).to.deep.equal([
+      { id: 'a', balance: 550, balance_before: 500, currency: 'USD' },
+      { id: 'b', balance: 50, balance_before: 100, currency: 'USD' },
+    ]);
+  });
+
+  it('Should skip failed instructions in best effort mode', async () => {
+    const result = await processPaymentInstructionBatch({
+      accounts,
+      mode: 'best_effort',
+      instructions: [
+        'DEBIT 600 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      ],
+    });
+
+    expect(result.status).to.equal('completed_with_errors');
+    expect(result.failed).to.equal(1);
+    expect(result.results[0].status_code).to.equal(StatusCode.INSUFFICIENT_FUNDS);
+    expect(result.results[1].status_code).to.equal(StatusCode.TRANSACTION_SUCCESSFUL);
+    expect(result.accounts[0].balance).to.equal(400);
+    expect(result.accounts[1].balance).to.equal(200);
+  });
+
+  it('Should roll back the whole batch in atomic mode', async () => {
+    try {
+      await processPaymentInstructionBatch({
+        accounts,
+        mode: 'atomic',
+        instructions: [
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c',
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        ],
+      });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(StatusCode.ACCOUNT_NOT_FOUND);
+      expect(error.context.status).to.equal('rolled_back');
+      expect(error.context.failed_index).to.equal(1);
+      expect(error.context.results).to.have.lengthOf(2);
+      expect(error.context.accounts[0].balance).to.equal(500);
+      expect(error.context.accounts[1].balance).to.equal(100);
+    }
+  });
+});
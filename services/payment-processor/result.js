@@ -0,0 +1,24 @@
+/**
+ * Wraps the value of a step that succeeded.
+ * @param {any} value
+ * @returns {{isOk: true, value: any}}
+ */
+function Ok(value) {
+  return { isOk: true, value };
+}
+
+/**
+ * Wraps the error of a step that failed. `code` is the payment status code reported in the
+ * response; `errorCode` optionally replaces it as the code of the thrown error.
+ * @param {{code: string, message: string, errorCode?: string}} error
+ * @returns {{isOk: false, error: object}}
+ */
+function Err(error) {
+  return { isOk: false, error };
+}
+
+function isErr(result) {
+  return result.isOk === false;
+}
+
+module.exports = { Ok, Err, isErr };
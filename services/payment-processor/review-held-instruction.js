@@ -0,0 +1,124 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const {
+  loadPendingInstruction,
+  throwPendingInstructionError,
+} = require('./load-pending-instruction');
+const { releaseHold } = require('./account-holds');
+const { claimInstruction, executePendingInstruction } = require('./execute-pending-instruction');
+
+const spec = `root {
+  instruction_id string<trim|minlength:1>
+  decision string(release|reject)
+  reviewer string<trim|minlength:1>
+  note? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Records the decision of a reviewer on an instruction that screening held for review. A released
+ * instruction becomes pending again and, if it is already due, is executed straight away with the
+ * funds it holds; otherwise the scheduled-instructions worker executes it when it falls due. It is
+ * not screened again. A rejected instruction releases its funds. The decision is recorded in one
+ * transaction unless the caller passes its own session. The reviewer is the admin API key the
+ * decision was made with, never a value from the request body.
+ * @param {{instruction_id: string, decision: 'release'|'reject', reviewer: string, note?: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<object>} The reviewed instruction.
+ */
+async function reviewHeldInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const heldInstruction = await loadPendingInstruction(
+    { instruction_id: data.instruction_id, status: 'held_for_review' },
+    options
+  );
+  const isRejected = data.decision === 'reject';
+  const updateValues = {
+    status: isRejected ? 'rejected' : 'pending',
+    status_code: isRejected ? StatusCode.INSTRUCTION_REJECTED : StatusCode.TRANSACTION_PENDING,
+    status_reason: isRejected
+      ? PaymentMessage.INSTRUCTION_REJECTED
+      : PaymentMessage.TRANSACTION_PENDING,
+    reviewed_by: data.reviewer,
+    ...(data.note && { review_note: data.note }),
+    reviewed_at: Date.now(),
+  };
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const updateResult = await PaymentInstructionRepository.updateOne({
+      query: { _id: data.instruction_id, status: 'held_for_review' },
+      updateValues,
+      options: { session: sessionToUse },
+    });
+
+    if (updateResult.modifiedCount !== 1) {
+      // Another reviewer decided in the meantime.
+      throwPendingInstructionError(
+        {
+          code: StatusCode.INSTRUCTION_NOT_HELD,
+          message: PaymentMessage.INSTRUCTION_NOT_HELD(data.instruction_id, 'reviewed'),
+        },
+        data.instruction_id,
+        { status: 'reviewed' }
+      );
+    }
+
+    if (isRejected) {
+      await releaseHold(
+        {
+          account_id: heldInstruction.debit_account,
+          amount_minor: heldInstruction.held_amount_minor,
+        },
+        sessionToUse
+      );
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'review-held-instruction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  let reviewedInstruction = { ...heldInstruction, ...updateValues };
+
+  if (
+    !isRejected &&
+    reviewedInstruction.execute_at <= Date.now() &&
+    (await claimInstruction(reviewedInstruction))
+  ) {
+    const executionValues = await executePendingInstruction(reviewedInstruction, options);
+    reviewedInstruction = { ...reviewedInstruction, ...executionValues };
+  }
+
+  return reviewedInstruction;
+}
+
+module.exports = reviewHeldInstruction;
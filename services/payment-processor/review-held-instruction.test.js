@@ -0,0 +1,122 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { StatusCode } = require('@app/messages');
+const AccountRepository = require('@app/repository/account');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const TransactionRepository = require('@app/repository/transaction');
+const TransactionLimitRepository = require('@app/repository/transaction-limit');
+const reviewHeldInstruction = require('./review-held-instruction');
+
+describe('reviewHeldInstruction', () => {
+  const session = {};
+  const heldInstruction = {
+    _id: '01J0000000000000000000000P',
+    instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "Crypto"',
+    debit_account: 'a',
+    credit_account: 'b',
+    execute_by: null,
+    execute_at: new Date('2025-11-17T11:00:00.000Z').getTime(),
+    held_amount_minor: 30000,
+    status: 'held_for_review',
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(new Date('2025-11-17T12:00:00.000Z').getTime());
+    sinon
+      .stub(PaymentInstructionRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'updateOne').resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon.stub(AccountRepository, 'findMany').resolves([
+      { account_id: 'a', balance: 800, held_balance_minor: 30000, currency: 'USD' },
+      { account_id: 'b', balance: 200, currency: 'USD' },
+    ]);
+    sinon.stub(TransactionRepository, 'createMany').callsFake(async ({ entries }) => entries);
+    sinon.stub(TransactionLimitRepository, 'findMany').resolves([]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should release a due instruction and execute it with the funds it holds', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(heldInstruction);
+
+    const result = await reviewHeldInstruction(
+      {
+        instruction_id: heldInstruction._id,
+        decision: 'release',
+        reviewer: 'compliance@example.com',
+      },
+      { session }
+    );
+
+    expect(result).to.include({
+      status: 'successful',
+      status_code: StatusCode.TRANSACTION_SUCCESSFUL,
+      reviewed_by: 'compliance@example.com',
+    });
+    expect(result.transaction_id).to.be.a('string');
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { _id: heldInstruction._id, status: 'held_for_review' },
+    });
+    expect(PaymentInstructionRepository.updateOne.firstCall.args[0].updateValues).to.include({
+      status: 'pending',
+      reviewed_at: Date.now(),
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a', balance: 800, held_balance_minor: 30000 },
+      updateValues: { balance: 500, held_balance_minor: 0 },
+    });
+  });
+
+  it('Should reject an instruction and release the funds it holds', async () => {
+    sinon.stub(PaymentInstructionRepository, 'findOne').resolves(heldInstruction);
+
+    const result = await reviewHeldInstruction(
+      {
+        instruction_id: heldInstruction._id,
+        decision: 'reject',
+        reviewer: 'compliance@example.com',
+        note: 'Sanctioned beneficiary',
+      },
+      { session }
+    );
+
+    expect(result).to.include({
+      status: 'rejected',
+      status_code: StatusCode.INSTRUCTION_REJECTED,
+      review_note: 'Sanctioned beneficiary',
+    });
+    expect(AccountRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { account_id: 'a' },
+      updateValues: { $inc: { held_balance_minor: -30000 } },
+    });
+    expect(TransactionRepository.createMany.called).to.equal(false);
+  });
+
+  it('Should fail with PI04 for an instruction that is not held for review', async () => {
+    sinon
+      .stub(PaymentInstructionRepository, 'findOne')
+      .resolves({ ...heldInstruction, status: 'pending' });
+
+    try {
+      await reviewHeldInstruction(
+        {
+          instruction_id: heldInstruction._id,
+          decision: 'release',
+          reviewer: 'compliance@example.com',
+        },
+        { session }
+      );
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.context).to.include({
+        status: 'pending',
+        status_code: StatusCode.INSTRUCTION_NOT_HELD,
+      });
+      expect(PaymentInstructionRepository.updateOne.called).to.equal(false);
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const { PaymentMessage, StatusCode } = require('@app/messages');
+const { adjustHold } = require('./account-holds');
+
+const spec = `root {
+  instruction string
+  locale? string
+  client_id? string
+  type string
+  amount number
+  currency string
+  debit_account string
+  credit_account any
+  reference any
+  narration any
+  execute_by any
+  status? string(pending|held_for_review)
+  status_reason? string
+  screening? any
+  standing_order_id? string
+  occurrence? number
+  hold? {
+    account_id string
+    amount_minor number
+    balance number
+    held_balance_before_minor number
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores a future-dated instruction so the scheduled-instructions worker can execute it once its
+ * execute_by timestamp, an ISO 8601 timestamp with a UTC offset, arrives. An occurrence of a
+ * standing order is stored the same way, linked to its standing order. An instruction that
+ * screening holds for review is stored as `held_for_review` with its watchlist matches, and
+ * waits for a reviewer rather than for its execute_by time, which is null if it was due at once.
+ * With a `hold`, the funds are held on the debit account in the same transaction, which runs
+ * unless the caller passes its own session.
+ * @param {object} serviceData - The instruction string and the pending execution result.
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{instruction_id: string}>}
+ */
+async function storePendingInstruction(serviceData, options = {}) {
+  const { hold, screening, ...data } = validator.validate(serviceData, parsedSpec);
+  const isHeldForReview = data.status === 'held_for_review';
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    if (hold) {
+      await adjustHold(hold, sessionToUse);
+    }
+
+    const record = await PaymentInstructionRepository.create(
+      {
+        ...data,
+        execute_at: data.execute_by ? new Date(data.execute_by).getTime() : Date.now(),
+        ...(hold && { held_amount_minor: hold.amount_minor }),
+        ...(screening && { screening_matches: screening.matches }),
+        status: isHeldForReview ? 'held_for_review' : 'pending',
+        status_code: isHeldForReview ? StatusCode.HELD_FOR_REVIEW : StatusCode.TRANSACTION_PENDING,
+        status_reason: data.status_reason || PaymentMessage.TRANSACTION_PENDING,
+      },
+      { session: sessionToUse }
+    );
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = { instruction_id: record._id };
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'store-pending-instruction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = storePendingInstruction;
@@ -0,0 +1,68 @@
+// https://stackoverflow.com/questions/18169006/all-the-whitespace-characters-is-it-language-independent
+const WHITESPACE_CHARACTERS = new Set([
+  // Zs category
+  '\u0020',
+  '\u00A0',
+  '\u1680',
+  '\u2000',
+  '\u2001',
+  '\u2002',
+  '\u2003',
+  '\u2004',
+  '\u2005',
+  '\u2006',
+  '\u2007',
+  '\u2008',
+  '\u2009',
+  '\u200A',
+  '\u202F',
+  '\u205F',
+  '\u3000',
+  // Cc category
+  '\u0009',
+  '\u000A',
+  '\u000B',
+  '\u000C',
+  '\u000D',
+  // Language-specific
+  '\u1361',
+]);
+
+/**
+ * @typedef {Object} InstructionToken
+ * @property {string} value - The token text as typed, quotes included.
+ * @property {number} offset - Zero-based character offset of the token in the instruction.
+ */
+
+/**
+ * Splits an instruction into whitespace-separated tokens, keeping where each token starts so that
+ * errors can point at the exact spot in the instruction. A token that starts with a double quote
+ * runs to the next double quote, whitespace included, or to the end of an unterminated string.
+ * @param {string} instruction - The raw instruction string.
+ * @returns {Array<InstructionToken>}
+ */
+function tokenizeInstruction(instruction) {
+  const tokens = [];
+  let current = null;
+  let inQuotes = false;
+
+  instruction.split('').forEach((char, index) => {
+    if (inQuotes) {
+      current.value += char;
+      inQuotes = char !== '"';
+      current = inQuotes ? current : null;
+    } else if (WHITESPACE_CHARACTERS.has(char)) {
+      current = null;
+    } else if (current) {
+      current.value += char;
+    } else {
+      current = { value: char, offset: index };
+      tokens.push(current);
+      inQuotes = char === '"';
+    }
+  });
+
+  return tokens;
+}
+
+module.exports = tokenizeInstruction;
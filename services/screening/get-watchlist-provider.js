@@ -0,0 +1,37 @@
+const jsonWatchlistProvider = require('./json-watchlist-provider');
+const mongoWatchlistProvider = require('./mongo-watchlist-provider');
+
+const SCREENING_WATCHLIST_PROVIDER = process.env.SCREENING_WATCHLIST_PROVIDER || 'json';
+
+/**
+ * @typedef {Object} WatchlistEntry
+ * @property {'account'|'name'|'keyword'} type - What the entry is screened against: account ids,
+ * the words of references and narrations, or the words of narrations.
+ * @property {string} value - An account id, a name of one or more words, or a keyword.
+ * @property {'exact'|'fuzzy'} [match] - Exact by default. Values are compared case- and
+ * accent-insensitively either way.
+ * @property {number} [max_distance] - For fuzzy matching, how many single-character edits still
+ * match; 1 by default.
+ * @property {'block'|'review'} [action] - Block by default.
+ */
+
+/**
+ * @typedef {Object} WatchlistProvider
+ * @property {function(): Promise<Array<WatchlistEntry>>} getEntries
+ */
+
+const watchlistProviders = {
+  json: jsonWatchlistProvider,
+  mongo: mongoWatchlistProvider,
+};
+
+/**
+ * Returns the watchlist provider selected by the SCREENING_WATCHLIST_PROVIDER environment variable
+ * (`json`, the default, or `mongo`).
+ * @returns {WatchlistProvider}
+ */
+function getWatchlistProvider() {
+  return watchlistProviders[SCREENING_WATCHLIST_PROVIDER] || jsonWatchlistProvider;
+}
+
+module.exports = getWatchlistProvider;
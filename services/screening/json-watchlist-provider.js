@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCREENING_WATCHLIST_FILE =
+  process.env.SCREENING_WATCHLIST_FILE || path.join(__dirname, 'watchlist.json');
+
+let watchlist;
+
+/**
+ * Reads the watchlist once. The file holds an `entries` array of watchlist entries.
+ * @returns {{entries: Array<import('./get-watchlist-provider').WatchlistEntry>}}
+ */
+function loadWatchlist() {
+  watchlist = watchlist || JSON.parse(fs.readFileSync(SCREENING_WATCHLIST_FILE, 'utf8'));
+  return watchlist;
+}
+
+/**
+ * Watchlist provider backed by a local JSON file (services/screening/watchlist.json unless
+ * SCREENING_WATCHLIST_FILE is set).
+ * @type {import('./get-watchlist-provider').WatchlistProvider}
+ */
+const jsonWatchlistProvider = {
+  async getEntries() {
+    return loadWatchlist().entries;
+  },
+};
+
+module.exports = jsonWatchlistProvider;
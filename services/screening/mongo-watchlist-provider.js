@@ -0,0 +1,14 @@
+const WatchlistEntryRepository = require('@app/repository/watchlist-entry');
+
+/**
+ * Watchlist provider backed by the watchlist_entries collection, so that compliance can change the
+ * list without a deployment.
+ * @type {import('./get-watchlist-provider').WatchlistProvider}
+ */
+const mongoWatchlistProvider = {
+  async getEntries() {
+    return WatchlistEntryRepository.findMany({ query: {} });
+  },
+};
+
+module.exports = mongoWatchlistProvider;
@@ -0,0 +1,167 @@
+const getWatchlistProvider = require('./get-watchlist-provider');
+
+const DEFAULT_MAX_DISTANCE = 1;
+
+/**
+ * @typedef {Object} ScreeningMatch
+ * @property {string} field - debit_account, credit_account, reference or narration.
+ * @property {string} matched - The part of the field that matched, as written.
+ * @property {string} type - The type of the watchlist entry.
+ * @property {string} value - The value of the watchlist entry.
+ * @property {number} distance - How many edits apart the two are; 0 for an exact match.
+ * @property {string} action - block or review.
+ */
+
+/**
+ * @typedef {Object} ScreeningResult
+ * @property {'clear'|'review'|'block'} action - block if any match blocks, review if any match
+ * asks for review, clear otherwise.
+ * @property {Array<ScreeningMatch>} matches
+ */
+
+/**
+ * Puts a value in the form watchlist entries are compared in: upper case, without accents and
+ * with single spaces between words.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeValue(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .trim()
+    .split(/\s+/)
+    .join(' ');
+}
+
+/**
+ * Returns the Levenshtein distance between two strings: how many single-character insertions,
+ * deletions and substitutions turn one into the other.
+ * @param {string} source
+ * @param {string} target
+ * @returns {number}
+ */
+function getEditDistance(source, target) {
+  const initialRow = Array.from({ length: target.length + 1 }, (_, index) => index);
+
+  const lastRow = [...source].reduce(
+    (previousRow, sourceChar, sourceIndex) =>
+      [...target].reduce(
+        (row, targetChar, targetIndex) => {
+          row.push(
+            Math.min(
+              previousRow[targetIndex + 1] + 1,
+              row[targetIndex] + 1,
+              previousRow[targetIndex] + (sourceChar === targetChar ? 0 : 1)
+            )
+          );
+          return row;
+        },
+        [sourceIndex + 1]
+      ),
+    initialRow
+  );
+
+  return lastRow[target.length];
+}
+
+/**
+ * Splits free text into the runs of consecutive words a name of `wordCount` words is compared
+ * with. Words are separated by anything other than letters and digits.
+ * @param {string} text
+ * @param {number} wordCount
+ * @returns {Array<string>}
+ */
+function getWordRuns(text, wordCount) {
+  const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+  return words
+    .slice(0, Math.max(words.length - wordCount + 1, 0))
+    .map((_, index) => words.slice(index, index + wordCount).join(' '));
+}
+
+/**
+ * Lists what each type of watchlist entry is compared with in an instruction.
+ * @param {{debit_account: string, credit_accounts: Array<string>, reference?: string, narration?: string}} subject
+ * @param {object} entry
+ * @returns {Array<{field: string, candidate: string}>}
+ */
+function getCandidates(subject, entry) {
+  let candidates;
+
+  if (entry.type === 'account') {
+    candidates = [
+      { field: 'debit_account', candidate: subject.debit_account },
+      ...subject.credit_accounts.map((accountId) => ({
+        field: 'credit_account',
+        candidate: accountId,
+      })),
+    ];
+  } else {
+    const wordCount = normalizeValue(entry.value).split(' ').length;
+    const fields = entry.type === 'name' ? ['reference', 'narration'] : ['narration'];
+
+    candidates = fields
+      .filter((field) => subject[field])
+      .flatMap((field) =>
+        getWordRuns(subject[field], wordCount).map((candidate) => ({ field, candidate }))
+      );
+  }
+
+  return candidates;
+}
+
+/**
+ * Compares one watchlist entry with an instruction.
+ * @param {object} subject
+ * @param {import('./get-watchlist-provider').WatchlistEntry} entry
+ * @returns {?ScreeningMatch} The closest match, or null.
+ */
+function matchEntry(subject, entry) {
+  const value = normalizeValue(entry.value);
+  const maxDistance = entry.match === 'fuzzy' ? (entry.max_distance ?? DEFAULT_MAX_DISTANCE) : 0;
+
+  return getCandidates(subject, entry)
+    .map(({ field, candidate }) => ({
+      field,
+      matched: candidate,
+      type: entry.type,
+      value: entry.value,
+      distance: getEditDistance(normalizeValue(candidate), value),
+      action: entry.action || 'block',
+    }))
+    .filter((match) => match.distance <= maxDistance)
+    .reduce(
+      (closest, match) => (closest && closest.distance <= match.distance ? closest : match),
+      null
+    );
+}
+
+/**
+ * Screens an instruction against the watchlist: the account ids against blocked accounts, the
+ * reference and the narration against names, and the narration against keywords. Entries match
+ * exactly or, when fuzzy, within a number of edits.
+ * @param {{debit_account: string, credit_accounts: Array<string>, reference?: string, narration?: string}} subject
+ * @param {{watchlistProvider?: import('./get-watchlist-provider').WatchlistProvider}} [options] -
+ * `watchlistProvider` overrides the configured provider.
+ * @returns {Promise<ScreeningResult>}
+ */
+async function screenInstruction(subject, options = {}) {
+  const watchlistProvider = options.watchlistProvider || getWatchlistProvider();
+  const entries = await watchlistProvider.getEntries();
+
+  const matches = entries.map((entry) => matchEntry(subject, entry)).filter(Boolean);
+
+  let action = 'clear';
+
+  if (matches.some((match) => match.action === 'block')) {
+    action = 'block';
+  } else if (matches.length) {
+    action = 'review';
+  }
+
+  return { action, matches };
+}
+
+module.exports = screenInstruction;
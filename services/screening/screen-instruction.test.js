@@ -0,0 +1,68 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const screenInstruction = require('./screen-instruction');
+
+describe('screenInstruction', () => {
+  const watchlistProvider = {
+    async getEntries() {
+      return [
+        { type: 'account', value: 'ACC-666', action: 'block' },
+        { type: 'name', value: 'Jöhn Doe', match: 'fuzzy', action: 'review' },
+        { type: 'keyword', value: 'weapons', match: 'fuzzy', max_distance: 2, action: 'review' },
+      ];
+    },
+  };
+
+  it('Should clear an instruction that matches nothing on the watchlist', async () => {
+    const result = await screenInstruction(
+      {
+        debit_account: 'ACC-665',
+        credit_accounts: ['b'],
+        reference: 'INV-2025/11',
+        narration: 'John Dobson rent',
+      },
+      { watchlistProvider }
+    );
+
+    expect(result).to.deep.equal({ action: 'clear', matches: [] });
+  });
+
+  it('Should block an instruction paying a blocked account', async () => {
+    const result = await screenInstruction(
+      { debit_account: 'a', credit_accounts: ['b', 'acc-666'], narration: 'Jon Doe' },
+      { watchlistProvider }
+    );
+
+    expect(result.action).to.equal('block');
+    expect(result.matches).to.deep.equal([
+      {
+        field: 'credit_account',
+        matched: 'acc-666',
+        type: 'account',
+        value: 'ACC-666',
+        distance: 0,
+        action: 'block',
+      },
+      {
+        field: 'narration',
+        matched: 'Jon Doe',
+        type: 'name',
+        value: 'Jöhn Doe',
+        distance: 1,
+        action: 'review',
+      },
+    ]);
+  });
+
+  it('Should hold an instruction whose narration is within the edit distance of a keyword', async () => {
+    const result = await screenInstruction(
+      { debit_account: 'a', credit_accounts: ['b'], narration: 'Payment for wepons, urgent' },
+      { watchlistProvider }
+    );
+
+    expect(result.action).to.equal('review');
+    expect(result.matches).to.have.length(1);
+    expect(result.matches[0]).to.include({ field: 'narration', matched: 'wepons', distance: 1 });
+  });
+});
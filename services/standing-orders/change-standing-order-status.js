@@ -0,0 +1,102 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const { StandingOrderMessages, StatusCode } = require('@app/messages');
+const { findNextOccurrence } = require('./recurrence');
+
+const spec = `root {
+  id string<trim|minlength:1>
+  action string(pause|resume|cancel)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// The statuses each action applies to, and the status it leaves the standing order in.
+const STATUS_CHANGES = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  cancel: { from: ['active', 'paused'], to: 'cancelled' },
+};
+
+/**
+ * Works out the values a status change stores on a standing order. Resuming does not make up for
+ * the occurrences that fell due while the order was paused: it moves on to the first occurrence
+ * still to come, and completes the order if there is none left.
+ * @param {object} standingOrder
+ * @param {string} action
+ * @returns {object}
+ */
+function getUpdateValues(standingOrder, action) {
+  const updateValues = { status: STATUS_CHANGES[action].to };
+
+  if (action === 'resume') {
+    const nextOccurrence = findNextOccurrence(
+      standingOrder,
+      standingOrder.next_occurrence,
+      Date.now()
+    );
+
+    Object.assign(
+      updateValues,
+      nextOccurrence
+        ? {
+            next_occurrence: nextOccurrence.occurrence,
+            next_run_by: nextOccurrence.executeBy,
+            next_run_at: nextOccurrence.executeAt,
+          }
+        : { status: 'completed', next_run_by: null, next_run_at: null }
+    );
+  }
+
+  return updateValues;
+}
+
+/**
+ * Pauses, resumes or cancels a standing order. Cancelling also cancels the occurrences that are
+ * stored but not yet executed; a paused order keeps them.
+ * @param {{id: string, action: 'pause'|'resume'|'cancel'}} serviceData
+ * @returns {Promise<object>} The updated standing order.
+ */
+async function changeStandingOrderStatus(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const standingOrder = await StandingOrderRepository.findOne({ query: { _id: data.id } });
+
+  if (!standingOrder) {
+    throwAppError(StandingOrderMessages.STANDING_ORDER_NOT_FOUND(data.id), ERROR_CODE.NOTFOUND);
+  }
+
+  if (!STATUS_CHANGES[data.action].from.includes(standingOrder.status)) {
+    throwAppError(
+      StandingOrderMessages.INVALID_STATUS_CHANGE(data.id, standingOrder.status, data.action),
+      ERROR_CODE.INVLDREQ
+    );
+  }
+
+  const updateValues = getUpdateValues(standingOrder, data.action);
+
+  const updateResult = await StandingOrderRepository.updateOne({
+    query: { _id: data.id, status: standingOrder.status },
+    updateValues,
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(StandingOrderMessages.STATUS_CHANGED(data.id), ERROR_CODE.INVLDREQ);
+  }
+
+  if (data.action === 'cancel') {
+    await PaymentInstructionRepository.updateMany({
+      query: { standing_order_id: data.id, status: 'pending' },
+      updateValues: {
+        status: 'cancelled',
+        status_code: StatusCode.INSTRUCTION_CANCELLED,
+        status_reason: StandingOrderMessages.OCCURRENCE_CANCELLED,
+      },
+    });
+  }
+
+  return { ...standingOrder, ...updateValues };
+}
+
+module.exports = changeStandingOrderStatus;
@@ -0,0 +1,96 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const changeStandingOrderStatus = require('./change-standing-order-status');
+
+describe('changeStandingOrderStatus', () => {
+  const standingOrder = {
+    _id: '01J0000000000000000000000S',
+    frequency_unit: 'WEEK',
+    frequency_interval: 1,
+    start_date: '2026-01-05',
+    time: '09:00',
+    time_zone: 'UTC',
+    until_date: null,
+    next_occurrence: 1,
+    next_run_by: '2026-01-12T09:00:00+00:00',
+    next_run_at: Date.UTC(2026, 0, 12, 9),
+    status: 'active',
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(Date.UTC(2026, 0, 28));
+    sinon
+      .stub(StandingOrderRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon
+      .stub(PaymentInstructionRepository, 'updateMany')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should pause an active order', async () => {
+    sinon.stub(StandingOrderRepository, 'findOne').resolves(standingOrder);
+
+    const result = await changeStandingOrderStatus({ id: standingOrder._id, action: 'pause' });
+
+    expect(result.status).to.equal('paused');
+    expect(StandingOrderRepository.updateOne.firstCall.args[0].query).to.deep.equal({
+      _id: standingOrder._id,
+      status: 'active',
+    });
+    expect(PaymentInstructionRepository.updateMany.called).to.equal(false);
+  });
+
+  it('Should resume a paused order from the first occurrence still to come', async () => {
+    sinon.stub(StandingOrderRepository, 'findOne').resolves({ ...standingOrder, status: 'paused' });
+
+    const result = await changeStandingOrderStatus({ id: standingOrder._id, action: 'resume' });
+
+    expect(result).to.include({
+      status: 'active',
+      next_occurrence: 4,
+      next_run_by: '2026-02-02T09:00:00+00:00',
+    });
+  });
+
+  it('Should cancel an order along with its stored occurrences', async () => {
+    sinon.stub(StandingOrderRepository, 'findOne').resolves({ ...standingOrder, status: 'paused' });
+
+    const result = await changeStandingOrderStatus({ id: standingOrder._id, action: 'cancel' });
+
+    expect(result.status).to.equal('cancelled');
+    expect(PaymentInstructionRepository.updateMany.firstCall.args[0].query).to.deep.equal({
+      standing_order_id: standingOrder._id,
+      status: 'pending',
+    });
+  });
+
+  it('Should reject a change the current status does not allow, or an unknown order', async () => {
+    const findOne = sinon.stub(StandingOrderRepository, 'findOne');
+    findOne.resolves({ ...standingOrder, status: 'cancelled' });
+
+    try {
+      await changeStandingOrderStatus({ id: standingOrder._id, action: 'resume' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.INVLDREQ);
+    }
+
+    findOne.resolves(null);
+
+    try {
+      await changeStandingOrderStatus({ id: standingOrder._id, action: 'pause' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.NOTFOUND);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const storePendingInstruction = require('@app/services/payment-processor/store-pending-instruction');
+const { findNextOccurrence } = require('./recurrence');
+
+const DEFAULT_SWEEP_LIMIT = 100;
+
+const spec = `root {
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores the due occurrence of a standing order as a pending instruction and moves the order on
+ * to its next occurrence, or completes it after the last one. Both happen in one transaction, and
+ * the order only moves on if no overlapping sweep moved it first.
+ * @param {object} standingOrder
+ * @param {{session?: import('mongoose').ClientSession}} options
+ * @returns {Promise<?string>} The resulting status of the standing order, or null if another
+ * sweep took the occurrence.
+ */
+async function createOccurrence(standingOrder, options) {
+  const nextOccurrence = findNextOccurrence(standingOrder, standingOrder.next_occurrence + 1);
+  const updateValues = nextOccurrence
+    ? {
+        next_occurrence: nextOccurrence.occurrence,
+        next_run_by: nextOccurrence.executeBy,
+        next_run_at: nextOccurrence.executeAt,
+      }
+    : { status: 'completed', next_run_by: null, next_run_at: null };
+
+  let result = null;
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const updateResult = await StandingOrderRepository.updateOne({
+      query: {
+        _id: standingOrder._id,
+        status: 'active',
+        next_occurrence: standingOrder.next_occurrence,
+      },
+      updateValues,
+      options: { session: sessionToUse },
+    });
+
+    if (updateResult.modifiedCount === 1) {
+      await storePendingInstruction(
+        {
+          instruction: standingOrder.instruction,
+          locale: standingOrder.locale,
+          client_id: standingOrder.client_id,
+          type: standingOrder.type,
+          amount: standingOrder.amount,
+          currency: standingOrder.currency,
+          debit_account: standingOrder.debit_account,
+          credit_account: standingOrder.credit_account,
+          reference: standingOrder.reference,
+          narration: standingOrder.narration,
+          execute_by: standingOrder.next_run_by,
+          standing_order_id: standingOrder._id,
+          occurrence: standingOrder.next_occurrence,
+        },
+        { session: sessionToUse }
+      );
+      result = updateValues.status || 'active';
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'create-standing-order-occurrence-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Stores the due occurrences of the active standing orders as pending instructions, which the
+ * scheduled-instructions worker then executes, each with its own status. One occurrence per order
+ * is stored per sweep, so an order that fell behind catches up over the following sweeps.
+ * @param {{limit?: number}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{created: number, completed: number}>}
+ */
+async function createDueOccurrences(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const dueStandingOrders = await StandingOrderRepository.findMany({
+    query: { status: 'active', next_run_at: { $lte: Date.now() } },
+    options: { sort: { next_run_at: 1 }, limit: data.limit || DEFAULT_SWEEP_LIMIT },
+  });
+
+  const summary = { created: 0, completed: 0 };
+
+  await dueStandingOrders.reduce(async (previous, standingOrder) => {
+    await previous;
+
+    const status = await createOccurrence(standingOrder, options);
+
+    if (!status) return;
+
+    summary.created += 1;
+    if (status === 'completed') summary.completed += 1;
+  }, Promise.resolve());
+
+  return summary;
+}
+
+module.exports = createDueOccurrences;
@@ -0,0 +1,100 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const PaymentInstructionRepository = require('@app/repository/payment-instruction');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const createDueOccurrences = require('./create-due-occurrences');
+
+describe('createDueOccurrences', () => {
+  const session = {};
+  const standingOrder = {
+    _id: '01J0000000000000000000000S',
+    instruction: 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH ON 2026-01-31',
+    type: 'DEBIT',
+    amount: 50,
+    currency: 'GBP',
+    debit_account: 'a',
+    credit_account: 'b',
+    reference: null,
+    narration: null,
+    frequency_unit: 'MONTH',
+    frequency_interval: 1,
+    start_date: '2026-01-31',
+    time: '00:00',
+    time_zone: 'UTC',
+    until_date: '2026-03-31',
+    next_occurrence: 0,
+    next_run_by: '2026-01-31T00:00:00+00:00',
+    next_run_at: Date.UTC(2026, 0, 31),
+    status: 'active',
+  };
+
+  beforeEach(() => {
+    sinon.useFakeTimers(Date.UTC(2026, 0, 31, 8));
+    sinon
+      .stub(StandingOrderRepository, 'updateOne')
+      .resolves({ acknowledged: true, modifiedCount: 1 });
+    sinon
+      .stub(PaymentInstructionRepository, 'create')
+      .callsFake(async (record) => ({ _id: '01J0000000000000000000000P', ...record }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should store the due occurrence and move the order on to the next one', async () => {
+    sinon.stub(StandingOrderRepository, 'findMany').resolves([standingOrder]);
+
+    const summary = await createDueOccurrences({}, { session });
+
+    expect(summary).to.deep.equal({ created: 1, completed: 0 });
+    expect(PaymentInstructionRepository.create.firstCall.args[0]).to.include({
+      instruction: standingOrder.instruction,
+      execute_by: '2026-01-31T00:00:00+00:00',
+      execute_at: Date.UTC(2026, 0, 31),
+      status: 'pending',
+      standing_order_id: standingOrder._id,
+      occurrence: 0,
+    });
+    expect(StandingOrderRepository.updateOne.firstCall.args[0]).to.deep.include({
+      query: { _id: standingOrder._id, status: 'active', next_occurrence: 0 },
+      updateValues: {
+        next_occurrence: 1,
+        next_run_by: '2026-02-28T00:00:00+00:00',
+        next_run_at: Date.UTC(2026, 1, 28),
+      },
+    });
+  });
+
+  it('Should complete the order after its last occurrence', async () => {
+    sinon.stub(StandingOrderRepository, 'findMany').resolves([
+      {
+        ...standingOrder,
+        next_occurrence: 2,
+        next_run_by: '2026-03-31T00:00:00+00:00',
+        next_run_at: Date.UTC(2026, 2, 31),
+      },
+    ]);
+
+    const summary = await createDueOccurrences({}, { session });
+
+    expect(summary).to.deep.equal({ created: 1, completed: 1 });
+    expect(StandingOrderRepository.updateOne.firstCall.args[0].updateValues).to.deep.equal({
+      status: 'completed',
+      next_run_by: null,
+      next_run_at: null,
+    });
+  });
+
+  it('Should skip an occurrence already taken by another sweep', async () => {
+    sinon.stub(StandingOrderRepository, 'findMany').resolves([standingOrder]);
+    StandingOrderRepository.updateOne.resolves({ acknowledged: true, modifiedCount: 0 });
+
+    const summary = await createDueOccurrences({}, { session });
+
+    expect(summary).to.deep.equal({ created: 0, completed: 0 });
+    expect(PaymentInstructionRepository.create.called).to.equal(false);
+  });
+});
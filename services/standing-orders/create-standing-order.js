@@ -0,0 +1,63 @@
+const validator = require('@app-core/validator');
+const StandingOrderRepository = require('@app/repository/standing-order');
+const { getOccurrence } = require('./recurrence');
+
+const spec = `root {
+  instruction string
+  locale? string
+  client_id? string
+  type string
+  amount number
+  currency string
+  debit_account string
+  credit_account any
+  reference any
+  narration any
+  recurrence {
+    every number
+    unit string
+    start_date string
+    time string
+    time_zone string
+    until any
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores a standing order. Its first occurrence falls on the start date; the standing-order
+ * worker stores every occurrence as a pending instruction when it falls due.
+ * @param {object} serviceData - The instruction string and the standing order response.
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{standing_order_id: string}>}
+ */
+async function createStandingOrder(serviceData, options = {}) {
+  const { recurrence, ...data } = validator.validate(serviceData, parsedSpec);
+
+  const schedule = {
+    start_date: recurrence.start_date,
+    time: recurrence.time,
+    time_zone: recurrence.time_zone,
+    frequency_unit: recurrence.unit,
+    frequency_interval: recurrence.every,
+    until_date: recurrence.until,
+  };
+  const firstOccurrence = getOccurrence(schedule, 0);
+
+  const record = await StandingOrderRepository.create(
+    {
+      ...data,
+      ...schedule,
+      next_occurrence: 0,
+      next_run_by: firstOccurrence.executeBy,
+      next_run_at: firstOccurrence.executeAt,
+      status: 'active',
+    },
+    { session: options.session }
+  );
+
+  return { standing_order_id: record._id };
+}
+
+module.exports = createStandingOrder;
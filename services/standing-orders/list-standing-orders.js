@@ -0,0 +1,26 @@
+const validator = require('@app-core/validator');
+const StandingOrderRepository = require('@app/repository/standing-order');
+
+const spec = `root {
+  status? string(active|paused|cancelled|completed)
+  debit_account? string<trim|minlength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Lists the standing orders, newest first, optionally only those in a status or debiting an
+ * account.
+ * @param {{status?: string, debit_account?: string}} serviceData - Usually the request query.
+ * @returns {Promise<Array<object>>}
+ */
+async function listStandingOrders(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  return StandingOrderRepository.findMany({
+    query: { ...data },
+    options: { sort: { created: -1 } },
+  });
+}
+
+module.exports = listStandingOrders;
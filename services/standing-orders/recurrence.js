@@ -0,0 +1,96 @@
+const { parseTimeZone, toInstant, formatInstant } = require('../payment-processor/execution-time');
+
+/**
+ * A standing order as stored, as far as its schedule goes.
+ * @typedef {Object} RecurringSchedule
+ * @property {string} start_date - The YYYY-MM-DD date of the first occurrence.
+ * @property {string} time - The HH:MM time of day every occurrence is due.
+ * @property {string} time_zone - The timezone the date and time are in.
+ * @property {string} frequency_unit - DAY, WEEK or MONTH.
+ * @property {number} frequency_interval - How many units separate two occurrences.
+ * @property {?string} until_date - The YYYY-MM-DD date after which no occurrence is due.
+ */
+
+/**
+ * @typedef {Object} Occurrence
+ * @property {number} occurrence - The zero-based number of the occurrence.
+ * @property {string} date - Its YYYY-MM-DD date.
+ * @property {number} executeAt - When it is due, in milliseconds since the epoch.
+ * @property {string} executeBy - The same instant as an ISO 8601 timestamp in the order's timezone.
+ */
+
+/**
+ * Works out the date of an occurrence. Occurrences are counted from the start date rather than
+ * from one another, so a monthly order keeps the day of the month it started on. In a month that
+ * is too short for that day the occurrence falls on the last day of the month instead: an order
+ * starting on 31 January runs on 28 (or 29) February, 31 March, 30 April and so on.
+ * @param {string} startDate - The YYYY-MM-DD date of the first occurrence.
+ * @param {{unit: string, interval: number}} frequency
+ * @param {number} occurrence - The zero-based number of the occurrence.
+ * @returns {string} The YYYY-MM-DD date of the occurrence.
+ */
+function getOccurrenceDate(startDate, frequency, occurrence) {
+  const [year, month, day] = startDate.split('-').map(Number);
+  const steps = frequency.interval * occurrence;
+  let date;
+
+  if (frequency.unit === 'MONTH') {
+    const monthIndex = month - 1 + steps;
+    const lastDayOfMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+    date = new Date(Date.UTC(year, monthIndex, Math.min(day, lastDayOfMonth)));
+  } else {
+    date = new Date(Date.UTC(year, month - 1, day + steps * (frequency.unit === 'WEEK' ? 7 : 1)));
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Works out when an occurrence of a standing order is due. Every occurrence is due at the same
+ * wall-clock time in the order's timezone, whatever daylight-saving change happens in between.
+ * @param {RecurringSchedule} standingOrder
+ * @param {number} occurrence - The zero-based number of the occurrence.
+ * @returns {?Occurrence} null if the occurrence falls after the until date.
+ */
+function getOccurrence(standingOrder, occurrence) {
+  const date = getOccurrenceDate(
+    standingOrder.start_date,
+    { unit: standingOrder.frequency_unit, interval: standingOrder.frequency_interval },
+    occurrence
+  );
+
+  if (standingOrder.until_date && date > standingOrder.until_date) {
+    return null;
+  }
+
+  const timeZone = parseTimeZone(standingOrder.time_zone);
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = standingOrder.time.split(':').map(Number);
+  const executeAt = toInstant({ year, month, day, hours, minutes }, timeZone);
+
+  return { occurrence, date, executeAt, executeBy: formatInstant(executeAt, timeZone) };
+}
+
+/**
+ * Finds the first occurrence from a given one on that is not due before an instant.
+ * @param {RecurringSchedule} standingOrder
+ * @param {number} fromOccurrence - The zero-based number of the first candidate occurrence.
+ * @param {number} [notBefore] - Milliseconds since the epoch; earlier occurrences are skipped.
+ * @returns {?Occurrence} null once the until date is passed.
+ */
+function findNextOccurrence(standingOrder, fromOccurrence, notBefore = -Infinity) {
+  let candidate = getOccurrence(standingOrder, fromOccurrence);
+
+  while (candidate && candidate.executeAt < notBefore) {
+    candidate = getOccurrence(standingOrder, candidate.occurrence + 1);
+  }
+
+  return candidate;
+}
+
+module.exports = {
+  getOccurrenceDate,
+  getOccurrence,
+  findNextOccurrence,
+};
@@ -0,0 +1,46 @@
+const chai = require('chai');
+
+const { expect } = chai;
+const { getOccurrenceDate, getOccurrence, findNextOccurrence } = require('./recurrence');
+
+describe('standing order recurrence', () => {
+  const monthly = {
+    start_date: '2026-01-31',
+    time: '09:00',
+    time_zone: 'Europe/London',
+    frequency_unit: 'MONTH',
+    frequency_interval: 1,
+    until_date: '2026-05-01',
+  };
+
+  it('Should clamp a monthly occurrence to the end of a short month and keep the start day', () => {
+    const dates = [0, 1, 2, 3].map((occurrence) =>
+      getOccurrenceDate('2026-01-31', { unit: 'MONTH', interval: 1 }, occurrence)
+    );
+
+    expect(dates).to.deep.equal(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(getOccurrenceDate('2027-12-29', { unit: 'MONTH', interval: 2 }, 1)).to.equal(
+      '2028-02-29'
+    );
+  });
+
+  it('Should count days and weeks across month and year ends', () => {
+    expect(getOccurrenceDate('2026-12-28', { unit: 'WEEK', interval: 2 }, 1)).to.equal(
+      '2027-01-11'
+    );
+    expect(getOccurrenceDate('2026-02-27', { unit: 'DAY', interval: 3 }, 1)).to.equal('2026-03-02');
+  });
+
+  it('Should keep the time of day across a daylight-saving change and stop after the until date', () => {
+    expect(getOccurrence(monthly, 2).executeBy).to.equal('2026-03-31T09:00:00+01:00');
+    expect(getOccurrence(monthly, 1).executeBy).to.equal('2026-02-28T09:00:00+00:00');
+    expect(getOccurrence(monthly, 4)).to.equal(null);
+  });
+
+  it('Should skip the occurrences due before an instant', () => {
+    const next = findNextOccurrence(monthly, 0, Date.UTC(2026, 2, 1));
+
+    expect(next).to.include({ occurrence: 2, date: '2026-03-31' });
+    expect(findNextOccurrence(monthly, 0, Date.UTC(2026, 5, 1))).to.equal(null);
+  });
+});
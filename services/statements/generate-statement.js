@@ -0,0 +1,254 @@
+const { Transform } = require('stream');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const AccountRepository = require('@app/repository/account');
+const TransactionRepository = require('@app/repository/transaction');
+const { StatementMessages } = require('@app/messages');
+const { loadCurrencyRegistry, getCurrency } = require('../currency-registry/currency-registry');
+const { toCsvRow } = require('../csv/csv-format');
+
+const DAY_MILLIS = 86_400_000;
+const DEFAULT_MINOR_UNITS = 2;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CSV_COLUMNS = [
+  'date',
+  'transaction_id',
+  'transfer_id',
+  'type',
+  'reference',
+  'narration',
+  'counterparty',
+  'debit',
+  'credit',
+  'balance',
+];
+
+const spec = `root {
+  account_id string<trim|minlength:1>
+  from string<trim>
+  to string<trim>
+  format? string(json|csv)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @typedef {Object} StatementEntry
+ * @property {string} date - When the entry was posted, as an ISO timestamp.
+ * @property {string} transaction_id
+ * @property {string} transfer_id
+ * @property {string} type - DEBIT, CREDIT, REVERSE or FEE.
+ * @property {?number} debit - The amount taken from the account, or null for a credit.
+ * @property {?number} credit - The amount paid into the account, or null for a debit.
+ * @property {number} running_balance - The balance of the account after the entry.
+ * @property {?string} reference
+ * @property {?string} narration
+ * @property {?string} counterparty - The other account of the transfer.
+ */
+
+/**
+ * Reads a YYYY-MM-DD date as the start of that day in UTC.
+ * @param {string} field - from or to, for the error message.
+ * @param {string} value
+ * @returns {number} The instant in milliseconds.
+ */
+function parseStatementDate(field, value) {
+  const instant = DATE_PATTERN.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+
+  // Date.parse rolls impossible days such as 2024-02-30 over; the round trip catches them.
+  if (Number.isNaN(instant) || new Date(instant).toISOString().slice(0, 10) !== value) {
+    throwAppError(StatementMessages.INVALID_DATE(field, value), ERROR_CODE.VALIDATIONERR);
+  }
+
+  return instant;
+}
+
+/**
+ * Returns the balance of an account when a period starts: the balance after the last entry
+ * before it, else the balance before its first entry, else the current balance of an account
+ * that has not moved since.
+ * @param {object} account
+ * @param {number} start - The start of the period in milliseconds.
+ * @returns {Promise<number>}
+ */
+async function getOpeningBalance(account, start) {
+  const lastEntryBefore = await TransactionRepository.findOne({
+    query: { account_id: account.account_id, created: { $lt: start } },
+    options: { sort: { created: -1, _id: -1 } },
+  });
+  let openingBalance = account.balance;
+
+  if (lastEntryBefore) {
+    openingBalance = lastEntryBefore.balance_after;
+  } else {
+    const firstEntryFrom = await TransactionRepository.findOne({
+      query: { account_id: account.account_id, created: { $gte: start } },
+      options: { sort: { created: 1, _id: 1 } },
+    });
+
+    if (firstEntryFrom) {
+      openingBalance = firstEntryFrom.balance_before;
+    }
+  }
+
+  return openingBalance;
+}
+
+/**
+ * Turns a ledger entry into a statement line.
+ * @param {object} transaction - A ledger entry of the account.
+ * @returns {StatementEntry}
+ */
+function toStatementEntry(transaction) {
+  const isDebit = transaction.direction === 'debit';
+
+  return {
+    date: new Date(transaction.created).toISOString(),
+    transaction_id: transaction._id,
+    transfer_id: transaction.transfer_id,
+    type: transaction.type,
+    debit: isDebit ? transaction.amount : null,
+    credit: isDebit ? null : transaction.amount,
+    running_balance: transaction.balance_after,
+    reference: transaction.reference || null,
+    narration: transaction.narration || null,
+    counterparty: transaction.counterparty_account || null,
+  };
+}
+
+/**
+ * Writes one CSV line, amounts with the number of decimal places of the account currency.
+ * @param {object} line - A StatementEntry, or a balance line with only date, type and balance.
+ * @param {number} exponent - The minor-unit exponent of the account currency.
+ * @returns {string}
+ */
+function toCsvLine(line, exponent) {
+  const formatted = {
+    ...line,
+    debit: typeof line.debit === 'number' ? line.debit.toFixed(exponent) : null,
+    credit: typeof line.credit === 'number' ? line.credit.toFixed(exponent) : null,
+    balance: line.running_balance.toFixed(exponent),
+  };
+
+  return toCsvRow(CSV_COLUMNS.map((column) => formatted[column]));
+}
+
+/**
+ * Creates the stream that turns ledger entries into the lines of a CSV statement: the header and
+ * the opening balance first, one line per entry and the closing balance last.
+ * @param {{from: string, to: string, opening_balance: number, exponent: number}} statement
+ * @returns {import('stream').Transform}
+ */
+function createCsvStatementStream(statement) {
+  let balance = statement.opening_balance;
+
+  return new Transform({
+    writableObjectMode: true,
+    construct(callback) {
+      this.push(toCsvRow(CSV_COLUMNS));
+      this.push(
+        toCsvLine(
+          { date: statement.from, type: 'OPENING_BALANCE', running_balance: balance },
+          statement.exponent
+        )
+      );
+      callback();
+    },
+    transform(transaction, _, callback) {
+      balance = transaction.balance_after;
+      callback(null, toCsvLine(toStatementEntry(transaction), statement.exponent));
+    },
+    flush(callback) {
+      callback(
+        null,
+        toCsvLine(
+          { date: statement.to, type: 'CLOSING_BALANCE', running_balance: balance },
+          statement.exponent
+        )
+      );
+    },
+  });
+}
+
+/**
+ * Generates the statement of an account for the days from `from` to `to`, both included and in
+ * UTC: the opening balance, every debit and credit with the balance after it, and the closing
+ * balance. As JSON the statement is returned whole. As CSV the entries are read with a cursor and
+ * streamed, so long periods are never held in memory.
+ * @param {{account_id: string, from: string, to: string, format?: 'json'|'csv'}} serviceData
+ * @returns {Promise<object|{filename: string, stream: import('stream').Readable}>} The statement,
+ * or for CSV its file name and the stream of its content.
+ */
+async function generateStatement(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const start = parseStatementDate('from', data.from);
+  const end = parseStatementDate('to', data.to) + DAY_MILLIS;
+
+  if (end <= start) {
+    throwAppError(StatementMessages.INVALID_PERIOD(data.from, data.to), ERROR_CODE.VALIDATIONERR);
+  }
+
+  const account = await AccountRepository.findOne({ query: { account_id: data.account_id } });
+
+  if (!account) {
+    throwAppError(StatementMessages.ACCOUNT_NOT_FOUND(data.account_id), ERROR_CODE.NOTFOUND);
+  }
+
+  await loadCurrencyRegistry();
+  const exponent = getCurrency(account.currency)?.minor_units ?? DEFAULT_MINOR_UNITS;
+  const openingBalance = await getOpeningBalance(account, start);
+  const query = { account_id: account.account_id, created: { $gte: start, $lt: end } };
+  const sort = { created: 1, _id: 1 };
+
+  let statement;
+
+  if (data.format === 'csv') {
+    const cursor = TransactionRepository.raw().find(query).sort(sort).lean().cursor();
+    const csvStream = createCsvStatementStream({
+      from: data.from,
+      to: data.to,
+      opening_balance: openingBalance,
+      exponent,
+    });
+
+    // A cursor error destroys the CSV stream, which fails the response it is piped to.
+    cursor.on('error', (error) => csvStream.destroy(error));
+    cursor.pipe(csvStream);
+
+    statement = {
+      filename: `statement-${account.account_id}-${data.from}-${data.to}.csv`,
+      stream: csvStream,
+    };
+  } else {
+    const transactions = await TransactionRepository.findMany({ query, options: { sort } });
+    const entries = transactions.map(toStatementEntry);
+    // Totals are added in minor units so that they carry no floating-point residue.
+    const sumOf = (direction) =>
+      transactions
+        .filter((transaction) => transaction.direction === direction)
+        .reduce(
+          (total, transaction) => total + Math.round(transaction.amount * 10 ** exponent),
+          0
+        ) /
+      10 ** exponent;
+
+    statement = {
+      account_id: account.account_id,
+      currency: account.currency,
+      from: data.from,
+      to: data.to,
+      opening_balance: openingBalance,
+      closing_balance: entries.length
+        ? entries[entries.length - 1].running_balance
+        : openingBalance,
+      total_debits: sumOf('debit'),
+      total_credits: sumOf('credit'),
+      entries,
+    };
+  }
+
+  return statement;
+}
+
+module.exports = generateStatement;
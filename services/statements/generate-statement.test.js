@@ -0,0 +1,228 @@
+const { Readable } = require('stream');
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+const { ERROR_CODE } = require('@app-core/errors');
+const AccountRepository = require('@app/repository/account');
+const TransactionRepository = require('@app/repository/transaction');
+const generateStatement = require('./generate-statement');
+
+/**
+ * Creates a stream of documents, as a cursor would read them.
+ * @param {Array<object>} documents
+ * @returns {import('stream').Readable}
+ */
+function createCursor(documents) {
+  const remaining = [...documents];
+
+  return new Readable({
+    objectMode: true,
+    read() {
+      this.push(remaining.length ? remaining.shift() : null);
+    },
+  });
+}
+
+/**
+ * Reads a stream to the end.
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<string>}
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let content = '';
+    stream.on('data', (chunk) => {
+      content += chunk;
+    });
+    stream.on('end', () => resolve(content));
+    stream.on('error', reject);
+  });
+}
+
+describe('generateStatement', () => {
+  const account = { account_id: 'a', balance: 450.5, currency: 'USD' };
+  const entryBefore = {
+    _id: '01J00000000000000000000001',
+    transfer_id: 't1',
+    account_id: 'a',
+    direction: 'credit',
+    amount: 500,
+    balance_before: 0,
+    balance_after: 500,
+    created: new Date('2025-10-31T23:00:00.000Z').getTime(),
+  };
+  const entries = [
+    {
+      _id: '01J00000000000000000000002',
+      transfer_id: 't2',
+      account_id: 'a',
+      direction: 'debit',
+      amount: 100.1,
+      balance_before: 500,
+      balance_after: 399.9,
+      type: 'DEBIT',
+      counterparty_account: 'b',
+      reference: 'INV-1',
+      narration: 'Rent, November',
+      created: new Date('2025-11-01T09:00:00.000Z').getTime(),
+    },
+    {
+      _id: '01J00000000000000000000003',
+      transfer_id: 't3',
+      account_id: 'a',
+      direction: 'credit',
+      amount: 50.6,
+      balance_before: 399.9,
+      balance_after: 450.5,
+      type: 'CREDIT',
+      counterparty_account: 'c',
+      narration: '=HYPERLINK("x")',
+      created: new Date('2025-11-02T09:00:00.000Z').getTime(),
+    },
+  ];
+
+  beforeEach(() => {
+    sinon.stub(AccountRepository, 'findOne').resolves(account);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('Should return the opening balance, every entry with its running balance and the closing balance', async () => {
+    sinon.stub(TransactionRepository, 'findOne').resolves(entryBefore);
+    const findManyStub = sinon.stub(TransactionRepository, 'findMany').resolves(entries);
+
+    const statement = await generateStatement({
+      account_id: 'a',
+      from: '2025-11-01',
+      to: '2025-11-30',
+    });
+
+    expect(findManyStub.firstCall.args[0].query).to.deep.equal({
+      account_id: 'a',
+      created: {
+        $gte: new Date('2025-11-01T00:00:00.000Z').getTime(),
+        $lt: new Date('2025-12-01T00:00:00.000Z').getTime(),
+      },
+    });
+    expect(statement).to.include({
+      account_id: 'a',
+      currency: 'USD',
+      opening_balance: 500,
+      closing_balance: 450.5,
+      total_debits: 100.1,
+      total_credits: 50.6,
+    });
+    expect(statement.entries[0]).to.deep.equal({
+      date: '2025-11-01T09:00:00.000Z',
+      transaction_id: '01J00000000000000000000002',
+      transfer_id: 't2',
+      type: 'DEBIT',
+      debit: 100.1,
+      credit: null,
+      running_balance: 399.9,
+      reference: 'INV-1',
+      narration: 'Rent, November',
+      counterparty: 'b',
+    });
+    expect(statement.entries[1]).to.include({ debit: null, credit: 50.6, running_balance: 450.5 });
+  });
+
+  it('Should open and close at the current balance when the account has not moved since', async () => {
+    sinon.stub(TransactionRepository, 'findOne').resolves(null);
+    sinon.stub(TransactionRepository, 'findMany').resolves([]);
+
+    const statement = await generateStatement({
+      account_id: 'a',
+      from: '2025-12-01',
+      to: '2025-12-31',
+    });
+
+    expect(statement).to.include({ opening_balance: 450.5, closing_balance: 450.5 });
+    expect(statement.entries).to.deep.equal([]);
+  });
+
+  it('Should stream a CSV statement from a cursor', async () => {
+    sinon.stub(TransactionRepository, 'findOne').resolves(entryBefore);
+    const findStub = sinon.stub().returns({
+      sort: () => ({ lean: () => ({ cursor: () => createCursor(entries) }) }),
+    });
+    sinon.stub(TransactionRepository, 'raw').returns({ find: findStub });
+
+    const statement = await generateStatement({
+      account_id: 'a',
+      from: '2025-11-01',
+      to: '2025-11-30',
+      format: 'csv',
+    });
+
+    expect(statement.filename).to.equal('statement-a-2025-11-01-2025-11-30.csv');
+    expect((await readStream(statement.stream)).split('\r\n')).to.deep.equal([
+      'date,transaction_id,transfer_id,type,reference,narration,counterparty,debit,credit,balance',
+      '2025-11-01,,,OPENING_BALANCE,,,,,,500.00',
+      '2025-11-01T09:00:00.000Z,01J00000000000000000000002,t2,DEBIT,INV-1,"Rent, November",b,100.10,,399.90',
+      '2025-11-02T09:00:00.000Z,01J00000000000000000000003,t3,CREDIT,,"\'=HYPERLINK(""x"")",c,,50.60,450.50',
+      '2025-11-30,,,CLOSING_BALANCE,,,,,,450.50',
+      '',
+    ]);
+  });
+
+  it('Should write negative amounts and balances of an overdrawn account as numbers', async () => {
+    const overdraft = {
+      ...entries[0],
+      amount: 520.5,
+      balance_before: 500,
+      balance_after: -20.5,
+      narration: '-cash',
+    };
+    sinon.stub(TransactionRepository, 'findOne').resolves(entryBefore);
+    const findStub = sinon.stub().returns({
+      sort: () => ({ lean: () => ({ cursor: () => createCursor([overdraft]) }) }),
+    });
+    sinon.stub(TransactionRepository, 'raw').returns({ find: findStub });
+
+    const statement = await generateStatement({
+      account_id: 'a',
+      from: '2025-11-01',
+      to: '2025-11-30',
+      format: 'csv',
+    });
+
+    expect((await readStream(statement.stream)).split('\r\n').slice(2, 4)).to.deep.equal([
+      "2025-11-01T09:00:00.000Z,01J00000000000000000000002,t2,DEBIT,INV-1,'-cash,b,520.50,,-20.50",
+      '2025-11-30,,,CLOSING_BALANCE,,,,,,-20.50',
+    ]);
+  });
+
+  it('Should reject a period that ends before it starts', async () => {
+    try {
+      await generateStatement({ account_id: 'a', from: '2025-11-30', to: '2025-11-01' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+    }
+  });
+
+  it('Should reject a date that does not exist', async () => {
+    try {
+      await generateStatement({ account_id: 'a', from: '2025-02-30', to: '2025-03-01' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+      expect(error.message).to.include('2025-02-30');
+    }
+  });
+
+  it('Should throw when the account does not exist', async () => {
+    AccountRepository.findOne.resolves(null);
+
+    try {
+      await generateStatement({ account_id: 'z', from: '2025-11-01', to: '2025-11-30' });
+      throw new Error('Test failed: Should have thrown an error.');
+    } catch (error) {
+      expect(error.errorCode).to.equal(ERROR_CODE.NOTFOUND);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const INSTRUCTION_VOCABULARIES_FILE =
+  process.env.INSTRUCTION_VOCABULARIES_FILE || path.join(__dirname, 'vocabularies.json');
+
+/**
+ * The instruction vocabularies. Each locale maps canonical keywords (`DEBIT`, `FROM`, `ON`, ...)
+ * to the words that spell them, the first of which is the one named in parse errors. A keyword a
+ * locale leaves out keeps its canonical spelling, and canonical keywords are understood in every
+ * locale, so that the canonical form of an instruction always parses.
+ * @typedef {Object} VocabularyConfig
+ * @property {string} default_locale - The locale of requests that ask for none, or for none of
+ * the configured ones.
+ * @property {Object<string, Object<string, Array<string>>>} locales - The words of each locale,
+ * keyed by lower-case language tag (`en`, `fr`, `fr-ca`).
+ */
+
+/**
+ * A keyword vocabulary of the instruction grammar.
+ * @typedef {Object} Vocabulary
+ * @property {string} locale - The configured locale the vocabulary belongs to.
+ * @property {function(?{value: string}, Array<string>): (string|undefined)} match - Returns the
+ * first of the canonical keywords that the token spells, if any.
+ * @property {function(string): string} spell - Returns how the locale writes a canonical keyword;
+ * anything else, such as a `<placeholder>`, is returned as is.
+ */
+
+let vocabularyConfig;
+const vocabularies = new Map();
+
+/**
+ * Reads the vocabularies once, from services/vocabulary/vocabularies.json unless
+ * INSTRUCTION_VOCABULARIES_FILE is set.
+ * @returns {VocabularyConfig}
+ */
+function loadVocabularyConfig() {
+  vocabularyConfig =
+    vocabularyConfig || JSON.parse(fs.readFileSync(INSTRUCTION_VOCABULARIES_FILE, 'utf8'));
+  return vocabularyConfig;
+}
+
+/**
+ * Puts a word in the form keywords are compared in: upper case, without accents, so that
+ * `débiter` matches `DÉBITER` and `DEBITER`.
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Picks the configured locale of a request from a `locale` such as `fr-CA`, or from an
+ * `Accept-Language` header such as `fr-CH, fr;q=0.9, en;q=0.8`. Languages are tried by
+ * preference, each as given and then without its region.
+ * @param {string} [requested]
+ * @returns {string}
+ */
+function resolveLocale(requested) {
+  const config = loadVocabularyConfig();
+
+  const tags = String(requested || '')
+    .split(',')
+    .map((entry) => {
+      const [tag, ...parameters] = entry.split(';').map((part) => part.trim());
+      const quality = parameters.find((parameter) => parameter.startsWith('q='));
+
+      return {
+        tag: tag.toLowerCase().replace('_', '-'),
+        quality: quality ? Number(quality.slice(2)) : 1,
+      };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((first, second) => second.quality - first.quality)
+    .flatMap(({ tag }) => [tag, tag.split('-')[0]]);
+
+  return tags.find((tag) => config.locales[tag]) || config.default_locale;
+}
+
+/**
+ * Returns the keyword vocabulary of the locale a request asks for, or of the default locale.
+ * @param {string} [requested] - A locale or an `Accept-Language` header value.
+ * @returns {Vocabulary}
+ */
+function getVocabulary(requested) {
+  const locale = resolveLocale(requested);
+
+  if (!vocabularies.has(locale)) {
+    const words = loadVocabularyConfig().locales[locale];
+    const spellingsOf = (keyword) => words[keyword] || [keyword];
+
+    vocabularies.set(locale, {
+      locale,
+      match: (token, keywords) => {
+        const word = token ? normalizeWord(token.value) : null;
+        return keywords.find((keyword) =>
+          [keyword, ...spellingsOf(keyword)].some((spelling) => normalizeWord(spelling) === word)
+        );
+      },
+      spell: (keyword) => spellingsOf(keyword)[0],
+    });
+  }
+
+  return vocabularies.get(locale);
+}
+
+module.exports = getVocabulary;
@@ -0,0 +1,17 @@
+const { appLogger } = require('@app-core/logger');
+const createDueOccurrences = require('@app/services/standing-orders/create-due-occurrences');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  scheduler_options: { attempts: 1, removeOnComplete: true },
+  processor_name: 'create-standing-order-occurrences',
+  async processor(job) {
+    const summary = await createDueOccurrences(job.data || {});
+    appLogger.info(
+      { label: 'STANDING ORDERS', jobId: job.id, summary },
+      'Standing order occurrences created'
+    );
+    return summary;
+  },
+};
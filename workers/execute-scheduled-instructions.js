@@ -0,0 +1,17 @@
+const { appLogger } = require('@app-core/logger');
+const executeScheduledInstructions = require('@app/services/payment-processor/execute-scheduled-instructions');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  scheduler_options: { attempts: 1, removeOnComplete: true },
+  processor_name: 'execute-scheduled-instructions',
+  async processor(job) {
+    const summary = await executeScheduledInstructions(job.data || {});
+    appLogger.info(
+      { label: 'SCHEDULED INSTRUCTIONS', jobId: job.id, summary },
+      'Scheduled instructions executed'
+    );
+    return summary;
+  },
+};
@@ -1,6 +1,12 @@
 const { createWorker } = require('../core/queue');
+const createStandingOrderOccurrences = require('./create-standing-order-occurrences');
 const echoLoginValidation = require('./echo-login-validation');
+const executeScheduledInstructions = require('./execute-scheduled-instructions');
+const processBulkUpload = require('./process-bulk-upload');
 
 module.exports = {
+  createStandingOrderOccurrences: createWorker(createStandingOrderOccurrences),
   echoLoginValidation: createWorker(echoLoginValidation),
+  executeScheduledInstructions: createWorker(executeScheduledInstructions),
+  processBulkUpload: createWorker(processBulkUpload),
 };
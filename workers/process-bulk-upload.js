@@ -0,0 +1,14 @@
+const { appLogger } = require('@app-core/logger');
+const processBulkUpload = require('@app/services/bulk-uploads/process-bulk-upload');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  scheduler_options: { attempts: 1, removeOnComplete: true },
+  processor_name: 'process-bulk-upload',
+  async processor(job) {
+    const summary = await processBulkUpload(job.data);
+    appLogger.info({ label: 'BULK UPLOAD', jobId: job.id, summary }, 'Bulk upload processed');
+    return summary;
+  },
+};